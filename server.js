@@ -1,139 +1,199 @@
 import express from "express";
 import http from "http";
 import { WebSocketServer, WebSocket } from "ws";
-import mongoose from "mongoose";
-import * as Y from "yjs";
 import * as syncProtocol from "y-protocols/sync";
 import * as awarenessProtocol from "y-protocols/awareness";
 import { encoding, decoding } from "lib0";
 import "dotenv/config";
-import connectDB from "./src/config/db.js";
+import connectDB, { disconnectDB } from "./src/config/db.js";
 import { validatePropertyUpdate } from "./src/utils/validation.js";
+import { authenticateSocket, handleProtocols, parseSocketUrl } from "./src/middleware/wsAuth.js";
+import { resolveSocketRole, ROLES } from "./src/middleware/roomAccess.js";
+import { findActiveInvite } from "./src/middleware/inviteAuth.js";
+import { readGuardedSyncMessage } from "./src/utils/syncGuard.js";
+import { guardAwarenessUpdate } from "./src/utils/awarenessGuard.js";
+import { encodeErrorMessage, encodeSyncUpdate, encodeChatMessage } from "./src/utils/messages.js";
+import { CLOSE_CODES } from "./src/utils/closeCodes.js";
+import { createConnectionLimiter, getMaxPayload, recordOversizedFrame } from "./src/utils/rateLimiter.js";
+import { renderMetrics } from "./src/utils/metrics.js";
+import { startHeartbeat, trackLiveness } from "./src/utils/heartbeat.js";
+import { isPropertyPersistenceEnabled } from "./src/services/propertyUpdates.js";
+import { parseChatPayload, postChatMessage } from "./src/services/chat.js";
+import { getOrCreateRoom, relayToRoom, leaveRoom, flushAllRooms, setPubSubAdapter, detachPubSub } from "./src/services/roomManager.js";
+import { loadPubSubAdapter } from "./src/services/pubsub.js";
 
 // 1. CONFIGURATION
 const PORT = process.env.PORT || 3000;
+// Allow sockets without a token to join rooms (per-deployment opt-in)
+const WS_ALLOW_ANONYMOUS = process.env.WS_ALLOW_ANONYMOUS === "true";
+// Upper bound for flushing saves and closing connections on SIGTERM/SIGINT
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+let shuttingDown = false;
 
 // 2. DB SETUP
 await connectDB();
 
-const RoomSchema = new mongoose.Schema({ _id: String, data: Buffer });
-const Room = mongoose.model("Room", RoomSchema);
+// Share rooms with other instances (e.g. PUBSUB_ADAPTER=./adapters/redis.js)
+if (process.env.PUBSUB_ADAPTER) {
+  setPubSubAdapter(await loadPubSubAdapter(process.env.PUBSUB_ADAPTER));
+  console.log(`🔗 Pub/sub adapter loaded: ${process.env.PUBSUB_ADAPTER}`);
+}
 
 // 3. SERVER SETUP
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ noServer: true, handleProtocols, maxPayload: getMaxPayload() });
+// Terminate half-open sockets that stop answering pings (WS_HEARTBEAT_INTERVAL_MS)
+const stopHeartbeat = startHeartbeat(wss);
 
 // Middleware
 import cors from "cors";
 app.use(cors());
-app.use(express.json());
 
 // Routes
 import authRoutes from "./src/routes/authRoutes.js";
 import shapeRoutes from "./src/routes/shapeRoutes.js";
+import accessRoutes from "./src/routes/accessRoutes.js";
+import inviteRoutes from "./src/routes/inviteRoutes.js";
+import snapshotRoutes from "./src/routes/snapshotRoutes.js";
+import exportRoutes from "./src/routes/exportRoutes.js";
+import presenceRoutes from "./src/routes/presenceRoutes.js";
+import commentRoutes from "./src/routes/commentRoutes.js";
+import chatRoutes from "./src/routes/chatRoutes.js";
+import activityRoutes from "./src/routes/activityRoutes.js";
+// Board imports parse their own, larger bodies, so export routes come before the default JSON parser
+app.use("/api/rooms", exportRoutes);
+app.use(express.json());
 app.use("/api/auth", authRoutes);
 app.use("/api/rooms", shapeRoutes);
-
-// Map<RoomID, { doc: Y.Doc, clients: Set<WebSocket> }>
-const rooms = new Map();
+app.use("/api/rooms", accessRoutes);
+app.use("/api/rooms", inviteRoutes);
+app.use("/api/rooms", snapshotRoutes);
+app.use("/api/rooms", presenceRoutes);
+app.use("/api/rooms", commentRoutes);
+app.use("/api/rooms", chatRoutes);
+app.use("/api/rooms", activityRoutes);
 
 app.get("/", (req, res) => res.send("🎨 Drawing Backend Running"));
 app.get("/health", (req, res) => res.json({ status: "OK" }));
+// Prometheus counters; set METRICS_TOKEN to require "Authorization: Bearer <token>"
+app.get("/metrics", (req, res) => {
+  if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
 
 /**
- * Helper: Broadcast a message to all clients in a specific room
+ * Helper: Read the room ID from the socket URL path (query string carries the token)
+ * @param {URL} url - Parsed upgrade URL (see parseSocketUrl)
  */
-const broadcastToRoom = (roomId, message, excludeClient = null) => {
-  const room = rooms.get(roomId);
-  if (!room) return;
-
-  room.clients.forEach(client => {
-    if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
-  });
+const getRoomId = ({ pathname }) => {
+  try {
+    return decodeURIComponent(pathname.slice(1)) || "default-room";
+  } catch {
+    return pathname.slice(1) || "default-room";
+  }
 };
 
-/**
- * Helper: Setup a new Room (One-time initialization)
- */
-const getOrCreateRoom = async (roomId) => {
-  if (rooms.has(roomId)) {
-    return rooms.get(roomId);
-  }
+// 4. WEBSOCKET LOGIC
+// Authenticate and check room access during the upgrade handshake,
+// then close rejected sockets with a code the client can read
+const authorizeUpgrade = async (req, roomId) => {
+  const auth = await authenticateSocket(req, { allowAnonymous: WS_ALLOW_ANONYMOUS });
+  if (!auth.ok) return auth;
 
-  console.log(`📂 Creating/Loading Room: ${roomId}`);
-  const doc = new Y.Doc();
+  try {
+    // Invite links grant their own role and count one use per join
+    if (auth.invite) {
+      const invite = await findActiveInvite(auth.invite.invite, roomId, { consume: true });
+      if (!invite) {
+        return { ok: false, code: CLOSE_CODES.FORBIDDEN, error: "Invite is invalid, expired, revoked or used up" };
+      }
+      return { ...auth, role: invite.role };
+    }
 
-  // Important: Initialize Awareness correctly
-  doc.awareness = new awarenessProtocol.Awareness(doc);
+    const role = await resolveSocketRole(roomId, auth.user?._id ?? null);
+    if (!role) {
+      return { ok: false, code: CLOSE_CODES.FORBIDDEN, error: "No access to this room" };
+    }
+    return { ...auth, role };
+  } catch (err) {
+    console.error("Room Access Error:", err);
+    return { ok: false, code: CLOSE_CODES.INTERNAL_ERROR, error: "Server error" };
+  }
+};
 
-  const roomState = { doc, clients: new Set() };
-  rooms.set(roomId, roomState);
+// Ends the handshake with a plain HTTP error, before any WebSocket exists
+const rejectUpgrade = (socket, status, reason) => {
+  if (socket.writable) {
+    socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  }
+  socket.destroy();
+};
 
-  // A. Load Data from MongoDB
+server.on("upgrade", async (req, socket, head) => {
+  // Never let a rejection escape: an unhandled rejection would stop the process
   try {
-    const existingRoom = await Room.findById(roomId);
-    if (existingRoom && existingRoom.data && existingRoom.data.length > 0) {
-      Y.applyUpdate(doc, new Uint8Array(existingRoom.data));
-      console.log(`✅ Loaded ${existingRoom.data.length} bytes for ${roomId}`);
+    // The request line comes from the client and may not parse (e.g. "GET //[")
+    const url = parseSocketUrl(req);
+    if (!url) {
+      console.warn(`🚫 Rejected socket: malformed URL`);
+      rejectUpgrade(socket, 400, "Bad Request");
+      return;
     }
-  } catch (e) {
-    console.error(`⚠️ DB Load Error for ${roomId}:`, e);
-  }
+    const roomId = getRoomId(url);
+
+    const auth = shuttingDown
+      ? { ok: false, code: CLOSE_CODES.SERVICE_RESTART, error: "Server restarting" }
+      : await authorizeUpgrade(req, roomId);
 
-  // B. Setup Persistence (Debounced Save)
-  let saveTimer = null;
-  const saveToDB = () => {
-    if (saveTimer) clearTimeout(saveTimer);
-    saveTimer = setTimeout(async () => {
-      const binaryData = Y.encodeStateAsUpdate(doc);
-      try {
-        await Room.findByIdAndUpdate(roomId, { data: Buffer.from(binaryData) }, { upsert: true });
-        console.log(`💾 Saved ${roomId}`);
-      } catch (e) {
-        console.error("❌ Save Error:", e);
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      if (!auth.ok) {
+        console.warn(`🚫 Rejected socket: ${auth.error}`);
+        ws.close(auth.code, auth.error);
+        return;
       }
-    }, 2000);
-  };
 
-  // C. Setup ONE Listener for Drawing Updates
-  doc.on('update', (update, origin) => {
-    // Save to DB
-    saveToDB();
+      ws.user = auth.user;
+      ws.role = auth.role;
+      ws.inviteId = auth.invite ? auth.invite.invite : null;
+      ws.roomId = roomId;
+      wss.emit("connection", ws, req);
+    });
+  } catch (err) {
+    console.error("❌ Upgrade Error:", err);
+    rejectUpgrade(socket, 500, "Internal Server Error");
+  }
+});
 
-    // Broadcast to clients
-    if (origin !== null) { // origin null means loaded from DB
-      const encoder = encoding.createEncoder();
-      encoding.writeVarUint(encoder, 0); // MessageSync
-      syncProtocol.writeUpdate(encoder, update);
-      broadcastToRoom(roomId, encoding.toUint8Array(encoder), origin);
+wss.on("connection", async (ws) => {
+  const roomId = ws.roomId;
+  trackLiveness(ws);
+  ws.connectedAt = Date.now();
+  ws.lastActiveAt = ws.connectedAt;
+  console.log(`🔌 ${ws.user ? ws.user.displayName : "Anonymous"} joining: ${roomId} as ${ws.role}`);
+
+  // Without a listener, socket errors (e.g. a frame over maxPayload) would crash the process
+  ws.on("error", (err) => {
+    if (err.code === "WS_ERR_UNSUPPORTED_MESSAGE_LENGTH") {
+      recordOversizedFrame();
+      console.warn(`🚫 [${roomId}] Closed connection that sent a frame over ${getMaxPayload()} bytes`);
+      return;
     }
+    console.error(`❌ [${roomId}] Socket error:`, err);
   });
 
-  // D. Setup ONE Listener for Awareness (Cursors)
-  doc.awareness.on('update', ({ added, updated, removed }, origin) => {
-    const changedClients = added.concat(updated).concat(removed);
-    const encoder = encoding.createEncoder();
-    encoding.writeVarUint(encoder, 1); // MessageAwareness
-    const awarenessUpdate = awarenessProtocol.encodeAwarenessUpdate(doc.awareness, changedClients);
-    encoding.writeVarUint8Array(encoder, awarenessUpdate);
-    broadcastToRoom(roomId, encoding.toUint8Array(encoder), origin);
-  });
-
-  return roomState;
-};
-
-// 4. WEBSOCKET LOGIC
-wss.on("connection", async (ws, req) => {
-  const roomId = req.url.slice(1) || "default-room";
-  console.log(`🔌 User joining: ${roomId}`);
-
   // 1. Join Room
   const room = await getOrCreateRoom(roomId);
   room.clients.add(ws);
 
+  // The socket may have closed while the room was loading
+  if (ws.readyState !== WebSocket.OPEN) {
+    leaveRoom(roomId, ws);
+    return;
+  }
+
   // 2. Send Initial State
   const encoder = encoding.createEncoder();
   encoding.writeVarUint(encoder, 0); // MessageSync
@@ -153,46 +213,100 @@ wss.on("connection", async (ws, req) => {
   }
 
   // 4. Handle Messages
+  const readOnly = ws.role === ROLES.VIEWER;
+  const limiter = createConnectionLimiter();
   ws.on("message", (message) => {
+    // Ignore frames that arrive after close() (e.g. during shutdown)
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.lastActiveAt = Date.now(); // reported by GET /presence
+
     try {
       const encoder = encoding.createEncoder();
       const decoder = decoding.createDecoder(new Uint8Array(message));
       const messageType = decoding.readVarUint(decoder);
 
+      // Rate limits per message type and the sync update size cap
+      const limit = limiter.check(messageType, message.length);
+      if (!limit.allowed) {
+        if (limit.notify) {
+          ws.send(encodeErrorMessage({ code: limit.code, message: limit.message, messageType }));
+        }
+        if (limit.disconnect) {
+          console.warn(`🚫 [${roomId}] Disconnecting client that keeps exceeding its limits (${limit.code})`);
+          ws.close(CLOSE_CODES.RATE_LIMITED, "Rate limit exceeded");
+        }
+        return;
+      }
+
       switch (messageType) {
         case 0: // Sync
-          encoding.writeVarUint(encoder, 0);
-          syncProtocol.readSyncMessage(decoder, encoder, room.doc, ws); // Pass 'ws' as origin
-          if (encoding.length(encoder) > 1) {
-            ws.send(encoding.toUint8Array(encoder));
+          {
+            encoding.writeVarUint(encoder, 0);
+            // Pass 'ws' as origin; viewers still get answers to sync step 1
+            const { refused, rejected, correction } = readGuardedSyncMessage(decoder, encoder, room.doc, ws, { readOnly });
+            if (encoding.length(encoder) > 1) {
+              ws.send(encoding.toUint8Array(encoder));
+            }
+            if (refused) {
+              console.warn(`👁️ [${roomId}] Dropped document update from viewer`);
+              ws.send(encodeErrorMessage({ code: "READ_ONLY", message: "Viewers cannot edit this board", messageType: 0 }));
+            }
+            if (rejected.length > 0) {
+              // Send the revert back so the sender's copy converges with everyone else's
+              console.warn(`🚫 [${roomId}] Reverted ${rejected.length} invalid shape(s): ${rejected.map((r) => `${r.id} (${r.error})`).join(", ")}`);
+              ws.send(encodeSyncUpdate(correction));
+              ws.send(encodeErrorMessage({ code: "INVALID_SHAPE", message: "Invalid shapes were reverted", messageType: 0, shapes: rejected }));
+            }
           }
           break;
 
         case 1: // Awareness
-          awarenessProtocol.applyAwarenessUpdate(room.doc.awareness, decoding.readVarUint8Array(decoder), ws);
+          {
+            // Only the socket's own states, with identity stamped from its account
+            const result = guardAwarenessUpdate(decoding.readVarUint8Array(decoder), room.doc.awareness, {
+              controlled: room.awarenessClients.get(ws),
+              user: ws.user,
+            });
+            if (!result.ok) {
+              console.warn(`🚫 [${roomId}] Rejected awareness update: ${result.error}`);
+              ws.send(encodeErrorMessage({ code: "AWARENESS_REJECTED", message: result.error, messageType: 1 }));
+              break;
+            }
+            awarenessProtocol.applyAwarenessUpdate(room.doc.awareness, result.update, ws);
+          }
           break;
 
         case 2: // Ephemeral/Broadcast (Position/Drag)
           {
             const payload = decoding.readVarUint8Array(decoder);
+            // Drag previews are edits in progress; viewers cannot move shapes
+            if (readOnly) {
+              ws.send(encodeErrorMessage({ code: "READ_ONLY", message: "Viewers cannot edit this board", messageType: 2 }));
+              break;
+            }
             // Re-broadcast to others, excluding sender
             const forwardEncoder = encoding.createEncoder();
             encoding.writeVarUint(forwardEncoder, 2); // Message Type 2
             encoding.writeVarUint8Array(forwardEncoder, payload);
-            broadcastToRoom(roomId, encoding.toUint8Array(forwardEncoder), ws);
+            relayToRoom(roomId, encoding.toUint8Array(forwardEncoder), ws);
           }
           break;
 
         case 3: // Property Updates (Resize/Rotate)
           {
             const payload = decoding.readVarUint8Array(decoder);
+            if (readOnly) {
+              ws.send(encodeErrorMessage({ code: "READ_ONLY", message: "Viewers cannot edit this board", messageType: 3 }));
+              break;
+            }
             // Decode payload as JSON
             const payloadStr = new TextDecoder().decode(payload);
             try {
               const data = JSON.parse(payloadStr);
 
               // Validate payload
-              const validation = validatePropertyUpdate(data);
+              const target = room.doc.getMap("shapes").get(data?.objectId);
+              const validation = validatePropertyUpdate(data, target?.type);
               if (!validation.valid) {
                 console.error(`❌ [${roomId}] Invalid property update: ${validation.error}`);
                 break;
@@ -206,16 +320,40 @@ wss.on("connection", async (ws, req) => {
               console.log(`${emoji} [${roomId}] ${data.type?.toUpperCase() || 'UPDATE'}: ${data.objectId} → {${propSummary}}`);
               console.log(`   └─ Clients in room: ${room.clients.size}`);
 
+              // Opt-in: also write the final values into the doc (coalesced per gesture and sender)
+              if (isPropertyPersistenceEnabled()) {
+                room.properties.add(data, { userId: ws.user?._id, inviteId: ws.inviteId });
+              }
+
               // Re-broadcast to others
               const forwardEncoder = encoding.createEncoder();
               encoding.writeVarUint(forwardEncoder, 3); // Message Type 3
               encoding.writeVarUint8Array(forwardEncoder, payload);
-              broadcastToRoom(roomId, encoding.toUint8Array(forwardEncoder), ws);
+              relayToRoom(roomId, encoding.toUint8Array(forwardEncoder), ws);
             } catch (parseErr) {
               console.error("❌ Invalid property update payload:", parseErr);
             }
           }
           break;
+
+        case 6: // Chat (anyone with access to the room, viewers included)
+          {
+            const { text, error } = parseChatPayload(decoding.readVarUint8Array(decoder));
+            if (error) {
+              ws.send(encodeErrorMessage({ code: "INVALID_CHAT_MESSAGE", message: error, messageType: 6 }));
+              break;
+            }
+            // Stored first, then sent to everyone including the sender (with its id and timestamp)
+            postChatMessage(roomId, ws.user, text)
+              .then((chatMessage) => relayToRoom(roomId, encodeChatMessage(chatMessage)))
+              .catch((err) => {
+                console.error(`❌ [${roomId}] Chat Save Error:`, err);
+                if (ws.readyState === WebSocket.OPEN) {
+                  ws.send(encodeErrorMessage({ code: "CHAT_NOT_SAVED", message: "Message could not be sent", messageType: 6 }));
+                }
+              });
+          }
+          break;
       }
     } catch (e) {
       console.error("❌ Error handling message:", e);
@@ -224,15 +362,55 @@ wss.on("connection", async (ws, req) => {
 
   // 5. Cleanup on Disconnect
   ws.on("close", () => {
-    room.clients.delete(ws);
-    // Optional: If room empty, verify logic to remove from memory
-    if (room.clients.size === 0) {
-      // logic to clear memory if desired
-    }
+    // Removes the client's cursors; unloads the room after ROOM_IDLE_TIMEOUT_MS once the last client leaves
+    leaveRoom(roomId, ws);
   });
 });
 
 // 5. START SERVER
 server.listen(PORT, () => {
   console.log(`🚀 Server started on http://localhost:${PORT}`);
-});
\ No newline at end of file
+});
+
+// 6. GRACEFUL SHUTDOWN
+// Stop accepting connections, close sockets so clients reconnect elsewhere,
+// flush every room's pending save, then disconnect from MongoDB
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} received, shutting down...`);
+
+  const forceExit = setTimeout(() => {
+    console.error(`❌ Shutdown timed out after ${SHUTDOWN_TIMEOUT_MS}ms`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  stopHeartbeat();
+  server.close();
+  server.closeIdleConnections();
+
+  wss.clients.forEach((ws) => ws.close(CLOSE_CODES.SERVICE_RESTART, "Server restarting"));
+
+  const failed = await flushAllRooms();
+  if (failed.length > 0) {
+    console.error(`❌ Unsaved rooms: ${failed.join(", ")}`);
+  }
+
+  try {
+    await detachPubSub();
+  } catch (e) {
+    console.error("❌ Pub/sub Shutdown Error:", e);
+  }
+
+  try {
+    await disconnectDB();
+  } catch (e) {
+    console.error("❌ DB Disconnect Error:", e);
+  }
+
+  process.exit(failed.length > 0 ? 1 : 0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
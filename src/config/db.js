@@ -15,4 +15,9 @@ const connectDB = async () => {
   }
 };
 
+export const disconnectDB = async () => {
+  await mongoose.disconnect();
+  console.log("🔌 Disconnected from MongoDB");
+};
+
 export default connectDB;
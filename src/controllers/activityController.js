@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import { listActivity } from "../services/activityLog.js";
+import { parseTimestamp } from "../utils/timestamps.js";
+
+export const getActivity = async (req, res) => {
+    const { roomId } = req.params;
+    const { user, before } = req.query;
+
+    if (user !== undefined && !mongoose.isValidObjectId(user)) {
+        return res.status(400).json({ error: "Invalid user" });
+    }
+    if (before !== undefined && !mongoose.isValidObjectId(before)) {
+        return res.status(400).json({ error: "Invalid before" });
+    }
+
+    const from = req.query.from === undefined ? null : parseTimestamp(req.query.from);
+    const to = req.query.to === undefined ? null : parseTimestamp(req.query.to);
+    if ((req.query.from !== undefined && !from) || (req.query.to !== undefined && !to)) {
+        return res.status(400).json({ error: "from and to must be epoch milliseconds or ISO 8601 timestamps" });
+    }
+    if (from && to && from > to) {
+        return res.status(400).json({ error: "from must not be after to" });
+    }
+
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+    if (limit !== undefined && (Number.isNaN(limit) || limit < 1)) {
+        return res.status(400).json({ error: "limit must be a positive integer" });
+    }
+
+    try {
+        const page = await listActivity(roomId, { user, from, to, before, limit });
+        res.json({ roomId, ...page });
+    } catch (err) {
+        console.error("Get Activity Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
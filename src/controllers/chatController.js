@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+import { listChatMessages } from "../services/chat.js";
+
+export const listMessages = async (req, res) => {
+    const { roomId } = req.params;
+    const { before } = req.query;
+
+    if (before !== undefined && !mongoose.isValidObjectId(before)) {
+        return res.status(400).json({ error: "Invalid before" });
+    }
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+    if (limit !== undefined && (Number.isNaN(limit) || limit < 1)) {
+        return res.status(400).json({ error: "limit must be a positive integer" });
+    }
+
+    try {
+        const page = await listChatMessages(roomId, { before, limit });
+        res.json({ roomId, ...page });
+    } catch (err) {
+        console.error("List Messages Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+import CommentThread from "../models/CommentThread.js";
+import { encodeRoomState, relayToRoom } from "../services/roomManager.js";
+import { AUTHOR_PATHS, toThreadResponse } from "../services/comments.js";
+import { hasRole, ROLES } from "../middleware/roomAccess.js";
+import { decodeDoc } from "../utils/boardState.js";
+import { encodeCommentEvent } from "../utils/messages.js";
+
+const MAX_BODY_LENGTH = 5000;
+const MAX_SHAPE_ID_LENGTH = 200;
+
+const AUTHOR_POPULATE = AUTHOR_PATHS.map((path) => ({ path, select: "displayName avatar" }));
+
+const parseBody = (value) => {
+    const body = typeof value === "string" ? value.trim() : "";
+    return body && body.length <= MAX_BODY_LENGTH ? body : null;
+};
+
+/**
+ * Validates an anchor: { shapeId } for a shape, or { x, y } for a canvas point
+ * @returns {{ anchor?: Object, error?: string }}
+ */
+const parseAnchor = (anchor) => {
+    if (!anchor || typeof anchor !== "object" || Array.isArray(anchor)) {
+        return { error: "anchor must be { shapeId } or { x, y }" };
+    }
+    if (anchor.shapeId !== undefined) {
+        if (typeof anchor.shapeId !== "string" || anchor.shapeId.trim() === "" || anchor.shapeId.length > MAX_SHAPE_ID_LENGTH) {
+            return { error: "Invalid anchor.shapeId" };
+        }
+        return { anchor: { shapeId: anchor.shapeId } };
+    }
+    if (!Number.isFinite(anchor.x) || !Number.isFinite(anchor.y)) {
+        return { error: "anchor must be { shapeId } or { x, y }" };
+    }
+    return { anchor: { shapeId: null, x: anchor.x, y: anchor.y } };
+};
+
+// Sends the thread to everyone in the room and returns its response body
+const publishThread = async (roomId, event, thread) => {
+    await thread.populate(AUTHOR_POPULATE);
+    const response = toThreadResponse(thread);
+    relayToRoom(roomId, encodeCommentEvent(event, response));
+    return response;
+};
+
+// Loads a thread of the room, or answers 400/404
+const findThread = async (req, res) => {
+    const { roomId, threadId } = req.params;
+    if (!mongoose.isValidObjectId(threadId)) {
+        res.status(400).json({ error: "Invalid threadId" });
+        return null;
+    }
+    const thread = await CommentThread.findOne({ _id: threadId, room: roomId });
+    if (!thread) {
+        res.status(404).json({ error: "Thread not found" });
+    }
+    return thread;
+};
+
+export const listThreads = async (req, res) => {
+    const { roomId } = req.params;
+    const filter = { room: roomId };
+
+    if (req.query.resolved !== undefined) {
+        if (!["true", "false"].includes(req.query.resolved)) {
+            return res.status(400).json({ error: "resolved must be true or false" });
+        }
+        filter.resolved = req.query.resolved === "true";
+    }
+    if (typeof req.query.shapeId === "string") {
+        filter["anchor.shapeId"] = req.query.shapeId;
+    }
+
+    try {
+        const threads = await CommentThread.find(filter)
+            .sort({ createdAt: 1 })
+            .populate(AUTHOR_POPULATE);
+
+        res.json({ roomId, threads: threads.map(toThreadResponse) });
+    } catch (err) {
+        console.error("List Comments Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+export const createThread = async (req, res) => {
+    const { roomId } = req.params;
+
+    if (!req.userId) {
+        return res.status(403).json({ error: "An account is required to comment" });
+    }
+    const body = parseBody(req.body.body);
+    if (!body) {
+        return res.status(400).json({ error: `body is required (max ${MAX_BODY_LENGTH} characters)` });
+    }
+    const { anchor, error } = parseAnchor(req.body.anchor);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        if (anchor.shapeId) {
+            // Remember where the shape is, so the thread stays placed if it is deleted
+            const shape = decodeDoc(await encodeRoomState(roomId)).getMap("shapes").get(anchor.shapeId);
+            if (!shape) {
+                return res.status(404).json({ error: "Shape not found" });
+            }
+            anchor.x = Number.isFinite(shape.x) ? shape.x : null;
+            anchor.y = Number.isFinite(shape.y) ? shape.y : null;
+        }
+
+        const thread = await CommentThread.create({
+            room: roomId,
+            anchor,
+            createdBy: req.userId,
+            comments: [{ author: req.userId, body }],
+        });
+
+        res.status(201).json(await publishThread(roomId, "thread.created", thread));
+    } catch (err) {
+        console.error("Create Comment Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+export const addReply = async (req, res) => {
+    if (!req.userId) {
+        return res.status(403).json({ error: "An account is required to comment" });
+    }
+    const body = parseBody(req.body.body);
+    if (!body) {
+        return res.status(400).json({ error: `body is required (max ${MAX_BODY_LENGTH} characters)` });
+    }
+
+    try {
+        const thread = await findThread(req, res);
+        if (!thread) return;
+
+        thread.comments.push({ author: req.userId, body });
+        await thread.save();
+
+        res.status(201).json(await publishThread(req.params.roomId, "comment.added", thread));
+    } catch (err) {
+        console.error("Add Reply Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+// Editors, and the thread's author, can resolve and reopen it
+const setResolved = (resolved) => async (req, res) => {
+    try {
+        const thread = await findThread(req, res);
+        if (!thread) return;
+
+        const isAuthor = req.userId && thread.createdBy.equals(req.userId);
+        if (!hasRole(req.roomRole, ROLES.EDITOR) && !isAuthor) {
+            return res.status(403).json({ error: "Only editors and the thread's author can change its status" });
+        }
+
+        thread.resolved = resolved;
+        thread.resolvedBy = resolved ? req.userId || null : null;
+        thread.resolvedAt = resolved ? new Date() : null;
+        await thread.save();
+
+        res.json(await publishThread(req.params.roomId, resolved ? "thread.resolved" : "thread.reopened", thread));
+    } catch (err) {
+        console.error(`${resolved ? "Resolve" : "Reopen"} Comment Error:`, err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+export const resolveThread = setResolved(true);
+export const reopenThread = setResolved(false);
@@ -0,0 +1,169 @@
+import { encodeRoomState } from "../services/roomManager.js";
+import { decodeDoc, getShapes, getStrokes } from "../utils/boardState.js";
+import { serializeBoard } from "../utils/boardFile.js";
+import { buildScene, frameScene } from "../utils/boardScene.js";
+import { renderSvg } from "../utils/svgExport.js";
+import { renderPngInWorker, RENDER_ABORTED, RENDER_BUSY, RENDER_TOO_COMPLEX } from "../utils/pngExport.js";
+
+const DEFAULT_PADDING = 20;
+const MAX_PADDING = 1000;
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+)$/i;
+const MAX_PNG_SIDE = 4096;
+const MAX_PNG_PIXELS = 16 * 1024 * 1024;
+const MIN_PNG_SCALE = 0.1;
+const MAX_PNG_SCALE = 10;
+
+/**
+ * Parses the framing options shared by the export endpoints:
+ * bbox=x,y,width,height | ids=a,b,c, padding, background
+ * @returns {{ options?: Object, error?: string }}
+ */
+export const parseExportOptions = (query) => {
+    const options = { region: null, ids: null, padding: DEFAULT_PADDING, background: null };
+
+    if (query.bbox !== undefined) {
+        const parts = String(query.bbox).split(",").map(Number);
+        if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n)) || parts[2] <= 0 || parts[3] <= 0) {
+            return { error: "bbox must be x,y,width,height with a positive width and height" };
+        }
+        const [x, y, width, height] = parts;
+        options.region = { x, y, width, height };
+    }
+
+    if (query.ids !== undefined) {
+        options.ids = String(query.ids).split(",").map((id) => id.trim()).filter(Boolean);
+        if (options.ids.length === 0) {
+            return { error: "ids must list at least one shape id" };
+        }
+    }
+
+    if (query.padding !== undefined) {
+        const padding = Number(query.padding);
+        if (!Number.isFinite(padding) || padding < 0 || padding > MAX_PADDING) {
+            return { error: `padding must be between 0 and ${MAX_PADDING}` };
+        }
+        options.padding = padding;
+    }
+
+    if (query.background !== undefined) {
+        if (!COLOR_PATTERN.test(query.background)) {
+            return { error: "background must be a hex colour or a colour name" };
+        }
+        options.background = query.background;
+    }
+
+    return { options };
+};
+
+/**
+ * Decodes a room into scene items from the same state as GET /shapes: the live
+ * document when the room is loaded, so images include edits not yet persisted
+ */
+export const loadScene = async (req) => {
+    const doc = decodeDoc(await encodeRoomState(req.params.roomId));
+    return buildScene({ shapes: getShapes(doc), strokes: getStrokes(doc) });
+};
+
+export const exportSvg = async (req, res) => {
+    const { options, error } = parseExportOptions(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const { items, viewBox } = frameScene(await loadScene(req), options);
+        const svg = renderSvg(items, viewBox, { background: options.background });
+
+        res.type("image/svg+xml");
+        res.set("Content-Disposition", `inline; filename="${encodeURIComponent(req.params.roomId)}.svg"`);
+        res.send(svg);
+    } catch (err) {
+        console.error("Export SVG Error:", err);
+        res.status(500).json({ error: "Failed to export board" });
+    }
+};
+
+/**
+ * Output size for a PNG export: width=<px> fits the region to that width, otherwise scale=<n> (default 1)
+ * @returns {{ size?: { width: number, height: number }, error?: string }}
+ */
+export const parsePngSize = (query, viewBox) => {
+    let scale = 1;
+
+    if (query.width !== undefined) {
+        const width = Number(query.width);
+        if (!Number.isInteger(width) || width < 1 || width > MAX_PNG_SIDE) {
+            return { error: `width must be an integer between 1 and ${MAX_PNG_SIDE}` };
+        }
+        scale = width / viewBox.width;
+    } else if (query.scale !== undefined) {
+        scale = Number(query.scale);
+        if (!Number.isFinite(scale) || scale < MIN_PNG_SCALE || scale > MAX_PNG_SCALE) {
+            return { error: `scale must be between ${MIN_PNG_SCALE} and ${MAX_PNG_SCALE}` };
+        }
+    }
+
+    const width = Math.max(1, Math.round(viewBox.width * scale));
+    const height = Math.max(1, Math.round(viewBox.height * scale));
+    if (width > MAX_PNG_SIDE || height > MAX_PNG_SIDE || width * height > MAX_PNG_PIXELS) {
+        return { error: `Image would be ${width}x${height}; use a smaller scale or region (max ${MAX_PNG_SIDE}px per side)` };
+    }
+
+    return { size: { width, height } };
+};
+
+export const exportPng = async (req, res) => {
+    const { options, error } = parseExportOptions(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const { items, viewBox } = frameScene(await loadScene(req), options);
+        const { size, error: sizeError } = parsePngSize(req.query, viewBox);
+        if (sizeError) {
+            return res.status(400).json({ error: sizeError });
+        }
+
+        // Rasterized off the event loop, within a work budget; stopped if the client goes away
+        const aborted = new AbortController();
+        res.once("close", () => aborted.abort());
+        const png = await renderPngInWorker(
+            items,
+            viewBox,
+            { ...size, background: options.background ?? "#ffffff" },
+            { signal: aborted.signal }
+        );
+
+        res.type("image/png");
+        res.set("Content-Disposition", `inline; filename="${encodeURIComponent(req.params.roomId)}.png"`);
+        res.send(png);
+    } catch (err) {
+        if (err.code === RENDER_TOO_COMPLEX) {
+            return res.status(400).json({ error: `${err.message}; use a smaller scale or region` });
+        }
+        if (err.code === RENDER_BUSY) {
+            res.set("Retry-After", "5");
+            return res.status(503).json({ error: `${err.message}; retry shortly` });
+        }
+        if (err.code === RENDER_ABORTED) {
+            return;
+        }
+        console.error("Export PNG Error:", err);
+        res.status(500).json({ error: "Failed to export board" });
+    }
+};
+
+export const exportJson = async (req, res) => {
+    try {
+        // Live state when the room is open, so the file includes unsaved edits
+        const doc = decodeDoc(await encodeRoomState(req.params.roomId));
+        const board = serializeBoard(doc, req.room);
+
+        res.set("Content-Disposition", `attachment; filename="${encodeURIComponent(req.params.roomId)}.board.json"`);
+        res.json(board);
+    } catch (err) {
+        console.error("Export JSON Error:", err);
+        res.status(500).json({ error: "Failed to export board" });
+    }
+};
@@ -0,0 +1,46 @@
+import Room from "../models/Room.js";
+import { hasLoggedUpdates } from "../middleware/roomAccess.js";
+import { withLiveRoom } from "../services/roomManager.js";
+import { parseBoardFile, mergeBoard } from "../utils/boardFile.js";
+
+/**
+ * Imports a board file into a room through the live document, so connected
+ * clients see it immediately. Creates the room (owned by the caller) if it
+ * does not exist and holds no board yet; otherwise merges into it.
+ */
+export const importBoard = async (req, res) => {
+    const { roomId } = req.params;
+
+    const { board, error, details } = parseBoardFile(req.body);
+    if (error) {
+        return res.status(400).json({ error, ...(details && { details }) });
+    }
+
+    try {
+        const created = !req.room;
+        if (created) {
+            if (!req.userId) {
+                return res.status(403).json({ error: "An account is required to create a room" });
+            }
+            // A board without a Room document yet is not new; only an admin can assign its owner
+            if (await hasLoggedUpdates(roomId)) {
+                return res.status(409).json({ error: "Room already holds a board without an owner" });
+            }
+            try {
+                await Room.create({ _id: roomId, owner: req.userId });
+            } catch (err) {
+                if (err.code !== 11000) throw err;
+                return res.status(409).json({ error: "Room was created concurrently; retry the import" });
+            }
+        }
+
+        const origin = { source: "import", userId: req.userId || null, inviteId: req.invite?.id ?? null };
+        const result = await withLiveRoom(roomId, async (room) => mergeBoard(room.doc, board, origin));
+
+        console.log(`📥 [${roomId}] Imported board: ${result.added} added, ${result.updated} updated, ${result.strokesAdded} strokes`);
+        res.status(created ? 201 : 200).json({ roomId, created, ...result });
+    } catch (err) {
+        console.error("Import Board Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
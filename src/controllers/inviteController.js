@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+import Invite from "../models/Invite.js";
+import { ROLES } from "../middleware/roomAccess.js";
+import { signInviteToken } from "../middleware/inviteAuth.js";
+import { disconnectFromRoom } from "../services/roomManager.js";
+
+const DEFAULT_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+const MAX_EXPIRY_SECONDS = 30 * 24 * 60 * 60;
+
+const toInviteResponse = (invite) => ({
+    id: invite._id,
+    roomId: invite.room,
+    role: invite.role,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    revokedAt: invite.revokedAt,
+    createdAt: invite.createdAt,
+});
+
+export const createInvite = async (req, res) => {
+    const { role, expiresIn = DEFAULT_EXPIRY_SECONDS, maxUses = null } = req.body;
+
+    if (role !== ROLES.EDITOR && role !== ROLES.VIEWER) {
+        return res.status(400).json({ error: "role must be 'editor' or 'viewer'" });
+    }
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > MAX_EXPIRY_SECONDS) {
+        return res.status(400).json({ error: `expiresIn must be between 1 and ${MAX_EXPIRY_SECONDS} seconds` });
+    }
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses <= 0)) {
+        return res.status(400).json({ error: "maxUses must be a positive integer" });
+    }
+
+    try {
+        const invite = await Invite.create({
+            room: req.params.roomId,
+            role,
+            createdBy: req.userId,
+            expiresAt: new Date(Date.now() + expiresIn * 1000),
+            maxUses,
+        });
+
+        res.status(201).json({
+            ...toInviteResponse(invite),
+            token: signInviteToken(invite),
+        });
+    } catch (err) {
+        console.error("Create Invite Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+export const listInvites = async (req, res) => {
+    try {
+        const invites = await Invite.find({ room: req.params.roomId }).sort({ createdAt: -1 });
+        res.json({
+            roomId: req.params.roomId,
+            invites: invites.map(toInviteResponse),
+        });
+    } catch (err) {
+        console.error("List Invites Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+export const revokeInvite = async (req, res) => {
+    const { roomId, inviteId } = req.params;
+
+    if (!mongoose.isValidObjectId(inviteId)) {
+        return res.status(400).json({ error: "Invalid inviteId" });
+    }
+
+    try {
+        const invite = await Invite.findOneAndUpdate(
+            { _id: inviteId, room: roomId },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+        if (!invite) {
+            return res.status(404).json({ error: "Invite not found" });
+        }
+        // Sockets that joined with the link lose access now, not at their next join
+        await disconnectFromRoom(roomId, { inviteId: String(invite._id) });
+        res.json(toInviteResponse(invite));
+    } catch (err) {
+        console.error("Revoke Invite Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
@@ -0,0 +1,15 @@
+import { getPresenceScope, getRoomPresence } from "../services/roomManager.js";
+
+export const getPresence = (req, res) => {
+    try {
+        // With several instances, each one only sees its own sockets
+        res.json({
+            roomId: req.params.roomId,
+            ...getPresenceScope(),
+            users: getRoomPresence(req.params.roomId),
+        });
+    } catch (err) {
+        console.error("Get Presence Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+import Room from "../models/Room.js";
+import User from "../models/User.js";
+import { hasLoggedUpdates, ROLES } from "../middleware/roomAccess.js";
+import { disconnectFromRoom } from "../services/roomManager.js";
+
+const USER_FIELDS = "email displayName avatar";
+
+const toMember = (user) => ({
+    id: user._id,
+    email: user.email,
+    displayName: user.displayName,
+    avatar: user.avatar,
+});
+
+export const getAccess = async (req, res) => {
+    try {
+        // Boards without a Room document yet have no access lists (req.room is a stand-in)
+        const room = await Room.findById(req.params.roomId)
+            .select("owner editors viewers")
+            .populate("owner editors viewers", USER_FIELDS) ?? req.room;
+
+        res.json({
+            roomId: req.params.roomId,
+            role: req.roomRole,
+            owner: room.owner ? toMember(room.owner) : null,
+            editors: room.editors.map(toMember),
+            viewers: room.viewers.map(toMember),
+        });
+    } catch (err) {
+        console.error("Get Access Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+export const grantAccess = async (req, res) => {
+    const { userId, email, role } = req.body;
+
+    if (role !== ROLES.EDITOR && role !== ROLES.VIEWER) {
+        return res.status(400).json({ error: "role must be 'editor' or 'viewer'" });
+    }
+    if (!userId && !email) {
+        return res.status(400).json({ error: "userId or email is required" });
+    }
+    if (userId && !mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ error: "Invalid userId" });
+    }
+
+    try {
+        const user = userId ? await User.findById(userId) : await User.findOne({ email });
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+        if (String(req.room.owner) === String(user._id)) {
+            return res.status(400).json({ error: "The owner already has full access" });
+        }
+
+        // Move the user into exactly one list
+        const [grantList, otherList] = role === ROLES.EDITOR
+            ? ["editors", "viewers"]
+            : ["viewers", "editors"];
+        await Room.updateOne(
+            { _id: req.params.roomId },
+            { $addToSet: { [grantList]: user._id }, $pull: { [otherList]: user._id } }
+        );
+
+        // Open sockets keep the role they joined with; a former editor rejoins read-only
+        const downgraded = role === ROLES.VIEWER
+            && (req.room.editors || []).some((e) => String(e) === String(user._id));
+        if (downgraded) {
+            await disconnectFromRoom(req.params.roomId, { userId: String(user._id), reason: "Access changed" });
+        }
+
+        res.json({ roomId: req.params.roomId, user: toMember(user), role });
+    } catch (err) {
+        console.error("Grant Access Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+export const revokeAccess = async (req, res) => {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ error: "Invalid userId" });
+    }
+    if (String(req.room.owner) === String(userId)) {
+        return res.status(400).json({ error: "The owner's access cannot be revoked" });
+    }
+
+    try {
+        await Room.updateOne(
+            { _id: req.params.roomId },
+            { $pull: { editors: userId, viewers: userId } }
+        );
+        // The user's open sockets lose access now, not at their next join
+        await disconnectFromRoom(req.params.roomId, { userId: String(userId) });
+        res.json({ roomId: req.params.roomId, userId, role: null });
+    } catch (err) {
+        console.error("Revoke Access Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+// Assigns an owner to a board that predates room ownership (admin only)
+export const claimRoom = async (req, res) => {
+    const { roomId } = req.params;
+    const userId = req.body?.userId ?? req.userId;
+
+    if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ error: "Invalid userId" });
+    }
+
+    try {
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        const filter = { _id: roomId, owner: null };
+        const update = { $set: { owner: user._id }, $pull: { editors: user._id, viewers: user._id } };
+        const result = await Room.updateOne(filter, update);
+        if (result.matchedCount === 0) {
+            const room = await Room.findById(roomId).select("owner");
+            if (room) {
+                return res.status(409).json({ error: "Room already has an owner" });
+            }
+            if (!(await hasLoggedUpdates(roomId))) {
+                return res.status(404).json({ error: "Room not found" });
+            }
+            // Board without a Room document yet; a concurrent owner makes the upsert collide
+            try {
+                await Room.updateOne(filter, update, { upsert: true });
+            } catch (err) {
+                if (err.code !== 11000) throw err;
+                return res.status(409).json({ error: "Room already has an owner" });
+            }
+        }
+
+        res.json({ roomId, owner: toMember(user) });
+    } catch (err) {
+        console.error("Claim Room Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+import * as Y from "yjs";
+import Snapshot from "../models/Snapshot.js";
+import { encodeRoomState, withLiveRoom } from "../services/roomManager.js";
+import { restoreDocState } from "../utils/docRestore.js";
+import { dropInvalidShapes } from "../utils/shapeGuard.js";
+import { decodeDoc } from "../utils/boardState.js";
+import { toAuthor } from "../utils/authors.js";
+
+const MAX_NAME_LENGTH = 100;
+
+const toSnapshotResponse = (snapshot) => ({
+    id: snapshot._id,
+    roomId: snapshot.room,
+    name: snapshot.name,
+    size: snapshot.data ? snapshot.data.length : undefined,
+    createdBy: toAuthor(snapshot.createdBy),
+    createdAt: snapshot.createdAt,
+});
+
+export const createSnapshot = async (req, res) => {
+    const { roomId } = req.params;
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ error: `name is required (max ${MAX_NAME_LENGTH} characters)` });
+    }
+
+    try {
+        const state = (await encodeRoomState(roomId)) || Y.encodeStateAsUpdate(new Y.Doc());
+        const snapshot = await Snapshot.create({
+            room: roomId,
+            name,
+            data: Buffer.from(state),
+            createdBy: req.userId || null,
+        });
+
+        res.status(201).json(toSnapshotResponse(snapshot));
+    } catch (err) {
+        console.error("Create Snapshot Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+export const listSnapshots = async (req, res) => {
+    try {
+        const snapshots = await Snapshot.find({ room: req.params.roomId })
+            .select("-data")
+            .sort({ createdAt: -1 })
+            .populate("createdBy", "displayName avatar");
+
+        res.json({
+            roomId: req.params.roomId,
+            snapshots: snapshots.map(toSnapshotResponse),
+        });
+    } catch (err) {
+        console.error("List Snapshots Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
+
+export const restoreSnapshot = async (req, res) => {
+    const { roomId, snapshotId } = req.params;
+
+    if (!mongoose.isValidObjectId(snapshotId)) {
+        return res.status(400).json({ error: "Invalid snapshotId" });
+    }
+
+    try {
+        const snapshot = await Snapshot.findOne({ _id: snapshotId, room: roomId });
+        if (!snapshot) {
+            return res.status(404).json({ error: "Snapshot not found" });
+        }
+
+        const { backup, changedRoots, skipped } = await withLiveRoom(roomId, async (room) => {
+            // Save the pre-restore state first, so the restore can always be undone
+            const before = Y.encodeStateAsUpdate(room.doc);
+            const backup = await Snapshot.create({
+                room: roomId,
+                name: `Before restoring "${snapshot.name}"`.slice(0, MAX_NAME_LENGTH),
+                data: Buffer.from(before),
+                createdBy: req.userId || null,
+            });
+
+            // Edits that arrived while the backup was saved are part of what gets replaced
+            const latest = Y.encodeStateAsUpdate(room.doc);
+
+            // Old snapshots may hold shapes the current schema rejects
+            const target = decodeDoc(new Uint8Array(snapshot.data));
+            const skipped = dropInvalidShapes(target, room.doc);
+            const origin = { source: "restore", userId: req.userId || null, inviteId: req.invite?.id ?? null, snapshotId };
+            const result = restoreDocState(room.doc, Y.encodeStateAsUpdate(target), origin);
+            target.destroy();
+
+            if (!Buffer.from(latest).equals(Buffer.from(before))) {
+                try {
+                    await Snapshot.updateOne({ _id: backup._id }, { $set: { data: Buffer.from(latest) } });
+                    backup.data = Buffer.from(latest);
+                } catch (err) {
+                    console.error(`❌ [${roomId}] Could not add concurrent edits to the restore backup:`, err);
+                }
+            }
+            return { backup, changedRoots: result.changedRoots, skipped };
+        });
+
+        if (skipped.length > 0) {
+            console.warn(`🚫 [${roomId}] Left out ${skipped.length} invalid shape(s) from snapshot "${snapshot.name}"`);
+        }
+        console.log(`⏪ [${roomId}] Restored snapshot "${snapshot.name}" (${changedRoots.join(", ") || "no changes"})`);
+        res.json({
+            restored: toSnapshotResponse(snapshot),
+            backup: toSnapshotResponse(backup),
+            changedRoots,
+            skipped,
+        });
+    } catch (err) {
+        console.error("Restore Snapshot Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
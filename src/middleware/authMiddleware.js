@@ -11,9 +11,25 @@ export const protect = (req, res, next) => {
 
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Invite tokens are signed with the same secret but are not user sessions
+        if (decoded.invite) {
+            return res.status(401).json({ error: "Invite tokens are not accepted here" });
+        }
         req.userId = decoded.userId;
         next();
     } catch (err) {
         return res.status(401).json({ error: "Invalid or expired token" });
     }
 };
+
+/**
+ * Requires an administrator account, listed by id in ADMIN_USER_IDS (comma-separated).
+ * Must run after `protect`.
+ */
+export const requireAdmin = (req, res, next) => {
+    const admins = (process.env.ADMIN_USER_IDS || "").split(",").map((id) => id.trim()).filter(Boolean);
+    if (!req.userId || !admins.includes(String(req.userId))) {
+        return res.status(403).json({ error: "Admin access required" });
+    }
+    next();
+};
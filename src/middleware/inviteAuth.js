@@ -0,0 +1,81 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Invite from "../models/Invite.js";
+
+/**
+ * Signs the token for an invite link. Invite tokens carry an `invite` claim
+ * instead of `userId`, so they are never accepted as a user session.
+ * @param {Object} invite - Invite document
+ * @returns {string}
+ */
+export const signInviteToken = (invite) => {
+    const expiresIn = Math.max(1, Math.floor((invite.expiresAt.getTime() - Date.now()) / 1000));
+    return jwt.sign(
+        { invite: String(invite._id), roomId: invite.room, role: invite.role },
+        process.env.JWT_SECRET,
+        { expiresIn }
+    );
+};
+
+/**
+ * Looks up an invite that is usable for a room right now. Invites whose uses are
+ * all spent are not usable, with or without `consume`.
+ * With `consume`, atomically counts one use.
+ * @param {string} inviteId
+ * @param {string} roomId
+ * @param {{ consume?: boolean }} options
+ * @returns {Promise<Object|null>} The invite, or null if revoked, expired, exhausted or for another room
+ */
+export const findActiveInvite = async (inviteId, roomId, { consume = false } = {}) => {
+    if (!mongoose.isValidObjectId(inviteId)) return null;
+
+    const filter = {
+        _id: inviteId,
+        room: roomId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }],
+    };
+
+    if (!consume) {
+        return Invite.findOne(filter);
+    }
+
+    return Invite.findOneAndUpdate(filter, { $inc: { uses: 1 } }, { new: true });
+};
+
+/**
+ * Like `protect`, but for routes under /:roomId that also accept an invite token
+ * for that room. Sets req.userId for users or req.invite ({ id, role }) for invites.
+ */
+export const protectRoom = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+        return res.status(401).json({ error: "No token provided" });
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET);
+    } catch {
+        return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    if (!decoded.invite) {
+        req.userId = decoded.userId;
+        return next();
+    }
+
+    try {
+        const invite = await findActiveInvite(decoded.invite, req.params.roomId);
+        if (!invite) {
+            return res.status(401).json({ error: "Invite is invalid, expired, revoked or used up" });
+        }
+        req.invite = { id: String(invite._id), role: invite.role };
+        next();
+    } catch (err) {
+        console.error("Invite Auth Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
@@ -0,0 +1,122 @@
+import Room from "../models/Room.js";
+import RoomUpdate from "../models/RoomUpdate.js";
+
+export const ROLES = {
+    VIEWER: "viewer",
+    EDITOR: "editor",
+    OWNER: "owner",
+};
+
+const ROLE_RANK = {
+    [ROLES.VIEWER]: 1,
+    [ROLES.EDITOR]: 2,
+    [ROLES.OWNER]: 3,
+};
+
+/**
+ * Resolves a user's role in a room from its access lists
+ * @param {Object} room - Room document (owner, editors, viewers)
+ * @param {string|null} userId - Authenticated user ID, or null for anonymous
+ * @returns {string|null} One of ROLES, or null when the user has no access
+ */
+export const getRoomRole = (room, userId) => {
+    // Unclaimed rooms keep the original open behaviour
+    if (!room || !room.owner) return ROLES.EDITOR;
+    if (!userId) return null;
+
+    const id = String(userId);
+    if (String(room.owner) === id) return ROLES.OWNER;
+    if ((room.editors || []).some((e) => String(e) === id)) return ROLES.EDITOR;
+    if ((room.viewers || []).some((v) => String(v) === id)) return ROLES.VIEWER;
+    return null;
+};
+
+/**
+ * Checks whether a role satisfies a minimum required role
+ * @param {string|null} role
+ * @param {string} minRole
+ * @returns {boolean}
+ */
+export const hasRole = (role, minRole) => {
+    return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+/**
+ * Whether a room already holds a board: updates are logged before the first
+ * snapshot creates its Room document
+ * @param {string} roomId
+ * @returns {Promise<boolean>}
+ */
+export const hasLoggedUpdates = async (roomId) => Boolean(await RoomUpdate.exists({ room: roomId }));
+
+/**
+ * Resolves the role of a user joining a room over WebSocket.
+ * The first authenticated user to open a new room becomes its owner. Rooms that
+ * already hold a board without an owner predate ownership: they stay open until
+ * an admin assigns an owner (POST /:roomId/claim), so nobody can take them over
+ * by guessing their URL.
+ * @param {string} roomId
+ * @param {string|null} userId
+ * @returns {Promise<string|null>}
+ */
+export const resolveSocketRole = async (roomId, userId) => {
+    const room = await Room.findById(roomId).select("owner editors viewers");
+
+    if (room || !userId) {
+        return getRoomRole(room, userId);
+    }
+    if (await hasLoggedUpdates(roomId)) {
+        return getRoomRole(null, userId);
+    }
+
+    // Claim the new room; a concurrent claim leaves this a no-op
+    try {
+        await Room.create({ _id: roomId, owner: userId });
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+    }
+
+    const claimed = await Room.findById(roomId).select("owner editors viewers");
+    return getRoomRole(claimed, userId);
+};
+
+// Stands in for the Room document of a board that has none yet: unclaimed and open
+const unsavedRoom = (roomId) => ({ _id: roomId, owner: null, editors: [], viewers: [] });
+
+/**
+ * Express middleware: loads req.params.roomId and requires a minimum role.
+ * Must run after `protect` or `protectRoom`; invite holders get the invite's role.
+ * Sets req.room and req.roomRole. Boards without a Room document yet are resolved
+ * like resolveSocketRole does: as unclaimed rooms (req.room has no createdAt).
+ * @param {string} minRole - One of ROLES
+ * @param {{ allowMissing?: boolean }} [options] - allowMissing passes through with req.room = null
+ *   when the room does not exist, for endpoints that create it
+ */
+export const requireRoomRole = (minRole, { allowMissing = false } = {}) => async (req, res, next) => {
+    try {
+        const { roomId } = req.params;
+        const room = await Room.findById(roomId)
+            ?? (await hasLoggedUpdates(roomId) ? unsavedRoom(roomId) : null);
+
+        if (!room && allowMissing) {
+            req.room = null;
+            req.roomRole = null;
+            return next();
+        }
+        if (!room) {
+            return res.status(404).json({ error: "Room not found" });
+        }
+
+        const role = req.invite ? req.invite.role : getRoomRole(room, req.userId);
+        if (!hasRole(role, minRole)) {
+            return res.status(403).json({ error: "Insufficient room permissions" });
+        }
+
+        req.room = room;
+        req.roomRole = role;
+        next();
+    } catch (err) {
+        console.error("Room Access Error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+};
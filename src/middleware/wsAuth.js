@@ -0,0 +1,90 @@
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { CLOSE_CODES } from "../utils/closeCodes.js";
+
+// Subprotocol marker: clients send ["access_token", <jwt>] as Sec-WebSocket-Protocol
+export const TOKEN_PROTOCOL = "access_token";
+
+/**
+ * Parses the URL of a WebSocket upgrade request.
+ * The request line comes straight from the client, so it may not be a valid URL.
+ * @param {import('http').IncomingMessage} req - The upgrade request
+ * @returns {URL|null} null if the URL cannot be parsed
+ */
+export const parseSocketUrl = (req) => {
+    try {
+        return new URL(req.url, "http://localhost");
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Extracts a JWT from a WebSocket upgrade request.
+ * Checks the `token` query parameter first, then the Sec-WebSocket-Protocol header.
+ * @param {import('http').IncomingMessage} req - The upgrade request
+ * @returns {string|null} The raw token, or null if none was sent
+ */
+export const getSocketToken = (req) => {
+    const queryToken = parseSocketUrl(req)?.searchParams.get("token");
+    if (queryToken) return queryToken;
+
+    const header = req.headers["sec-websocket-protocol"];
+    if (!header) return null;
+
+    const protocols = header.split(",").map((p) => p.trim());
+    const index = protocols.indexOf(TOKEN_PROTOCOL);
+    if (index === -1 || !protocols[index + 1]) return null;
+
+    return protocols[index + 1];
+};
+
+/**
+ * Picks the subprotocol echoed back to the client.
+ * Browsers abort the handshake if they offer protocols and the server picks none.
+ * @param {Set<string>} protocols - Protocols offered by the client
+ * @returns {string|false}
+ */
+export const handleProtocols = (protocols) => {
+    return protocols.has(TOKEN_PROTOCOL) ? TOKEN_PROTOCOL : false;
+};
+
+/**
+ * Authenticates a WebSocket upgrade request with the same JWT issued by googleAuth.
+ * @param {import('http').IncomingMessage} req - The upgrade request
+ * @param {{ allowAnonymous?: boolean }} options
+ * @returns {Promise<{ ok: boolean, user?: Object|null, invite?: Object, code?: number, error?: string }>}
+ */
+export const authenticateSocket = async (req, { allowAnonymous = false } = {}) => {
+    const token = getSocketToken(req);
+
+    if (!token) {
+        if (allowAnonymous) {
+            return { ok: true, user: null };
+        }
+        return { ok: false, code: CLOSE_CODES.UNAUTHORIZED, error: "No token provided" };
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch {
+        return { ok: false, code: CLOSE_CODES.UNAUTHORIZED, error: "Invalid or expired token" };
+    }
+
+    // Invite links stand in for a user JWT; the room role is resolved by the caller
+    if (decoded.invite) {
+        return { ok: true, user: null, invite: decoded };
+    }
+
+    try {
+        const user = await User.findById(decoded.userId);
+        if (!user) {
+            return { ok: false, code: CLOSE_CODES.UNAUTHORIZED, error: "User not found" };
+        }
+        return { ok: true, user };
+    } catch (err) {
+        console.error("WebSocket Auth Error:", err);
+        return { ok: false, code: CLOSE_CODES.INTERNAL_ERROR, error: "Server error" };
+    }
+};
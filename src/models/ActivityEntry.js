@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// One burst of edits to a room's shapes by one actor (see activityLog.js)
+const activityEntrySchema = new mongoose.Schema(
+    {
+        room: {
+            type: String,
+            ref: "Room",
+            required: true,
+        },
+        // null for anonymous sockets, invite links and server-side writes without a user
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        // Invite used by the socket, if any
+        invite: {
+            type: String,
+            default: null,
+        },
+        // How the edit arrived: "socket", "rest", "import", "restore", "property-update"
+        source: {
+            type: String,
+            required: true,
+        },
+        created: [String],
+        modified: [String],
+        deleted: [String],
+        startedAt: {
+            type: Date,
+            required: true,
+        },
+        endedAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    { timestamps: false }
+);
+
+activityEntrySchema.index({ room: 1, _id: -1 });
+activityEntrySchema.index({ room: 1, user: 1, _id: -1 });
+
+const ActivityEntry = mongoose.model("ActivityEntry", activityEntrySchema);
+
+export default ActivityEntry;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Message in a room's chat channel (WebSocket type 6)
+const chatMessageSchema = new mongoose.Schema(
+    {
+        room: {
+            type: String,
+            ref: "Room",
+            required: true,
+        },
+        // null for anonymous and invite-link sockets
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        text: {
+            type: String,
+            required: true,
+            maxlength: 2000,
+        },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// History is paged newest first by _id
+chatMessageSchema.index({ room: 1, _id: -1 });
+
+const ChatMessage = mongoose.model("ChatMessage", chatMessageSchema);
+
+export default ChatMessage;
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+const commentSchema = new mongoose.Schema(
+    {
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        body: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 5000,
+        },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Review discussion on a board, anchored to a shape or to a point on the canvas
+const commentThreadSchema = new mongoose.Schema(
+    {
+        room: {
+            type: String,
+            ref: "Room",
+            required: true,
+            index: true,
+        },
+        // shapeId for shape threads; x, y is the canvas point, or the shape's
+        // last known position once the shape is deleted
+        anchor: {
+            shapeId: { type: String, default: null },
+            x: { type: Number, default: null },
+            y: { type: Number, default: null },
+        },
+        // The anchored shape was deleted; cleared if it comes back (e.g. undo)
+        orphaned: {
+            type: Boolean,
+            default: false,
+        },
+        orphanedAt: {
+            type: Date,
+            default: null,
+        },
+        resolved: {
+            type: Boolean,
+            default: false,
+        },
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        resolvedAt: {
+            type: Date,
+            default: null,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // The first comment opens the thread, the rest are replies
+        comments: [commentSchema],
+    },
+    { timestamps: true }
+);
+
+commentThreadSchema.index({ room: 1, "anchor.shapeId": 1 });
+
+const CommentThread = mongoose.model("CommentThread", commentThreadSchema);
+
+export default CommentThread;
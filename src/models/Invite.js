@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Share link granting a room role to anyone holding its signed token
+const inviteSchema = new mongoose.Schema(
+    {
+        room: {
+            type: String,
+            ref: "Room",
+            required: true,
+            index: true,
+        },
+        role: {
+            type: String,
+            enum: ["viewer", "editor"],
+            required: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        // null means unlimited; otherwise the number of WebSocket joins allowed
+        maxUses: {
+            type: Number,
+            default: null,
+        },
+        uses: {
+            type: Number,
+            default: 0,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+const Invite = mongoose.model("Invite", inviteSchema);
+
+export default Invite;
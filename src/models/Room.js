@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const roomSchema = new mongoose.Schema(
+    {
+        _id: String,
+        // Yjs document state (Y.encodeStateAsUpdate)
+        data: Buffer,
+        // Rooms without an owner are unclaimed and open to everyone
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        editors: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+        viewers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    },
+    { timestamps: true }
+);
+
+const Room = mongoose.model("Room", roomSchema);
+
+export default Room;
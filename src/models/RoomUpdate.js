@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// Append-only log of incremental Yjs updates, compacted into Room.data
+// and retained as edit history for point-in-time queries
+const roomUpdateSchema = new mongoose.Schema(
+    {
+        room: {
+            type: String,
+            ref: "Room",
+            required: true,
+            index: true,
+        },
+        // A single Yjs update as emitted by doc.on('update')
+        data: {
+            type: Buffer,
+            required: true,
+        },
+        // Already included in Room.data; kept only as history
+        compacted: {
+            type: Boolean,
+            default: false,
+        },
+        // Merge of all history up to createdAt (pruned history or a pre-log snapshot)
+        base: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+roomUpdateSchema.index({ room: 1, createdAt: 1 });
+
+const RoomUpdate = mongoose.model("RoomUpdate", roomUpdateSchema);
+
+export default RoomUpdate;
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Named copy of a room's Yjs state that can be restored into the live document
+const snapshotSchema = new mongoose.Schema(
+    {
+        room: {
+            type: String,
+            ref: "Room",
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+        // Y.encodeStateAsUpdate of the room at creation time
+        data: {
+            type: Buffer,
+            required: true,
+        },
+        // null when created through an invite link
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const Snapshot = mongoose.model("Snapshot", snapshotSchema);
+
+export default Snapshot;
@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { claimRoom, getAccess, grantAccess, revokeAccess } from "../controllers/roomAccessController.js";
+import { protect, requireAdmin } from "../middleware/authMiddleware.js";
+import { requireRoomRole, ROLES } from "../middleware/roomAccess.js";
+
+const router = Router();
+
+router.get("/:roomId/access", protect, requireRoomRole(ROLES.VIEWER), getAccess);
+router.put("/:roomId/access", protect, requireRoomRole(ROLES.OWNER), grantAccess);
+router.delete("/:roomId/access/:userId", protect, requireRoomRole(ROLES.OWNER), revokeAccess);
+router.post("/:roomId/claim", protect, requireAdmin, claimRoom);
+
+export default router;
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { getActivity } from "../controllers/activityController.js";
+import { protectRoom } from "../middleware/inviteAuth.js";
+import { requireRoomRole, ROLES } from "../middleware/roomAccess.js";
+
+const router = Router();
+
+router.get("/:roomId/activity", protectRoom, requireRoomRole(ROLES.VIEWER), getActivity);
+
+export default router;
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { listMessages } from "../controllers/chatController.js";
+import { protectRoom } from "../middleware/inviteAuth.js";
+import { requireRoomRole, ROLES } from "../middleware/roomAccess.js";
+
+const router = Router();
+
+router.get("/:roomId/messages", protectRoom, requireRoomRole(ROLES.VIEWER), listMessages);
+
+export default router;
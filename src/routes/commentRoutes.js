@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { listThreads, createThread, addReply, resolveThread, reopenThread } from "../controllers/commentController.js";
+import { protectRoom } from "../middleware/inviteAuth.js";
+import { requireRoomRole, ROLES } from "../middleware/roomAccess.js";
+
+const router = Router();
+
+// Viewers can take part in reviews; resolving also needs editor access or authorship
+router.get("/:roomId/comments", protectRoom, requireRoomRole(ROLES.VIEWER), listThreads);
+router.post("/:roomId/comments", protectRoom, requireRoomRole(ROLES.VIEWER), createThread);
+router.post("/:roomId/comments/:threadId/replies", protectRoom, requireRoomRole(ROLES.VIEWER), addReply);
+router.post("/:roomId/comments/:threadId/resolve", protectRoom, requireRoomRole(ROLES.VIEWER), resolveThread);
+router.post("/:roomId/comments/:threadId/reopen", protectRoom, requireRoomRole(ROLES.VIEWER), reopenThread);
+
+export default router;
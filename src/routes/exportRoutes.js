@@ -0,0 +1,17 @@
+import express, { Router } from "express";
+import { exportJson, exportPng, exportSvg } from "../controllers/exportController.js";
+import { importBoard } from "../controllers/importController.js";
+import { protectRoom } from "../middleware/inviteAuth.js";
+import { requireRoomRole, ROLES } from "../middleware/roomAccess.js";
+
+const router = Router();
+
+// Board files can be far larger than other request bodies (IMPORT_BODY_LIMIT); parsed once access is checked
+const parseBoardBody = express.json({ limit: process.env.IMPORT_BODY_LIMIT || "5mb" });
+
+router.get("/:roomId/export.svg", protectRoom, requireRoomRole(ROLES.VIEWER), exportSvg);
+router.get("/:roomId/export.png", protectRoom, requireRoomRole(ROLES.VIEWER), exportPng);
+router.get("/:roomId/export.json", protectRoom, requireRoomRole(ROLES.VIEWER), exportJson);
+router.post("/:roomId/import", protectRoom, requireRoomRole(ROLES.EDITOR, { allowMissing: true }), parseBoardBody, importBoard);
+
+export default router;
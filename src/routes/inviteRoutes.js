@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { createInvite, listInvites, revokeInvite } from "../controllers/inviteController.js";
+import { protect } from "../middleware/authMiddleware.js";
+import { requireRoomRole, ROLES } from "../middleware/roomAccess.js";
+
+const router = Router();
+
+router.post("/:roomId/invites", protect, requireRoomRole(ROLES.OWNER), createInvite);
+router.get("/:roomId/invites", protect, requireRoomRole(ROLES.OWNER), listInvites);
+router.delete("/:roomId/invites/:inviteId", protect, requireRoomRole(ROLES.OWNER), revokeInvite);
+
+export default router;
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { getPresence } from "../controllers/presenceController.js";
+import { protectRoom } from "../middleware/inviteAuth.js";
+import { requireRoomRole, ROLES } from "../middleware/roomAccess.js";
+
+const router = Router();
+
+router.get("/:roomId/presence", protectRoom, requireRoomRole(ROLES.VIEWER), getPresence);
+
+export default router;
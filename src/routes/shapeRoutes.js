@@ -1,46 +1,72 @@
 import express from 'express';
-import * as Y from 'yjs';
+import { protectRoom } from '../middleware/inviteAuth.js';
+import { requireRoomRole, ROLES } from '../middleware/roomAccess.js';
+import { loadRoomStateAt } from '../services/roomPersistence.js';
+import { encodeRoomState, withLiveRoom } from '../services/roomManager.js';
+import { decodeDoc, getShapes, diffShapes } from '../utils/boardState.js';
+import { applyShapeOperations } from '../utils/shapeOps.js';
+import { parseTimestamp } from '../utils/timestamps.js';
 
 const router = express.Router();
 
+const MAX_BULK_OPERATIONS = 500;
+
 /**
- * GET /api/rooms/:roomId/shapes
- * Returns shapes data from a room's Yjs document
+ * Loads the shapes of a room, now or at a point in time
+ * @returns {Promise<{ shapes?: Array<Object>, error?: string }>} error when the state at `at` cannot be rebuilt
  */
-router.get('/:roomId/shapes', async (req, res) => {
+const loadShapes = async (req, at) => {
     const { roomId } = req.params;
 
-    try {
-        // Import Room model dynamically to avoid circular dependency
-        const mongoose = await import('mongoose');
-        const Room = mongoose.default.model('Room');
+    if (at) {
+        const { update, tooManyUpdates } = await loadRoomStateAt(roomId, at);
+        if (tooManyUpdates) {
+            return { error: 'Too many edits to replay for that time' };
+        }
+        return update ? { shapes: getShapes(decodeDoc(update)) } : { error: 'History is not retained for that time' };
+    }
 
-        const room = await Room.findById(roomId);
+    // Live document if the room is loaded, so REST writes are visible immediately
+    return { shapes: getShapes(decodeDoc(await encodeRoomState(roomId))) };
+};
 
-        if (!room || !room.data) {
-            return res.status(404).json({
-                error: 'Room not found',
-                roomId
-            });
-        }
+/**
+ * Applies shape operations to the room's live document in one transaction,
+ * so connected clients receive them through the normal update broadcast
+ * @returns {Promise<Object>} Result of applyShapeOperations
+ */
+const writeShapes = (req, operations) => {
+    const origin = { source: 'rest', userId: req.userId || null, inviteId: req.invite?.id ?? null };
+    return withLiveRoom(req.params.roomId, async (room) => applyShapeOperations(room.doc, operations, origin));
+};
+
+/**
+ * GET /api/rooms/:roomId/shapes
+ * Returns shapes data from a room's Yjs document (live state when the room is loaded)
+ * With ?at=<timestamp>, returns the shapes as they were at that moment
+ * Requires viewer access to the room (user token or invite link)
+ */
+router.get('/:roomId/shapes', protectRoom, requireRoomRole(ROLES.VIEWER), async (req, res) => {
+    const { roomId } = req.params;
 
-        // Decode Yjs document
-        const doc = new Y.Doc();
-        Y.applyUpdate(doc, new Uint8Array(room.data));
+    let at = null;
+    if (req.query.at !== undefined) {
+        at = parseTimestamp(req.query.at);
+        if (!at) {
+            return res.status(400).json({ error: 'Invalid timestamp', at: req.query.at });
+        }
+    }
 
-        // Extract shapes from Y.Map (assuming 'shapes' is the key)
-        const shapesMap = doc.getMap('shapes');
-        const shapes = [];
+    try {
+        const { shapes, error } = await loadShapes(req, at);
 
-        shapesMap.forEach((value, key) => {
-            shapes.push({
-                id: key,
-                ...value
-            });
-        });
+        if (error) {
+            return res.status(400).json({ error, at });
+        }
 
         res.json({
             roomId,
+            ...(at && { at }),
             count: shapes.length,
             shapes
         });
@@ -55,24 +81,62 @@ router.get('/:roomId/shapes', async (req, res) => {
 });
 
 /**
- * GET /api/rooms/:roomId/shape/:shapeId
- * Returns a specific shape by ID
+ * GET /api/rooms/:roomId/shapes/diff?from=<timestamp>&to=<timestamp>
+ * Lists shapes added, removed and modified between two points in time
+ * (to defaults to the current state), with property-level changes
+ * Requires viewer access to the room (user token or invite link)
  */
-router.get('/:roomId/shape/:shapeId', async (req, res) => {
-    const { roomId, shapeId } = req.params;
+router.get('/:roomId/shapes/diff', protectRoom, requireRoomRole(ROLES.VIEWER), async (req, res) => {
+    const { roomId } = req.params;
 
-    try {
-        const mongoose = await import('mongoose');
-        const Room = mongoose.default.model('Room');
+    const from = parseTimestamp(req.query.from);
+    const to = req.query.to === undefined ? null : parseTimestamp(req.query.to);
+
+    if (!from || (req.query.to !== undefined && !to)) {
+        return res.status(400).json({ error: 'from (and optional to) must be valid timestamps' });
+    }
+    if (to && to < from) {
+        return res.status(400).json({ error: 'to must not be earlier than from' });
+    }
 
-        const room = await Room.findById(roomId);
+    try {
+        const [before, after] = await Promise.all([loadShapes(req, from), loadShapes(req, to)]);
 
-        if (!room || !room.data) {
-            return res.status(404).json({ error: 'Room not found' });
+        const error = before.error || after.error;
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        const doc = new Y.Doc();
-        Y.applyUpdate(doc, new Uint8Array(room.data));
+        const diff = diffShapes(before.shapes, after.shapes);
+
+        res.json({
+            roomId,
+            from,
+            to: to || new Date(),
+            summary: {
+                added: diff.added.length,
+                removed: diff.removed.length,
+                modified: diff.modified.length
+            },
+            ...diff
+        });
+
+    } catch (err) {
+        console.error(`❌ Error diffing shapes for room ${roomId}:`, err);
+        res.status(500).json({ error: 'Failed to diff shapes' });
+    }
+});
+
+/**
+ * GET /api/rooms/:roomId/shape/:shapeId
+ * Returns a specific shape by ID
+ * Requires viewer access to the room (user token or invite link)
+ */
+router.get('/:roomId/shape/:shapeId', protectRoom, requireRoomRole(ROLES.VIEWER), async (req, res) => {
+    const { roomId, shapeId } = req.params;
+
+    try {
+        const doc = decodeDoc(await encodeRoomState(roomId));
 
         const shapesMap = doc.getMap('shapes');
         const shape = shapesMap.get(shapeId);
@@ -95,4 +159,99 @@ router.get('/:roomId/shape/:shapeId', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/rooms/:roomId/shapes
+ * Creates a shape from { id?, type, ...properties } (an id is generated if omitted)
+ * Requires editor access to the room
+ */
+router.post('/:roomId/shapes', protectRoom, requireRoomRole(ROLES.EDITOR), async (req, res) => {
+    try {
+        const result = await writeShapes(req, [{ op: 'create', shape: req.body }]);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json(result.results[0].shape);
+
+    } catch (err) {
+        console.error(`❌ Error creating shape in room ${req.params.roomId}:`, err);
+        res.status(500).json({ error: 'Failed to create shape' });
+    }
+});
+
+/**
+ * POST /api/rooms/:roomId/shapes/bulk
+ * Applies { operations: [{ op: 'create', shape } | { op: 'update', id, properties } | { op: 'delete', id }] }
+ * atomically: either every operation is applied in one transaction or none is
+ * Requires editor access to the room
+ */
+router.post('/:roomId/shapes/bulk', protectRoom, requireRoomRole(ROLES.EDITOR), async (req, res) => {
+    const { operations } = req.body || {};
+
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BULK_OPERATIONS) {
+        return res.status(400).json({ error: `operations must be a list of 1 to ${MAX_BULK_OPERATIONS} operations` });
+    }
+
+    try {
+        const result = await writeShapes(req, operations);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.error, index: result.index });
+        }
+
+        res.json({
+            roomId: req.params.roomId,
+            count: result.results.length,
+            results: result.results
+        });
+
+    } catch (err) {
+        console.error(`❌ Error applying bulk shape operations in room ${req.params.roomId}:`, err);
+        res.status(500).json({ error: 'Failed to apply shape operations' });
+    }
+});
+
+/**
+ * PATCH /api/rooms/:roomId/shapes/:shapeId
+ * Merges properties into a shape, with the same validation as WebSocket property updates
+ * Requires editor access to the room
+ */
+router.patch('/:roomId/shapes/:shapeId', protectRoom, requireRoomRole(ROLES.EDITOR), async (req, res) => {
+    const { shapeId } = req.params;
+
+    try {
+        const result = await writeShapes(req, [{ op: 'update', id: shapeId, properties: req.body }]);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.error, shapeId });
+        }
+
+        res.json(result.results[0].shape);
+
+    } catch (err) {
+        console.error(`❌ Error updating shape ${shapeId}:`, err);
+        res.status(500).json({ error: 'Failed to update shape' });
+    }
+});
+
+/**
+ * DELETE /api/rooms/:roomId/shapes/:shapeId
+ * Removes a shape
+ * Requires editor access to the room
+ */
+router.delete('/:roomId/shapes/:shapeId', protectRoom, requireRoomRole(ROLES.EDITOR), async (req, res) => {
+    const { shapeId } = req.params;
+
+    try {
+        const result = await writeShapes(req, [{ op: 'delete', id: shapeId }]);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.error, shapeId });
+        }
+
+        res.status(204).end();
+
+    } catch (err) {
+        console.error(`❌ Error deleting shape ${shapeId}:`, err);
+        res.status(500).json({ error: 'Failed to delete shape' });
+    }
+});
+
 export default router;
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { createSnapshot, listSnapshots, restoreSnapshot } from "../controllers/snapshotController.js";
+import { protectRoom } from "../middleware/inviteAuth.js";
+import { requireRoomRole, ROLES } from "../middleware/roomAccess.js";
+
+const router = Router();
+
+router.get("/:roomId/snapshots", protectRoom, requireRoomRole(ROLES.VIEWER), listSnapshots);
+router.post("/:roomId/snapshots", protectRoom, requireRoomRole(ROLES.EDITOR), createSnapshot);
+router.post("/:roomId/snapshots/:snapshotId/restore", protectRoom, requireRoomRole(ROLES.EDITOR), restoreSnapshot);
+
+export default router;
@@ -0,0 +1,152 @@
+// Attributed activity log: which shapes each actor created, modified or deleted.
+// Edits are grouped per actor into bursts; a burst is written once the actor has
+// been idle for ACTIVITY_BURST_MS, or when the room is flushed.
+import { WebSocket } from "ws";
+import ActivityEntry from "../models/ActivityEntry.js";
+import { toAuthor } from "../utils/authors.js";
+
+const DEFAULT_BURST_MS = 5000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Idle time that ends a burst (ACTIVITY_BURST_MS)
+const getBurstDelay = () => {
+    const value = parseInt(process.env.ACTIVITY_BURST_MS, 10);
+    return Number.isNaN(value) || value < 0 ? DEFAULT_BURST_MS : value;
+};
+
+/**
+ * Identifies who made an edit from its transaction origin: the sending socket,
+ * or a server-side origin such as { source: "rest", userId, inviteId? }
+ * @returns {{ key: any, user: any, invite: string|null, source: string }} key groups edits into bursts
+ */
+const describeOrigin = (origin) => {
+    if (origin instanceof WebSocket) {
+        return { key: origin, user: origin.user?._id ?? null, invite: origin.inviteId ?? null, source: "socket" };
+    }
+    if (origin && typeof origin.source === "string") {
+        const user = origin.userId ?? null;
+        const invite = origin.inviteId ?? null;
+        return { key: `${origin.source}:${user ?? ""}:${invite ?? ""}`, user, invite, source: origin.source };
+    }
+    return { key: "unknown", user: null, invite: null, source: "unknown" };
+};
+
+/**
+ * Adds one transaction's key changes of the 'shapes' map to a burst, keeping the
+ * net effect: a shape created and deleted within a burst is not logged
+ */
+const applyChanges = (burst, keyChanges) => {
+    keyChanges.forEach(({ action }, shapeId) => {
+        if (action === "add") {
+            if (burst.deleted.delete(shapeId)) burst.modified.add(shapeId);
+            else burst.created.add(shapeId);
+        } else if (action === "update") {
+            if (!burst.created.has(shapeId)) burst.modified.add(shapeId);
+        } else if (action === "delete") {
+            if (burst.created.delete(shapeId)) return;
+            burst.modified.delete(shapeId);
+            burst.deleted.add(shapeId);
+        }
+    });
+};
+
+/**
+ * Creates the activity recorder of one room
+ * @param {string} roomId
+ * @returns {{ record: (origin: any, keyChanges: Map<string, { action: string }>) => void, flush: () => Promise<void>, bursts: Map }}
+ */
+export const createActivityRecorder = (roomId) => {
+    const bursts = new Map();
+
+    const write = async (key) => {
+        const burst = bursts.get(key);
+        if (!burst) return;
+        bursts.delete(key);
+        clearTimeout(burst.timer);
+
+        if (burst.created.size === 0 && burst.modified.size === 0 && burst.deleted.size === 0) return;
+        try {
+            await ActivityEntry.create({
+                room: roomId,
+                user: burst.user,
+                invite: burst.invite,
+                source: burst.source,
+                created: [...burst.created],
+                modified: [...burst.modified],
+                deleted: [...burst.deleted],
+                startedAt: burst.startedAt,
+                endedAt: burst.endedAt,
+            });
+        } catch (e) {
+            // The activity log is informational; never hold up the room for it
+            console.error(`❌ Activity Log Error for ${roomId}:`, e);
+        }
+    };
+
+    /**
+     * Records the key changes of the 'shapes' map made by one transaction
+     */
+    const record = (origin, keyChanges) => {
+        const actor = describeOrigin(origin);
+        let burst = bursts.get(actor.key);
+        if (!burst) {
+            burst = { ...actor, created: new Set(), modified: new Set(), deleted: new Set(), startedAt: new Date(), timer: null };
+            bursts.set(actor.key, burst);
+        }
+
+        applyChanges(burst, keyChanges);
+        burst.endedAt = new Date();
+
+        clearTimeout(burst.timer);
+        burst.timer = setTimeout(() => write(actor.key), getBurstDelay());
+    };
+
+    // Writes every open burst
+    const flush = async () => {
+        await Promise.all([...bursts.keys()].map(write));
+    };
+
+    return { record, flush, bursts };
+};
+
+/**
+ * Lists a room's activity, newest first
+ * @param {string} roomId
+ * @param {{ user?: string, from?: Date, to?: Date, before?: string, limit?: number }} options -
+ *   from/to bound when a burst ended; before is the id of the oldest entry already loaded
+ * @returns {Promise<{ entries: Array<Object>, nextBefore: string|null }>}
+ */
+export const listActivity = async (roomId, { user, from, to, before, limit = DEFAULT_PAGE_SIZE } = {}) => {
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const filter = { room: roomId };
+    if (user) filter.user = user;
+    if (before) filter._id = { $lt: before };
+    if (from || to) {
+        filter.endedAt = {};
+        if (from) filter.endedAt.$gte = from;
+        if (to) filter.endedAt.$lte = to;
+    }
+
+    // One extra entry tells whether there is an older page
+    const found = await ActivityEntry.find(filter)
+        .sort({ _id: -1 })
+        .limit(pageSize + 1)
+        .populate("user", "displayName avatar");
+
+    const page = found.slice(0, pageSize);
+    return {
+        entries: page.map((entry) => ({
+            id: entry._id,
+            user: toAuthor(entry.user),
+            invite: entry.invite,
+            source: entry.source,
+            created: entry.created,
+            modified: entry.modified,
+            deleted: entry.deleted,
+            startedAt: entry.startedAt,
+            endedAt: entry.endedAt,
+        })),
+        nextBefore: found.length > pageSize ? String(page[page.length - 1]._id) : null,
+    };
+};
@@ -0,0 +1,80 @@
+// Room chat: validating, storing and paging messages (WebSocket type 6)
+import ChatMessage from "../models/ChatMessage.js";
+import { toAuthor } from "../utils/authors.js";
+
+export const MAX_CHAT_LENGTH = 2000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Converts a stored message into its API/WebSocket representation
+ * @param {Object} message - ChatMessage document
+ * @returns {{ id, roomId, author, text, createdAt }}
+ */
+export const toChatResponse = (message) => ({
+    id: message._id,
+    roomId: message.room,
+    author: toAuthor(message.author),
+    text: message.text,
+    createdAt: message.createdAt,
+});
+
+/**
+ * Validates the JSON payload of a chat message sent by a client
+ * @param {Uint8Array} payload - Expected: { text }
+ * @returns {{ text?: string, error?: string }}
+ */
+export const parseChatPayload = (payload) => {
+    let data;
+    try {
+        data = JSON.parse(new TextDecoder().decode(payload));
+    } catch {
+        return { error: "Chat messages must be JSON" };
+    }
+
+    const text = typeof data?.text === "string" ? data.text.trim() : "";
+    if (!text) {
+        return { error: "text is required" };
+    }
+    if (text.length > MAX_CHAT_LENGTH) {
+        return { error: `Chat messages are limited to ${MAX_CHAT_LENGTH} characters` };
+    }
+    return { text };
+};
+
+/**
+ * Stores a chat message
+ * @param {string} roomId
+ * @param {Object|null} user - User document of the sender, null for anonymous and invite sockets
+ * @param {string} text - Validated text (see parseChatPayload)
+ * @returns {Promise<Object>} The message as sent to clients
+ */
+export const postChatMessage = async (roomId, user, text) => {
+    const message = await ChatMessage.create({ room: roomId, author: user ? user._id : null, text });
+    return toChatResponse({ ...message.toObject(), author: user });
+};
+
+/**
+ * Loads one page of a room's history, newest page first, each page in chronological order
+ * @param {string} roomId
+ * @param {{ before?: string, limit?: number }} options - before: id of the oldest message already loaded
+ * @returns {Promise<{ messages: Array<Object>, nextBefore: string|null }>} nextBefore pages further back
+ */
+export const listChatMessages = async (roomId, { before, limit = DEFAULT_PAGE_SIZE } = {}) => {
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const filter = { room: roomId };
+    if (before) filter._id = { $lt: before };
+
+    // One extra message tells whether there is an older page
+    const found = await ChatMessage.find(filter)
+        .sort({ _id: -1 })
+        .limit(pageSize + 1)
+        .populate("author", "displayName avatar");
+
+    const page = found.slice(0, pageSize).reverse();
+    return {
+        messages: page.map(toChatResponse),
+        nextBefore: found.length > pageSize ? String(page[0]._id) : null,
+    };
+};
@@ -0,0 +1,76 @@
+// Comment threads: response shape and keeping shape anchors in step with the document
+import CommentThread from "../models/CommentThread.js";
+import { toAuthor } from "../utils/authors.js";
+
+// Populated on every thread returned to clients
+export const AUTHOR_PATHS = ["createdBy", "resolvedBy", "comments.author"];
+
+/**
+ * Converts a thread document into its API/WebSocket representation
+ * @param {Object} thread - CommentThread document
+ * @returns {Object}
+ */
+export const toThreadResponse = (thread) => ({
+    id: thread._id,
+    roomId: thread.room,
+    anchor: {
+        shapeId: thread.anchor.shapeId ?? null,
+        x: thread.anchor.x ?? null,
+        y: thread.anchor.y ?? null,
+    },
+    orphaned: thread.orphaned,
+    orphanedAt: thread.orphanedAt,
+    resolved: thread.resolved,
+    resolvedBy: toAuthor(thread.resolvedBy),
+    resolvedAt: thread.resolvedAt,
+    createdBy: toAuthor(thread.createdBy),
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+    comments: thread.comments.map((comment) => ({
+        id: comment._id,
+        author: toAuthor(comment.author),
+        body: comment.body,
+        createdAt: comment.createdAt,
+    })),
+});
+
+/**
+ * Orphans the threads of deleted shapes, keeping the shape's last position as
+ * their anchor point, and reattaches orphaned threads whose shape was added back
+ * @param {string} roomId
+ * @param {{ deleted: Map<string, Object>, added: string[] }} changes - Deleted shapes
+ *   (id → last value) and ids of added shapes
+ * @returns {Promise<Array<{ event: string, thread: Object }>>} Events for the threads that changed
+ */
+export const updateShapeAnchors = async (roomId, { deleted, added }) => {
+    const shapeIds = [...deleted.keys(), ...added];
+    if (shapeIds.length === 0) return [];
+
+    const threads = await CommentThread.find({ room: roomId, "anchor.shapeId": { $in: shapeIds } })
+        .populate(AUTHOR_PATHS.map((path) => ({ path, select: "displayName avatar" })));
+
+    const events = [];
+    for (const thread of threads) {
+        const shapeId = thread.anchor.shapeId;
+
+        if (deleted.has(shapeId) && !thread.orphaned) {
+            const shape = deleted.get(shapeId);
+            thread.orphaned = true;
+            thread.orphanedAt = new Date();
+            if (Number.isFinite(shape?.x) && Number.isFinite(shape?.y)) {
+                thread.anchor.x = shape.x;
+                thread.anchor.y = shape.y;
+            }
+            events.push({ event: "thread.orphaned", thread });
+        } else if (added.includes(shapeId) && thread.orphaned) {
+            thread.orphaned = false;
+            thread.orphanedAt = null;
+            events.push({ event: "thread.reattached", thread });
+        } else {
+            continue;
+        }
+        await thread.save();
+    }
+
+    return events.map(({ event, thread }) => ({ event, thread: toThreadResponse(thread) }));
+};
@@ -0,0 +1,91 @@
+// Writes type 3 property updates (resize/rotate) into a room's 'shapes' map.
+// A gesture sends many updates per second; they are merged per sender and shape and
+// written when the gesture ends or after a short delay, one transaction per sender.
+import { applyShapeOperations } from "../utils/shapeOps.js";
+
+const DEFAULT_FLUSH_MS = 500;
+
+/**
+ * Transaction origin for a sender's coalesced property updates (broadcast to every
+ * client, sender included), so the activity log records who made them
+ * @param {{ userId?: any, inviteId?: string }} [actor]
+ */
+export const propertyUpdateOrigin = ({ userId = null, inviteId = null } = {}) => ({
+    source: "property-update",
+    userId,
+    inviteId,
+});
+
+// Opt-in: PERSIST_PROPERTY_UPDATES=true
+export const isPropertyPersistenceEnabled = () => process.env.PERSIST_PROPERTY_UPDATES === "true";
+
+// Longest a gesture's properties wait before being written (PROPERTY_UPDATE_FLUSH_MS)
+const getFlushDelay = () => {
+    const value = parseInt(process.env.PROPERTY_UPDATE_FLUSH_MS, 10);
+    return Number.isNaN(value) || value < 0 ? DEFAULT_FLUSH_MS : value;
+};
+
+/**
+ * Creates the property update buffer of one room
+ * @param {Y.Doc} doc - The room document
+ * @param {string} roomId - For logging
+ * @returns {{ add: (update: Object, actor?: Object) => void, flush: () => Array<Object>, pending: Map<string, Object> }}
+ */
+export const createPropertyCoalescer = (doc, roomId) => {
+    // Map<actorKey, { origin, shapes: Map<objectId, properties> }> merged since the last flush
+    const pending = new Map();
+    let timer = null;
+
+    /**
+     * Writes every pending shape, one transaction per sender. Updates for shapes
+     * that no longer exist or that would make a shape invalid are dropped.
+     * @returns {Array<{ id: string, error: string }>} Dropped updates
+     */
+    const flush = () => {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        if (pending.size === 0) return [];
+
+        const batches = [...pending.values()];
+        pending.clear();
+
+        const dropped = [];
+        batches.forEach(({ origin, shapes }) => {
+            doc.transact(() => {
+                shapes.forEach((properties, id) => {
+                    const result = applyShapeOperations(doc, [{ op: "update", id, properties }], origin);
+                    if (!result.ok) dropped.push({ id, error: result.error });
+                });
+            }, origin);
+        });
+
+        if (dropped.length > 0) {
+            console.warn(`⚠️ [${roomId}] Dropped ${dropped.length} property update(s): ${dropped.map((d) => `${d.id} (${d.error})`).join(", ")}`);
+        }
+        return dropped;
+    };
+
+    /**
+     * Buffers a validated property update ({ objectId, properties, final? }) from
+     * a sender ({ userId, inviteId }); `final: true` marks the end of a gesture and
+     * writes immediately
+     */
+    const add = ({ objectId, properties, final }, actor = {}) => {
+        const origin = propertyUpdateOrigin(actor);
+        const key = `${origin.userId ?? ""}:${origin.inviteId ?? ""}`;
+        if (!pending.has(key)) pending.set(key, { origin, shapes: new Map() });
+
+        const { shapes } = pending.get(key);
+        shapes.set(objectId, { ...shapes.get(objectId), ...properties });
+
+        if (final) {
+            flush();
+        } else if (!timer) {
+            timer = setTimeout(flush, getFlushDelay());
+        }
+    };
+
+    return { add, flush, pending };
+};
@@ -0,0 +1,83 @@
+// Pub/sub adapters connect server instances that hold the same room.
+//
+// An adapter is any object with:
+//   publish(channel, message: Uint8Array)          → Promise|void
+//   subscribe(channel, handler(message))           → Promise<unsubscribe>|unsubscribe
+//   acquireLock(key, owner, ttlMs)                 → Promise<boolean>; true if `owner` now holds the
+//                                                    lock (taking it when free or expired, renewing it
+//                                                    when already held)
+//   releaseLock(key, owner)                        → Promise|void; no-op unless `owner` holds it
+//   close()                                        → optional
+//
+// Messages are delivered to every subscriber, the publisher included.
+import { pathToFileURL } from "url";
+import path from "path";
+
+/**
+ * In-process pub/sub: every adapter from the same hub shares channels and locks,
+ * which lets tests run several "instances" in one process
+ * @returns {{ connect: () => Object }}
+ */
+export const createMemoryPubSub = () => {
+    const channels = new Map(); // Map<channel, Set<handler>>
+    const locks = new Map(); // Map<key, { owner, expiresAt }>
+
+    const connect = () => {
+        const subscriptions = new Set();
+
+        const subscribe = (channel, handler) => {
+            if (!channels.has(channel)) channels.set(channel, new Set());
+            channels.get(channel).add(handler);
+
+            const unsubscribe = () => {
+                channels.get(channel)?.delete(handler);
+                subscriptions.delete(unsubscribe);
+            };
+            subscriptions.add(unsubscribe);
+            return unsubscribe;
+        };
+
+        // Delivered asynchronously, like a network round trip
+        const publish = (channel, message) => {
+            const handlers = [...(channels.get(channel) ?? [])];
+            queueMicrotask(() => handlers.forEach((handler) => handler(message)));
+        };
+
+        const acquireLock = async (key, owner, ttlMs) => {
+            const lock = locks.get(key);
+            if (lock && lock.owner !== owner && lock.expiresAt > Date.now()) return false;
+            locks.set(key, { owner, expiresAt: Date.now() + ttlMs });
+            return true;
+        };
+
+        const releaseLock = async (key, owner) => {
+            if (locks.get(key)?.owner === owner) locks.delete(key);
+        };
+
+        const close = () => {
+            [...subscriptions].forEach((unsubscribe) => unsubscribe());
+        };
+
+        return { publish, subscribe, acquireLock, releaseLock, close };
+    };
+
+    return { connect };
+};
+
+/**
+ * Loads an adapter from a module whose default export (or `createPubSubAdapter`)
+ * is a factory returning an adapter, e.g. PUBSUB_ADAPTER=./adapters/redis.js
+ * @param {string} specifier - Package name, or a path relative to the working directory
+ * @returns {Promise<Object>} The adapter
+ */
+export const loadPubSubAdapter = async (specifier) => {
+    const url = specifier.startsWith(".") || path.isAbsolute(specifier)
+        ? pathToFileURL(path.resolve(specifier)).href
+        : specifier;
+    const mod = await import(url);
+    const factory = mod.default ?? mod.createPubSubAdapter;
+    if (typeof factory !== "function") {
+        throw new Error(`${specifier} does not export a pub/sub adapter factory`);
+    }
+    return factory();
+};
@@ -0,0 +1,503 @@
+// In-memory room registry: one live Y.Doc per room, persisted to MongoDB
+import { WebSocket } from "ws";
+import * as Y from "yjs";
+import * as syncProtocol from "y-protocols/sync";
+import * as awarenessProtocol from "y-protocols/awareness";
+import { encoding } from "lib0";
+import { randomUUID } from "crypto";
+import { loadRoomState, appendUpdate, compactRoom, seedHistory } from "./roomPersistence.js";
+import { createPropertyCoalescer } from "./propertyUpdates.js";
+import { attachRoomSync, publishDisconnect, REMOTE_ORIGIN } from "./roomSync.js";
+import { updateShapeAnchors } from "./comments.js";
+import { createActivityRecorder } from "./activityLog.js";
+import { encodeCommentEvent } from "../utils/messages.js";
+import { CLOSE_CODES } from "../utils/closeCodes.js";
+
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_COMPACTION_THRESHOLD = 200;
+
+// Transaction origin for state loaded from MongoDB
+const LOAD_ORIGIN = Symbol("load");
+
+// Map<RoomID, { doc: Y.Doc, clients: Set<WebSocket>, awarenessClients: Map<WebSocket, Set<number>>, ready: Promise, flush: Function, compact: Function, properties, activity, sync, idleTimer }>
+export const rooms = new Map();
+
+// Rooms currently flushing before unload: Map<RoomID, Promise>
+const evictions = new Map();
+
+// Pub/sub adapter shared with other instances (null when running alone)
+let pubsub = null;
+const instanceId = randomUUID();
+
+/**
+ * Syncs rooms with other server instances through a pub/sub adapter (see pubsub.js).
+ * Must be set before any room is loaded.
+ * @param {Object|null} adapter
+ */
+export const setPubSubAdapter = (adapter) => {
+    pubsub = adapter;
+};
+
+// How long an empty room stays loaded (ROOM_IDLE_TIMEOUT_MS, 0 = unload immediately)
+const getIdleTimeout = () => {
+    const value = parseInt(process.env.ROOM_IDLE_TIMEOUT_MS, 10);
+    return Number.isNaN(value) || value < 0 ? DEFAULT_IDLE_TIMEOUT_MS : value;
+};
+
+// Logged updates that trigger a snapshot (ROOM_COMPACTION_THRESHOLD)
+const getCompactionThreshold = () => {
+    const value = parseInt(process.env.ROOM_COMPACTION_THRESHOLD, 10);
+    return Number.isNaN(value) || value < 1 ? DEFAULT_COMPACTION_THRESHOLD : value;
+};
+
+/**
+ * Helper: Broadcast a message to all clients in a specific room
+ */
+export const broadcastToRoom = (roomId, message, excludeClient = null) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    room.clients.forEach(client => {
+        if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
+            client.send(message);
+        }
+    });
+};
+
+const cancelEviction = (room) => {
+    if (room.idleTimer) {
+        clearTimeout(room.idleTimer);
+        room.idleTimer = null;
+    }
+};
+
+/**
+ * Sends a client message (ephemeral or property update) to the room's clients
+ * on this and every other instance
+ */
+export const relayToRoom = (roomId, message, excludeClient = null) => {
+    broadcastToRoom(roomId, message, excludeClient);
+    rooms.get(roomId)?.sync?.publishRelay(message);
+};
+
+// Closes this instance's sockets in a room that joined with the invite or account
+const closeRevokedClients = (roomId, { inviteId, userId, reason = "Access revoked" }) => {
+    rooms.get(roomId)?.clients.forEach((client) => {
+        const revoked = (inviteId && client.inviteId === inviteId)
+            || (userId && client.user && String(client.user._id) === String(userId));
+        if (revoked && client.readyState === WebSocket.OPEN) {
+            client.close(CLOSE_CODES.FORBIDDEN, reason);
+        }
+    });
+};
+
+/**
+ * Closes the sockets that joined a room with a revoked invite or account,
+ * on this and every other instance. They are rejected if they reconnect, or
+ * rejoin with their new role when it was only lowered.
+ * @param {string} roomId
+ * @param {{ inviteId?: string, userId?: string, reason?: string }} target - reason is the close reason
+ */
+export const disconnectFromRoom = async (roomId, target) => {
+    closeRevokedClients(roomId, target);
+    if (pubsub) {
+        try {
+            await publishDisconnect(pubsub, instanceId, roomId, target);
+        } catch (e) {
+            console.error(`❌ Pub/sub publish error for ${roomId}:`, e);
+        }
+    }
+};
+
+/**
+ * Helper: Setup a new Room (One-time initialization)
+ * Resolves once the room's data has been loaded from MongoDB.
+ * Waits for an in-flight eviction so a rejoining client sees the flushed state.
+ */
+export const getOrCreateRoom = async (roomId) => {
+    if (evictions.has(roomId)) {
+        await evictions.get(roomId);
+    }
+
+    if (rooms.has(roomId)) {
+        const room = rooms.get(roomId);
+        cancelEviction(room);
+        await room.ready;
+        return room;
+    }
+
+    console.log(`📂 Creating/Loading Room: ${roomId}`);
+    const doc = new Y.Doc();
+
+    // Important: Initialize Awareness correctly
+    doc.awareness = new awarenessProtocol.Awareness(doc);
+
+    // awarenessClients: the awareness clientIDs each socket controls, removed when it leaves
+    const roomState = { doc, clients: new Set(), awarenessClients: new Map(), idleTimer: null };
+    rooms.set(roomId, roomState);
+
+    // A. Load Data from MongoDB (snapshot + logged updates)
+    const loggedIds = [];
+    roomState.ready = (async () => {
+        try {
+            const { update, ids, bytes, snapshot } = await loadRoomState(roomId);
+            if (update) {
+                Y.applyUpdate(doc, update, LOAD_ORIGIN);
+                console.log(`✅ Loaded ${bytes} bytes (${ids.length} logged updates) for ${roomId}`);
+            }
+            loggedIds.push(...ids);
+
+            if (snapshot && ids.length === 0) {
+                await seedHistory(roomId, snapshot);
+            }
+        } catch (e) {
+            console.error(`⚠️ DB Load Error for ${roomId}:`, e);
+        }
+    })();
+
+    // B. Setup Persistence (append each update, compact into a snapshot periodically)
+    const pendingWrites = new Set();
+    let unlogged = false; // an append failed; only a snapshot can capture that update
+    let compacting = null;
+
+    const compact = async () => {
+        if (compacting) return compacting;
+
+        compacting = (async () => {
+            await Promise.all(pendingWrites);
+            if (!ownsPersistence()) return;
+            if (loggedIds.length === 0 && !unlogged) return;
+
+            // Capture IDs and encode in the same tick so the snapshot covers them
+            const ids = loggedIds.splice(0);
+            const wasUnlogged = unlogged;
+            unlogged = false;
+            try {
+                await compactRoom(roomId, doc, ids);
+                console.log(`💾 Compacted ${ids.length} updates for ${roomId}`);
+            } catch (e) {
+                loggedIds.unshift(...ids);
+                unlogged = unlogged || wasUnlogged;
+                throw e;
+            }
+        })();
+
+        try {
+            await compacting;
+        } finally {
+            compacting = null;
+        }
+    };
+
+    const compactInBackground = () => {
+        compact().catch((e) => console.error("❌ Compaction Error:", e));
+    };
+
+    // With a pub/sub adapter only the instance holding the room's lock writes it
+    const ownsPersistence = () => !roomState.sync || roomState.sync.ownsPersistence();
+
+    // The previous owner may have stopped before logging every update: snapshot
+    // everything this instance holds and mark the log it left as compacted
+    const takeOverPersistence = async () => {
+        try {
+            const { ids } = await loadRoomState(roomId);
+            const known = new Set(loggedIds.map(String));
+            loggedIds.push(...ids.filter((id) => !known.has(String(id))));
+            unlogged = true;
+            await compact();
+        } catch (e) {
+            console.error(`❌ Takeover Error for ${roomId}:`, e);
+        }
+    };
+
+    const saveToDB = (update) => {
+        if (!ownsPersistence()) return;
+
+        const write = appendUpdate(roomId, update)
+            .then((id) => {
+                loggedIds.push(id);
+                if (loggedIds.length >= getCompactionThreshold()) compactInBackground();
+            })
+            .catch((e) => {
+                console.error("❌ Save Error:", e);
+                unlogged = true;
+                compactInBackground();
+            })
+            .finally(() => pendingWrites.delete(write));
+        pendingWrites.add(write);
+    };
+
+    // Buffered type 3 property updates (only used with PERSIST_PROPERTY_UPDATES)
+    roomState.properties = createPropertyCoalescer(doc, roomId);
+
+    // Shape edits per actor, for GET /activity
+    roomState.activity = createActivityRecorder(roomId);
+
+    // Write buffered property updates and activity, then wait for in-flight appends;
+    // rejects if an update could not be persisted
+    roomState.flush = async () => {
+        roomState.properties.flush();
+        await roomState.activity.flush();
+        await Promise.all(pendingWrites);
+        if (unlogged) await compact();
+    };
+    roomState.compact = compact;
+
+    // C. Setup ONE Listener for Drawing Updates
+    doc.on('update', (update, origin) => {
+        if (origin === LOAD_ORIGIN) return; // already persisted, and no client has joined yet
+
+        // Save to DB
+        saveToDB(update);
+
+        // Share with other instances (remote updates are already shared)
+        if (origin !== REMOTE_ORIGIN) roomState.sync?.publishUpdate(update);
+
+        // Broadcast to clients (origin is the sending socket, excluded from the echo)
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, 0); // MessageSync
+        syncProtocol.writeUpdate(encoder, update);
+        broadcastToRoom(roomId, encoding.toUint8Array(encoder), origin);
+    });
+
+    // D. Setup ONE Listener for Awareness (Cursors)
+    doc.awareness.on('update', ({ added, updated, removed }, origin) => {
+        const changedClients = added.concat(updated).concat(removed);
+
+        if (roomState.clients.has(origin)) {
+            const controlled = roomState.awarenessClients.get(origin) ?? new Set();
+            added.concat(updated).forEach((clientID) => controlled.add(clientID));
+            removed.forEach((clientID) => controlled.delete(clientID));
+            roomState.awarenessClients.set(origin, controlled);
+        }
+
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, 1); // MessageAwareness
+        const awarenessUpdate = awarenessProtocol.encodeAwarenessUpdate(doc.awareness, changedClients);
+        encoding.writeVarUint8Array(encoder, awarenessUpdate);
+        broadcastToRoom(roomId, encoding.toUint8Array(encoder), origin);
+
+        if (origin !== REMOTE_ORIGIN) roomState.sync?.publishAwareness(awarenessUpdate);
+    });
+
+    // E. Log who changed which shapes, and orphan (or reattach) comment threads when
+    // their shape is deleted (or comes back); the instance where the edit happened does it for everyone
+    doc.getMap('shapes').observe((event) => {
+        const { origin } = event.transaction;
+        if (origin === LOAD_ORIGIN || origin === REMOTE_ORIGIN) return;
+
+        roomState.activity.record(origin, event.changes.keys);
+
+        const deleted = new Map();
+        const added = [];
+        event.changes.keys.forEach(({ action, oldValue }, shapeId) => {
+            if (action === 'delete') deleted.set(shapeId, oldValue);
+            if (action === 'add') added.push(shapeId);
+        });
+
+        updateShapeAnchors(roomId, { deleted, added })
+            .then((events) => events.forEach(({ event: name, thread }) => {
+                relayToRoom(roomId, encodeCommentEvent(name, thread));
+            }))
+            .catch((e) => console.error("❌ Comment Anchor Error:", e));
+    });
+
+    // F. Share the room with other instances once loaded
+    if (pubsub) {
+        const adapter = pubsub;
+        roomState.ready = roomState.ready.then(async () => {
+            try {
+                roomState.sync = await attachRoomSync(roomId, roomState, {
+                    adapter,
+                    instanceId,
+                    broadcast: (message) => broadcastToRoom(roomId, message),
+                    disconnect: (target) => closeRevokedClients(roomId, target),
+                    onOwnershipGained: takeOverPersistence,
+                });
+            } catch (e) {
+                console.error(`⚠️ Pub/sub Error for ${roomId}, room is not shared:`, e);
+            }
+        });
+    }
+
+    await roomState.ready;
+    return roomState;
+};
+
+/**
+ * Flushes a room's pending writes and compacts its log, then destroys its doc
+ * and awareness and removes it from memory. Does nothing if clients rejoined meanwhile.
+ * If the flush fails the room stays loaded and eviction is retried later.
+ */
+export const evictRoom = async (roomId) => {
+    const room = rooms.get(roomId);
+    if (!room || room.clients.size > 0 || evictions.has(roomId)) return;
+    cancelEviction(room);
+
+    const eviction = (async () => {
+        try {
+            await room.flush();
+        } catch (e) {
+            console.error(`❌ Flush Error for ${roomId}, keeping room loaded:`, e);
+            scheduleEviction(roomId);
+            return;
+        }
+
+        // Every update is already logged, so a failed compaction only delays it
+        try {
+            await room.compact();
+        } catch (e) {
+            console.error(`❌ Compaction Error for ${roomId}:`, e);
+        }
+
+        try {
+            await room.sync?.detach();
+        } catch (e) {
+            console.error(`❌ Pub/sub Error for ${roomId}:`, e);
+        }
+
+        rooms.delete(roomId);
+        room.doc.awareness.destroy();
+        room.doc.destroy();
+        console.log(`🧹 Unloaded idle room: ${roomId}`);
+    })();
+
+    evictions.set(roomId, eviction);
+    try {
+        await eviction;
+    } finally {
+        evictions.delete(roomId);
+    }
+};
+
+/**
+ * Starts the idle countdown for a room with no clients
+ */
+export const scheduleEviction = (roomId) => {
+    const room = rooms.get(roomId);
+    if (!room || room.clients.size > 0) return;
+
+    cancelEviction(room);
+    room.idleTimer = setTimeout(() => {
+        room.idleTimer = null;
+        evictRoom(roomId);
+    }, getIdleTimeout());
+};
+
+/**
+ * Encodes a room's current state: the live doc if loaded, otherwise what is persisted
+ * @param {string} roomId
+ * @returns {Promise<Uint8Array|null>} null for rooms with no data
+ */
+export const encodeRoomState = async (roomId) => {
+    const room = rooms.get(roomId);
+    if (room) {
+        await room.ready;
+        return Y.encodeStateAsUpdate(room.doc);
+    }
+
+    const { update } = await loadRoomState(roomId);
+    return update;
+};
+
+/**
+ * Runs `fn` against a room's live doc so the change syncs to connected clients.
+ * Rooms loaded only for this call are scheduled for idle eviction afterwards.
+ * @param {string} roomId
+ * @param {(room: Object) => any} fn
+ */
+export const withLiveRoom = async (roomId, fn) => {
+    const room = await getOrCreateRoom(roomId);
+    try {
+        return await fn(room);
+    } finally {
+        if (room.clients.size === 0) {
+            scheduleEviction(roomId);
+        }
+    }
+};
+
+/**
+ * Lists the sockets connected to a room on this instance with their identity and awareness states
+ * @param {string} roomId
+ * @returns {Array<Object>} Empty for rooms that are not loaded
+ */
+export const getRoomPresence = (roomId) => {
+    const room = rooms.get(roomId);
+    if (!room) return [];
+
+    const states = room.doc.awareness.getStates();
+    return [...room.clients].map((ws) => {
+        const clientIds = [...(room.awarenessClients.get(ws) ?? [])].filter((id) => states.has(id));
+        return {
+            user: ws.user ? { id: ws.user._id, displayName: ws.user.displayName, avatar: ws.user.avatar } : null,
+            role: ws.role ?? null,
+            invited: Boolean(ws.inviteId),
+            connectedAt: ws.connectedAt ? new Date(ws.connectedAt) : null,
+            lastActiveAt: ws.lastActiveAt ? new Date(ws.lastActiveAt) : null,
+            awareness: clientIds.map((clientId) => ({ clientId, state: states.get(clientId) })),
+        };
+    });
+};
+
+/**
+ * Which connections getRoomPresence lists: every connection ("server"), or only
+ * this instance's when rooms are shared through a pub/sub adapter ("instance")
+ * @returns {{ scope: 'server'|'instance', instanceId?: string }}
+ */
+export const getPresenceScope = () => (pubsub ? { scope: "instance", instanceId } : { scope: "server" });
+
+/**
+ * Removes a socket and its awareness states from its room, and schedules
+ * eviction once the room is empty
+ */
+export const leaveRoom = (roomId, ws) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    room.clients.delete(ws);
+
+    // Tell everyone the socket's cursors and presence are gone now, rather than at the awareness timeout
+    const controlled = room.awarenessClients.get(ws);
+    room.awarenessClients.delete(ws);
+    if (controlled && controlled.size > 0) {
+        awarenessProtocol.removeAwarenessStates(room.doc.awareness, [...controlled], null);
+    }
+
+    if (room.clients.size === 0) {
+        scheduleEviction(roomId);
+    }
+};
+
+/**
+ * Flushes the pending writes of every loaded room (used on shutdown).
+ * Waits for in-flight evictions too. Resolves with the IDs of rooms that failed to save.
+ */
+export const flushAllRooms = async () => {
+    const failed = [];
+
+    await Promise.all([...rooms.entries()].map(async ([roomId, room]) => {
+        cancelEviction(room);
+        try {
+            await room.flush();
+        } catch (e) {
+            console.error(`❌ Flush Error for ${roomId}:`, e);
+            failed.push(roomId);
+        }
+    }));
+    await Promise.allSettled(evictions.values());
+
+    return failed;
+};
+
+/**
+ * Stops sharing every loaded room and releases their persistence locks
+ * (used on shutdown, after flushAllRooms)
+ */
+export const detachPubSub = async () => {
+    if (!pubsub) return;
+
+    await Promise.allSettled([...rooms.values()].map((room) => room.sync?.detach()));
+    await pubsub.close?.();
+    pubsub = null;
+};
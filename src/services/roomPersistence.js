@@ -0,0 +1,194 @@
+// Room persistence: snapshot in Room.data plus an append-only RoomUpdate log.
+// Compacted updates are kept as history for ROOM_HISTORY_RETENTION_DAYS, then merged into a base entry.
+// Compaction also writes a base checkpoint every ROOM_HISTORY_CHECKPOINT_INTERVAL updates, so
+// point-in-time queries replay a bounded number of updates.
+import * as Y from "yjs";
+import Room from "../models/Room.js";
+import RoomUpdate from "../models/RoomUpdate.js";
+
+const DEFAULT_HISTORY_RETENTION_DAYS = 30;
+const DEFAULT_CHECKPOINT_INTERVAL = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most logged updates one point-in-time query merges after its checkpoint
+export const MAX_HISTORY_QUERY_UPDATES = 5000;
+
+const getHistoryRetentionMs = () => {
+    const value = parseFloat(process.env.ROOM_HISTORY_RETENTION_DAYS);
+    return (Number.isNaN(value) || value <= 0 ? DEFAULT_HISTORY_RETENTION_DAYS : value) * DAY_MS;
+};
+
+const getCheckpointInterval = () => {
+    const value = parseInt(process.env.ROOM_HISTORY_CHECKPOINT_INTERVAL, 10);
+    return Number.isNaN(value) || value < 1 ? DEFAULT_CHECKPOINT_INTERVAL : value;
+};
+
+const mergeEntries = (entries) => Y.mergeUpdates(entries.map((entry) => new Uint8Array(entry.data)));
+
+/**
+ * Loads a room's state by merging its snapshot with every update not yet compacted
+ * @param {string} roomId
+ * @param {Buffer|null} [snapshot] - Room.data if already fetched; looked up when omitted
+ * @returns {Promise<{ update: Uint8Array|null, ids: Array, bytes: number, snapshot: Buffer|null }>}
+ *   update is null for rooms with no data; ids are the logged updates included
+ */
+export const loadRoomState = async (roomId, snapshot) => {
+    if (snapshot === undefined) {
+        const room = await Room.findById(roomId).select("data");
+        snapshot = room ? room.data : null;
+    }
+
+    const logged = await RoomUpdate.find({ room: roomId, compacted: { $ne: true } }).sort({ _id: 1 });
+
+    const updates = [];
+    if (snapshot && snapshot.length > 0) {
+        updates.push(new Uint8Array(snapshot));
+    }
+    logged.forEach((entry) => updates.push(new Uint8Array(entry.data)));
+
+    return {
+        update: updates.length > 0 ? Y.mergeUpdates(updates) : null,
+        ids: logged.map((entry) => entry._id),
+        bytes: updates.reduce((sum, u) => sum + u.length, 0),
+        snapshot: snapshot || null,
+    };
+};
+
+/**
+ * Seeds the history of a room whose snapshot predates the update log,
+ * so point-in-time queries from now on include its existing content.
+ * @param {string} roomId
+ * @param {Buffer} snapshot - Room.data
+ * @param {Date} [since] - When the snapshot was last written; defaults to now
+ * @returns {Promise<Object|null>} The base entry, or null when nothing was seeded
+ */
+export const seedHistory = async (roomId, snapshot, since) => {
+    if (!snapshot || snapshot.length === 0) return null;
+    if (await RoomUpdate.exists({ room: roomId })) return null;
+
+    return RoomUpdate.create({ room: roomId, data: snapshot, compacted: true, base: true, ...(since && { createdAt: since }) });
+};
+
+/**
+ * Finds the base entry a point-in-time query starts from: the latest one at or
+ * before `at`. Rooms whose snapshot predates the update log and that have not
+ * been loaded since are seeded here.
+ * @returns {Promise<{ base: Object|null, retainedSince: Date|null }>} retainedSince is
+ *   set when `at` is older than the retained history
+ */
+const findHistoryBase = async (roomId, at) => {
+    const base = await RoomUpdate.findOne({ room: roomId, base: true, createdAt: { $lte: at } }).sort({ createdAt: -1 });
+    if (base) return { base, retainedSince: null };
+
+    // Without an earlier base, history is complete only if it starts with a logged update
+    const first = await RoomUpdate.findOne({ room: roomId }).sort({ createdAt: 1 });
+    if (first) {
+        return { base: null, retainedSince: first.base ? first.createdAt : null };
+    }
+
+    const room = await Room.findById(roomId).select("data updatedAt");
+    const seeded = await seedHistory(roomId, room?.data, room?.updatedAt);
+    if (!seeded) return { base: null, retainedSince: null };
+    return at < seeded.createdAt ? { base: null, retainedSince: seeded.createdAt } : { base: seeded, retainedSince: null };
+};
+
+/**
+ * Loads a room's state as it was at a point in time from its update history:
+ * the nearest base entry plus the updates logged after it
+ * @param {string} roomId
+ * @param {Date} at
+ * @returns {Promise<{ update: Uint8Array|null, retainedSince?: Date, tooManyUpdates?: boolean }>}
+ *   update is null when `at` is older than the retained history (see retainedSince), or when
+ *   more than MAX_HISTORY_QUERY_UPDATES updates follow the nearest base (tooManyUpdates)
+ */
+export const loadRoomStateAt = async (roomId, at) => {
+    const { base, retainedSince } = await findHistoryBase(roomId, at);
+    if (retainedSince) {
+        return { update: null, retainedSince };
+    }
+
+    const createdAt = base ? { $gte: base.createdAt, $lte: at } : { $lte: at };
+    const entries = await RoomUpdate.find({ room: roomId, base: { $ne: true }, createdAt })
+        .sort({ createdAt: 1 })
+        .limit(MAX_HISTORY_QUERY_UPDATES + 1);
+    if (entries.length > MAX_HISTORY_QUERY_UPDATES) {
+        return { update: null, tooManyUpdates: true };
+    }
+
+    const merged = base ? [base, ...entries] : entries;
+    return { update: merged.length > 0 ? mergeEntries(merged) : Y.encodeStateAsUpdate(new Y.Doc()) };
+};
+
+/**
+ * Appends one incremental update to the room's log
+ * @param {string} roomId
+ * @param {Uint8Array} update
+ * @returns {Promise<Object>} The _id of the logged update
+ */
+export const appendUpdate = async (roomId, update) => {
+    const entry = await RoomUpdate.create({ room: roomId, data: Buffer.from(update) });
+    return entry._id;
+};
+
+/**
+ * Merges compacted history older than the retention window into one base entry
+ * @param {string} roomId
+ */
+export const pruneHistory = async (roomId) => {
+    const cutoff = new Date(Date.now() - getHistoryRetentionMs());
+    const expired = await RoomUpdate.find({
+        room: roomId,
+        compacted: true,
+        createdAt: { $lt: cutoff },
+    }).sort({ createdAt: 1 });
+
+    if (expired.length < 2) return;
+
+    // Create the merged base before deleting, so readers never see a gap
+    await RoomUpdate.create({
+        room: roomId,
+        data: Buffer.from(mergeEntries(expired)),
+        compacted: true,
+        base: true,
+        createdAt: expired[expired.length - 1].createdAt,
+    });
+    await RoomUpdate.deleteMany({ _id: { $in: expired.map((entry) => entry._id) } });
+};
+
+/**
+ * Writes a base checkpoint of the full state once ROOM_HISTORY_CHECKPOINT_INTERVAL
+ * updates have been logged since the latest base
+ * @param {string} roomId
+ * @param {Uint8Array} state - Full document state
+ * @param {Date} at - Taken before `state` was encoded, so every update logged up to then is included
+ */
+export const checkpointHistory = async (roomId, state, at) => {
+    const latest = await RoomUpdate.findOne({ room: roomId, base: true }).sort({ createdAt: -1 });
+    const since = await RoomUpdate.countDocuments({
+        room: roomId,
+        base: { $ne: true },
+        ...(latest && { createdAt: { $gt: latest.createdAt } }),
+    });
+    if (since < getCheckpointInterval()) return;
+
+    await RoomUpdate.create({ room: roomId, data: Buffer.from(state), compacted: true, base: true, createdAt: at });
+};
+
+/**
+ * Writes the full document state as the room's snapshot, then marks the logged
+ * updates it covers as compacted. Updates logged after `ids` was captured are kept.
+ * @param {string} roomId
+ * @param {Y.Doc} doc - Live document (already contains every update in ids)
+ * @param {Array} ids - Logged update IDs covered by the snapshot
+ */
+export const compactRoom = async (roomId, doc, ids) => {
+    const encodedAt = new Date();
+    const binaryData = Y.encodeStateAsUpdate(doc);
+    await Room.findByIdAndUpdate(roomId, { data: Buffer.from(binaryData) }, { upsert: true });
+
+    if (ids.length > 0) {
+        await RoomUpdate.updateMany({ _id: { $in: ids } }, { $set: { compacted: true } });
+    }
+    await pruneHistory(roomId);
+    await checkpointHistory(roomId, binaryData, encodedAt);
+};
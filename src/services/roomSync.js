@@ -0,0 +1,168 @@
+// Keeps a room in step with the same room on other server instances through a
+// pub/sub adapter (see pubsub.js), and decides which instance persists it.
+import * as Y from "yjs";
+import * as awarenessProtocol from "y-protocols/awareness";
+import { encoding, decoding } from "lib0";
+
+// Envelope kinds on a room channel
+const KIND_UPDATE = 0; // Yjs update
+const KIND_AWARENESS = 1; // awareness update
+const KIND_RELAY = 2; // encoded WebSocket message (types 2 and 3) for local clients
+const KIND_SYNC_REQUEST = 3; // state vector of an instance that just loaded the room
+const KIND_DISCONNECT = 4; // JSON { inviteId?, userId?, reason? } whose sockets lost access
+
+const DEFAULT_LOCK_TTL_MS = 15 * 1000;
+
+// Transaction and awareness origin for changes received from other instances
+export const REMOTE_ORIGIN = Symbol("remote");
+
+// How long a persistence lock lasts without renewal (PUBSUB_LOCK_TTL_MS); renewed every third of it
+const getLockTtl = () => {
+    const value = parseInt(process.env.PUBSUB_LOCK_TTL_MS, 10);
+    return Number.isNaN(value) || value < 1000 ? DEFAULT_LOCK_TTL_MS : value;
+};
+
+const encodeEnvelope = (from, kind, payload) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarString(encoder, from);
+    encoding.writeVarUint(encoder, kind);
+    encoding.writeVarUint8Array(encoder, payload);
+    return encoding.toUint8Array(encoder);
+};
+
+const decodeEnvelope = (message) => {
+    const decoder = decoding.createDecoder(new Uint8Array(message));
+    return {
+        from: decoding.readVarString(decoder),
+        kind: decoding.readVarUint(decoder),
+        payload: decoding.readVarUint8Array(decoder),
+    };
+};
+
+/**
+ * Asks every instance holding a room to close the sockets that joined with an
+ * invite or account whose access was revoked (see the disconnect option below).
+ * Works whether or not the room is loaded on this instance.
+ * @param {Object} adapter - Pub/sub adapter
+ * @param {string} instanceId - This instance, which closes its own sockets itself
+ * @param {string} roomId
+ * @param {{ inviteId?: string, userId?: string, reason?: string }} target
+ */
+export const publishDisconnect = async (adapter, instanceId, roomId, target) => {
+    const payload = new TextEncoder().encode(JSON.stringify(target));
+    await adapter.publish(`room:${roomId}`, encodeEnvelope(instanceId, KIND_DISCONNECT, payload));
+};
+
+/**
+ * Subscribes a loaded room to its channel, asks other instances for anything it
+ * missed, and competes for the room's persistence lock. Only the lock holder
+ * writes the room to MongoDB; the others rely on it receiving their updates.
+ * @param {string} roomId
+ * @param {{ doc: Y.Doc }} room - Loaded room state
+ * @param {Object} options
+ * @param {Object} options.adapter - Pub/sub adapter
+ * @param {string} options.instanceId - Unique per server process
+ * @param {(message: Uint8Array) => void} options.broadcast - Sends a message to local clients
+ * @param {(target: { inviteId?: string, userId?: string, reason?: string }) => void} options.disconnect - Closes
+ *   local sockets whose access was revoked on another instance
+ * @param {() => Promise<void>} options.onOwnershipGained - Called when this instance takes over
+ *   persistence from another one, to write everything it holds
+ * @returns {Promise<{ publishUpdate: Function, publishAwareness: Function, publishRelay: Function, ownsPersistence: () => boolean, detach: () => Promise<void> }>}
+ */
+export const attachRoomSync = async (roomId, room, { adapter, instanceId, broadcast, disconnect, onOwnershipGained }) => {
+    const channel = `room:${roomId}`;
+    const lockKey = `room:${roomId}:persistence`;
+    let owner = false;
+    let detached = false;
+
+    const publish = (kind, payload) => {
+        Promise.resolve()
+            .then(() => adapter.publish(channel, encodeEnvelope(instanceId, kind, payload)))
+            .catch((e) => console.error(`❌ Pub/sub publish error for ${roomId}:`, e));
+    };
+
+    const handleMessage = (message) => {
+        if (detached) return;
+
+        let envelope;
+        try {
+            envelope = decodeEnvelope(message);
+        } catch (e) {
+            console.error(`❌ Malformed pub/sub message for ${roomId}:`, e);
+            return;
+        }
+        if (envelope.from === instanceId) return;
+
+        switch (envelope.kind) {
+            case KIND_UPDATE:
+                Y.applyUpdate(room.doc, envelope.payload, REMOTE_ORIGIN);
+                break;
+            case KIND_AWARENESS:
+                awarenessProtocol.applyAwarenessUpdate(room.doc.awareness, envelope.payload, REMOTE_ORIGIN);
+                break;
+            case KIND_RELAY:
+                broadcast(envelope.payload);
+                break;
+            case KIND_DISCONNECT:
+                try {
+                    disconnect?.(JSON.parse(new TextDecoder().decode(envelope.payload)));
+                } catch (e) {
+                    console.error(`❌ Malformed disconnect request for ${roomId}:`, e);
+                }
+                break;
+            case KIND_SYNC_REQUEST: {
+                // Reply with what the new instance is missing, and who is here
+                publish(KIND_UPDATE, Y.encodeStateAsUpdate(room.doc, envelope.payload));
+                const clients = [...room.doc.awareness.getStates().keys()];
+                if (clients.length > 0) {
+                    publish(KIND_AWARENESS, awarenessProtocol.encodeAwarenessUpdate(room.doc.awareness, clients));
+                }
+                break;
+            }
+        }
+    };
+
+    const renewOwnership = async ({ initial = false } = {}) => {
+        try {
+            const acquired = await adapter.acquireLock(lockKey, instanceId, getLockTtl());
+            if (detached) return;
+
+            if (acquired && !owner) {
+                owner = true;
+                console.log(`👑 Persisting room ${roomId} on this instance`);
+                // A fresh load already matches MongoDB; a takeover may hold unsaved updates
+                if (!initial) await onOwnershipGained();
+            } else if (!acquired && owner) {
+                owner = false;
+                console.warn(`⚠️ Lost persistence of room ${roomId} to another instance`);
+            }
+        } catch (e) {
+            console.error(`❌ Persistence lock error for ${roomId}:`, e);
+        }
+    };
+
+    const unsubscribe = await adapter.subscribe(channel, handleMessage);
+    await renewOwnership({ initial: true });
+    const renewTimer = setInterval(renewOwnership, getLockTtl() / 3);
+    renewTimer.unref?.();
+
+    publish(KIND_SYNC_REQUEST, Y.encodeStateVector(room.doc));
+
+    const detach = async () => {
+        detached = true;
+        clearInterval(renewTimer);
+        await unsubscribe?.();
+        if (owner) {
+            owner = false;
+            await adapter.releaseLock(lockKey, instanceId);
+        }
+    };
+
+    return {
+        publishUpdate: (update) => publish(KIND_UPDATE, update),
+        publishAwareness: (update) => publish(KIND_AWARENESS, update),
+        publishRelay: (message) => publish(KIND_RELAY, message),
+        ownsPersistence: () => owner,
+        detach,
+    };
+};
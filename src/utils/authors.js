@@ -0,0 +1,13 @@
+// Public representation of the users referenced by stored documents
+
+/**
+ * Converts a user reference into { id, displayName, avatar }.
+ * References are populated User documents for responses, but bare ObjectIds right after a write.
+ * @param {Object|string|null} user - Populated user, ObjectId, or null
+ * @returns {{ id: any, displayName?: string, avatar?: string }|null}
+ */
+export const toAuthor = (user) => {
+    if (!user) return null;
+    if (!user.displayName) return { id: user };
+    return { id: user._id, displayName: user.displayName, avatar: user.avatar };
+};
@@ -0,0 +1,95 @@
+// Server-side guard around awareness updates (message type 1)
+import { encoding, decoding } from "lib0";
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Decodes an awareness update into its entries (state is null for removals)
+ * @param {Uint8Array} update
+ * @returns {Array<{ clientId: number, clock: number, state: any }>}
+ */
+export function decodeAwarenessUpdate(update) {
+    const decoder = decoding.createDecoder(update);
+    const count = decoding.readVarUint(decoder);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const clientId = decoding.readVarUint(decoder);
+        const clock = decoding.readVarUint(decoder);
+        const state = JSON.parse(decoding.readVarString(decoder));
+        entries.push({ clientId, clock, state });
+    }
+    return entries;
+}
+
+const encodeAwarenessEntries = (entries) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, entries.length);
+    entries.forEach(({ clientId, clock, state }) => {
+        encoding.writeVarUint(encoder, clientId);
+        encoding.writeVarUint(encoder, clock);
+        encoding.writeVarString(encoder, JSON.stringify(state));
+    });
+    return encoding.toUint8Array(encoder);
+};
+
+/**
+ * Replaces the `user` field of a state with the account behind the socket.
+ * Other fields the client chose (e.g. colour) are kept. Without an account
+ * the claimed user is marked unverified and cannot carry an id.
+ * @param {any} state - Awareness state as sent by the client
+ * @param {Object|null} user - User document of the socket
+ * @returns {any} The stamped state
+ */
+export function stampIdentity(state, user) {
+    if (!isPlainObject(state)) return state;
+
+    const claimed = isPlainObject(state.user) ? state.user : {};
+    if (user) {
+        return {
+            ...state,
+            user: {
+                ...claimed,
+                id: String(user._id),
+                name: user.displayName,
+                displayName: user.displayName,
+                avatar: user.avatar,
+                verified: true,
+            },
+        };
+    }
+
+    if (state.user === undefined) return state;
+    const unverified = { ...claimed, verified: false };
+    delete unverified.id;
+    return { ...state, user: unverified };
+}
+
+/**
+ * Checks an awareness update from a socket before it is applied. A socket may
+ * only set or remove the states it controls, or introduce new client IDs; the
+ * states of other sockets, other instances and the server are off limits.
+ * Identity in the states it sets is stamped by the server (see stampIdentity).
+ * @param {Uint8Array} update - Awareness update as sent by the client
+ * @param {awarenessProtocol.Awareness} awareness - The room's awareness
+ * @param {{ controlled?: Set<number>, user?: Object|null }} sender - Client IDs the socket controls, and its account
+ * @returns {{ ok: true, update: Uint8Array } | { ok: false, error: string, clientIds?: number[] }}
+ */
+export function guardAwarenessUpdate(update, awareness, { controlled = new Set(), user = null } = {}) {
+    let entries;
+    try {
+        entries = decodeAwarenessUpdate(update);
+    } catch {
+        return { ok: false, error: "Malformed awareness update" };
+    }
+
+    const states = awareness.getStates();
+    const foreign = entries
+        .map(({ clientId }) => clientId)
+        .filter((clientId) => clientId === awareness.clientID || (states.has(clientId) && !controlled.has(clientId)));
+    if (foreign.length > 0) {
+        return { ok: false, error: "Cannot change another client's awareness state", clientIds: foreign };
+    }
+
+    const stamped = entries.map((entry) => ({ ...entry, state: stampIdentity(entry.state, user) }));
+    return { ok: true, update: encodeAwarenessEntries(stamped) };
+}
@@ -0,0 +1,132 @@
+// Versioned JSON board format used to move boards between environments
+//
+// {
+//   "format": "novasketch.board",
+//   "version": 1,
+//   "exportedAt": "<ISO 8601>",
+//   "room": { "id", "createdAt", "updatedAt" },
+//   "shapes": [{ "id", "type", ...properties }],
+//   "strokes": [{ "color", "points": [x, y, x, y, ...] }]
+// }
+
+import { getShapes, getStrokes, sameValue } from './boardState.js';
+import { validateShape, validateStroke } from './validation.js';
+
+export const BOARD_FORMAT = 'novasketch.board';
+export const BOARD_FORMAT_VERSION = 1;
+
+const MAX_REPORTED_ERRORS = 50;
+
+/**
+ * Serializes a board document into the JSON board format
+ * @param {Y.Doc} doc
+ * @param {{ _id: string, createdAt?: Date, updatedAt?: Date }} room - Room metadata
+ * @returns {Object}
+ */
+export function serializeBoard(doc, room) {
+    return {
+        format: BOARD_FORMAT,
+        version: BOARD_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        room: {
+            id: room._id,
+            createdAt: room.createdAt ?? null,
+            updatedAt: room.updatedAt ?? null
+        },
+        shapes: getShapes(doc),
+        strokes: getStrokes(doc)
+    };
+}
+
+/**
+ * Checks a board file and validates every shape and stroke in it
+ * @param {Object} file - Parsed JSON body
+ * @returns {{ board?: { shapes: Array<Object>, strokes: Array<Object> }, error?: string, details?: Array<Object> }}
+ *   details lists invalid entries as { kind, index, id?, error }
+ */
+export function parseBoardFile(file) {
+    if (!file || typeof file !== 'object' || file.format !== BOARD_FORMAT) {
+        return { error: `Not a board file (expected format "${BOARD_FORMAT}")` };
+    }
+    if (!Number.isInteger(file.version) || file.version < 1 || file.version > BOARD_FORMAT_VERSION) {
+        return { error: `Unsupported board file version: ${file.version} (supported: 1-${BOARD_FORMAT_VERSION})` };
+    }
+
+    const shapes = file.shapes ?? [];
+    const strokes = file.strokes ?? [];
+    if (!Array.isArray(shapes) || !Array.isArray(strokes)) {
+        return { error: 'shapes and strokes must be arrays' };
+    }
+
+    const details = [];
+    const seen = new Set();
+    shapes.forEach((shape, index) => {
+        const result = validateShape(shape);
+        if (!result.valid) {
+            details.push({ kind: 'shape', index, id: shape?.id, error: result.error });
+        } else if (seen.has(shape.id)) {
+            details.push({ kind: 'shape', index, id: shape.id, error: 'Duplicate id' });
+        } else {
+            seen.add(shape.id);
+        }
+    });
+    strokes.forEach((stroke, index) => {
+        const result = validateStroke(stroke);
+        if (!result.valid) {
+            details.push({ kind: 'stroke', index, error: result.error });
+        }
+    });
+
+    if (details.length > 0) {
+        return {
+            error: `Board file contains ${details.length} invalid entries`,
+            details: details.slice(0, MAX_REPORTED_ERRORS)
+        };
+    }
+
+    return { board: { shapes, strokes } };
+}
+
+/**
+ * Merges a parsed board into a document in a single transaction.
+ * Shapes are upserted by id; strokes are appended unless an identical one exists,
+ * so importing the same file twice changes nothing.
+ * @param {Y.Doc} doc
+ * @param {{ shapes: Array<Object>, strokes: Array<Object> }} board - From parseBoardFile
+ * @param {*} origin - Transaction origin
+ * @returns {{ added: number, updated: number, unchanged: number, strokesAdded: number }}
+ */
+export function mergeBoard(doc, board, origin) {
+    const result = { added: 0, updated: 0, unchanged: 0, strokesAdded: 0 };
+    const shapesMap = doc.getMap('shapes');
+    const strokesArray = doc.getArray('strokes');
+
+    doc.transact(() => {
+        board.shapes.forEach(({ id, ...properties }) => {
+            const existing = shapesMap.get(id);
+            if (existing === undefined) {
+                result.added++;
+            } else if (sameValue(existing, properties)) {
+                result.unchanged++;
+                return;
+            } else {
+                result.updated++;
+            }
+            shapesMap.set(id, properties);
+        });
+
+        const existingStrokes = new Set(strokesArray.toJSON().map((stroke) => JSON.stringify(stroke)));
+        const newStrokes = board.strokes.filter((stroke) => {
+            const key = JSON.stringify(stroke);
+            if (existingStrokes.has(key)) return false;
+            existingStrokes.add(key);
+            return true;
+        });
+        if (newStrokes.length > 0) {
+            strokesArray.push(newStrokes);
+            result.strokesAdded = newStrokes.length;
+        }
+    }, origin);
+
+    return result;
+}
@@ -0,0 +1,254 @@
+// Converts decoded board data (shapes + freehand strokes) into drawing primitives
+// in board coordinates. Shared by the SVG and PNG exporters so both render the same scene.
+
+const DEFAULT_STROKE_COLOR = '#000000';
+const FREEHAND_STROKE_WIDTH = 4; // matches the test client in index.html
+const LINE_HEIGHT = 1.2;
+const AVERAGE_GLYPH_WIDTH = 0.6; // text width estimate, in ems
+
+const toNumber = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+/**
+ * Builds the local → board transform for a shape: translate(x, y) · rotate(rotation°) · scale(scaleX, scaleY)
+ * @returns {number[]} SVG-style matrix [a, b, c, d, e, f]
+ */
+export function shapeMatrix(shape) {
+    const angle = toNumber(shape.rotation, 0) * Math.PI / 180;
+    const sx = toNumber(shape.scaleX, 1);
+    const sy = toNumber(shape.scaleY, 1);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [cos * sx, sin * sx, -sin * sy, cos * sy, toNumber(shape.x, 0), toNumber(shape.y, 0)];
+}
+
+/**
+ * Applies a matrix to a point
+ * @returns {[number, number]}
+ */
+export function applyMatrix([a, b, c, d, e, f], x, y) {
+    return [a * x + c * y + e, b * x + d * y + f];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const pairs = (points) => {
+    const result = [];
+    for (let i = 0; i + 1 < points.length; i += 2) {
+        if (Number.isFinite(points[i]) && Number.isFinite(points[i + 1])) {
+            result.push([points[i], points[i + 1]]);
+        }
+    }
+    return result;
+};
+
+// Triangle at the end of a polyline, pointing along its last segment
+const arrowHead = (points, strokeWidth) => {
+    if (points.length < 2) return null;
+    const [x1, y1] = points[points.length - 2];
+    const [x2, y2] = points[points.length - 1];
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const size = Math.max(10, strokeWidth * 3);
+    const spread = Math.PI / 7;
+    return [
+        [x2, y2],
+        [x2 - size * Math.cos(angle - spread), y2 - size * Math.sin(angle - spread)],
+        [x2 - size * Math.cos(angle + spread), y2 - size * Math.sin(angle + spread)],
+    ];
+};
+
+/**
+ * Local geometry of a shape, or null for types that cannot be drawn.
+ * Rectangles, text and images are anchored at their top-left; ellipses at their centre.
+ */
+function shapeGeometry(shape) {
+    const width = toNumber(shape.width, 0);
+    const height = toNumber(shape.height, 0);
+    const strokeWidth = toNumber(shape.strokeWidth, 1);
+
+    switch (shape.type) {
+        case 'rectangle':
+        case 'rect':
+            return { kind: 'rect', width, height, cornerRadius: toNumber(shape.cornerRadius, 0) };
+        case 'ellipse':
+        case 'circle': {
+            const radius = toNumber(shape.radius, null);
+            return {
+                kind: 'ellipse',
+                rx: toNumber(shape.radiusX, radius ?? width / 2),
+                ry: toNumber(shape.radiusY, radius ?? height / 2),
+            };
+        }
+        case 'line':
+        case 'arrow': {
+            const points = pairs(Array.isArray(shape.points) ? shape.points : []);
+            if (points.length < 2) return null;
+            return {
+                kind: 'polyline',
+                points,
+                closed: Boolean(shape.closed),
+                arrowHead: shape.type === 'arrow' ? arrowHead(points, strokeWidth) : null,
+            };
+        }
+        case 'text': {
+            const text = typeof shape.text === 'string' ? shape.text : '';
+            const fontSize = toNumber(shape.fontSize, 16);
+            const lines = text.split('\n');
+            return {
+                kind: 'text',
+                lines,
+                fontSize,
+                fontFamily: typeof shape.fontFamily === 'string' ? shape.fontFamily : 'sans-serif',
+                width: width || lines.reduce((longest, l) => Math.max(longest, l.length), 0) * fontSize * AVERAGE_GLYPH_WIDTH,
+                height: height || lines.length * fontSize * LINE_HEIGHT,
+            };
+        }
+        case 'image':
+            return { kind: 'image', src: typeof shape.src === 'string' ? shape.src : '', width, height };
+        default:
+            return null;
+    }
+}
+
+// Local points whose transformed hull bounds the geometry
+function outlinePoints(geometry) {
+    switch (geometry.kind) {
+        case 'rect':
+        case 'text':
+        case 'image':
+            return [[0, 0], [geometry.width, 0], [geometry.width, geometry.height], [0, geometry.height]];
+        case 'ellipse': {
+            // Sample the outline so rotated ellipses get tight bounds
+            const points = [];
+            for (let i = 0; i < 32; i++) {
+                const t = (i / 32) * Math.PI * 2;
+                points.push([geometry.rx * Math.cos(t), geometry.ry * Math.sin(t)]);
+            }
+            return points;
+        }
+        case 'polyline':
+            return geometry.arrowHead ? geometry.points.concat(geometry.arrowHead) : geometry.points;
+        default:
+            return [];
+    }
+}
+
+// Smallest box around [x, y] points; a loop, since spreading a long stroke into Math.min overflows the stack
+const boxAround = (points) => {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const [x, y] of points) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    }
+    return { minX, minY, maxX, maxY };
+};
+
+const boundsOf = (matrix, geometry, strokeWidth) => {
+    const points = outlinePoints(geometry).map(([x, y]) => applyMatrix(matrix, x, y));
+    if (points.length === 0) return null;
+    const pad = strokeWidth / 2;
+    const { minX, minY, maxX, maxY } = boxAround(points);
+    return { x: minX - pad, y: minY - pad, width: maxX - minX + pad * 2, height: maxY - minY + pad * 2 };
+};
+
+/**
+ * Builds the ordered list of drawable items for a board
+ * @param {{ shapes: Array<Object>, strokes: Array<Object> }} board - Shapes as { id, ...props }, strokes as { color, points }
+ * @returns {Array<{ id: string, geometry: Object, matrix: number[], style: Object, bounds: Object }>}
+ *   Ordered back to front: by zIndex, then shapes before strokes, then document order
+ */
+export function buildScene({ shapes = [], strokes = [] }) {
+    const items = [];
+
+    shapes.forEach((shape) => {
+        const geometry = shapeGeometry(shape);
+        if (!geometry) return;
+
+        const isText = geometry.kind === 'text';
+        const style = {
+            fill: typeof shape.fill === 'string' ? shape.fill : (isText ? DEFAULT_STROKE_COLOR : 'none'),
+            stroke: typeof shape.stroke === 'string' ? shape.stroke : (isText || geometry.kind === 'image' ? 'none' : DEFAULT_STROKE_COLOR),
+            strokeWidth: toNumber(shape.strokeWidth, 1),
+            opacity: Math.min(1, Math.max(0, toNumber(shape.opacity, 1))),
+        };
+        if (geometry.kind === 'polyline' && !geometry.closed) {
+            style.fill = 'none';
+        }
+        const matrix = shapeMatrix(shape);
+        const strokeWidth = style.stroke === 'none' ? 0 : style.strokeWidth;
+
+        items.push({
+            id: shape.id,
+            zIndex: toNumber(shape.zIndex, 0),
+            geometry,
+            matrix,
+            style,
+            bounds: boundsOf(matrix, geometry, strokeWidth),
+        });
+    });
+
+    strokes.forEach((stroke, index) => {
+        const points = pairs(Array.isArray(stroke?.points) ? stroke.points : []);
+        if (points.length < 2) return;
+
+        const geometry = { kind: 'polyline', points, closed: false, arrowHead: null, round: true };
+        const strokeWidth = toNumber(stroke.width, FREEHAND_STROKE_WIDTH);
+        items.push({
+            id: `stroke:${index}`,
+            zIndex: toNumber(stroke.zIndex, 0),
+            geometry,
+            matrix: IDENTITY,
+            style: {
+                fill: 'none',
+                stroke: typeof stroke.color === 'string' ? stroke.color : DEFAULT_STROKE_COLOR,
+                strokeWidth,
+                opacity: 1,
+            },
+            bounds: boundsOf(IDENTITY, geometry, strokeWidth),
+        });
+    });
+
+    // Array.prototype.sort is stable, so equal zIndex keeps document order
+    return items.sort((a, b) => a.zIndex - b.zIndex);
+}
+
+/**
+ * Union of the bounds of the given items
+ * @returns {{ x: number, y: number, width: number, height: number }|null} null for an empty list
+ */
+export function sceneBounds(items) {
+    const boxes = items.map((item) => item.bounds).filter(Boolean);
+    if (boxes.length === 0) return null;
+    const { minX, minY, maxX, maxY } = boxAround(boxes.flatMap((b) => [[b.x, b.y], [b.x + b.width, b.y + b.height]]));
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Resolves which items to draw and which region of the board to show
+ * @param {Array<Object>} items - From buildScene
+ * @param {{ region?: Object, ids?: string[], padding?: number }} options
+ *   region crops to an explicit box; ids keeps only those items and fits to them
+ * @returns {{ items: Array<Object>, viewBox: { x: number, y: number, width: number, height: number } }}
+ */
+export function frameScene(items, { region = null, ids = null, padding = 0 } = {}) {
+    const selected = ids ? items.filter((item) => ids.includes(item.id)) : items;
+
+    if (region) {
+        return { items: selected, viewBox: region };
+    }
+
+    const bounds = sceneBounds(selected) || { x: 0, y: 0, width: 0, height: 0 };
+    return {
+        items: selected,
+        viewBox: {
+            x: bounds.x - padding,
+            y: bounds.y - padding,
+            width: Math.max(1, bounds.width + padding * 2),
+            height: Math.max(1, bounds.height + padding * 2),
+        },
+    };
+}
@@ -0,0 +1,83 @@
+// Decoding of persisted Yjs board state into plain shape data
+
+import * as Y from 'yjs';
+
+/**
+ * Decodes a Yjs update into a document
+ * @param {Uint8Array|null} update - Encoded state (null for rooms with no data)
+ * @returns {Y.Doc}
+ */
+export function decodeDoc(update) {
+    const doc = new Y.Doc();
+    if (update) {
+        Y.applyUpdate(doc, update);
+    }
+    return doc;
+}
+
+/**
+ * Extracts the shapes from a document's 'shapes' map
+ * @param {Y.Doc} doc
+ * @returns {Array<Object>} Shapes as { id, ...properties }
+ */
+export function getShapes(doc) {
+    const shapes = [];
+    doc.getMap('shapes').forEach((value, key) => {
+        shapes.push({
+            id: key,
+            ...value
+        });
+    });
+    return shapes;
+}
+
+/**
+ * Extracts the freehand strokes from a document's 'strokes' array
+ * @param {Y.Doc} doc
+ * @returns {Array<Object>} Strokes as { color, points: [x, y, x, y, ...] }
+ */
+export function getStrokes(doc) {
+    return doc.getArray('strokes').toJSON();
+}
+
+/**
+ * Whether two plain (JSON-compatible) values are equal, e.g. two versions of a shape
+ * @returns {boolean}
+ */
+export function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compares two lists of shapes by id
+ * @param {Array<Object>} before - Shapes at the earlier point
+ * @param {Array<Object>} after - Shapes at the later point
+ * @returns {{ added: Array<Object>, removed: Array<Object>, modified: Array<{ id: string, changes: Object }> }}
+ *   changes maps each changed property to { from, to } (null when absent)
+ */
+export function diffShapes(before, after) {
+    const beforeById = new Map(before.map((shape) => [shape.id, shape]));
+    const afterById = new Map(after.map((shape) => [shape.id, shape]));
+
+    const added = after.filter((shape) => !beforeById.has(shape.id));
+    const removed = before.filter((shape) => !afterById.has(shape.id));
+    const modified = [];
+
+    after.forEach((shape) => {
+        const previous = beforeById.get(shape.id);
+        if (!previous) return;
+
+        const changes = {};
+        new Set([...Object.keys(previous), ...Object.keys(shape)]).forEach((prop) => {
+            if (!sameValue(previous[prop], shape[prop])) {
+                changes[prop] = { from: previous[prop] ?? null, to: shape[prop] ?? null };
+            }
+        });
+
+        if (Object.keys(changes).length > 0) {
+            modified.push({ id: shape.id, changes });
+        }
+    });
+
+    return { added, removed, modified };
+}
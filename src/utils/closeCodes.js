@@ -0,0 +1,10 @@
+// WebSocket close codes sent by the server
+// 4xxx codes are application-defined and mirror their HTTP counterparts
+
+export const CLOSE_CODES = {
+    INTERNAL_ERROR: 1011,
+    SERVICE_RESTART: 1012,
+    UNAUTHORIZED: 4401,
+    FORBIDDEN: 4403,
+    RATE_LIMITED: 4429,
+};
@@ -0,0 +1,87 @@
+// Restore a live Y.Doc to an earlier state by writing the difference as a new update
+import * as Y from "yjs";
+import { sameValue } from "./boardState.js";
+
+/**
+ * Works out the kind of a root type. Roots that only arrived through an update
+ * have no concrete type until getMap/getArray/getText is called, so inspect their content.
+ * @param {Y.Doc} doc
+ * @param {string} name
+ * @returns {'map'|'array'|'text'|null}
+ */
+export function getRootKind(doc, name) {
+    const type = doc.share.get(name);
+    if (!type) return null;
+    if (type instanceof Y.Map) return "map";
+    if (type instanceof Y.Text) return "text";
+    if (type instanceof Y.Array) return "array";
+    if (type._map.size > 0) return "map";
+    if (type._start) return type._start.content instanceof Y.ContentString ? "text" : "array";
+    return null;
+}
+
+// Values copied between docs must be plain data, not types bound to the other doc
+const toPlain = (value) => (value instanceof Y.AbstractType ? value.toJSON() : value);
+
+/**
+ * Makes `doc` match the state encoded in `targetUpdate` in a single transaction.
+ * Map entries are set/deleted individually; arrays and texts are replaced when they differ.
+ * Because this is a normal edit, it syncs to connected clients like any other update.
+ * @param {Y.Doc} doc - Live document
+ * @param {Uint8Array} targetUpdate - State to restore (Y.encodeStateAsUpdate of the snapshot)
+ * @param {any} origin - Transaction origin
+ * @returns {{ changedRoots: string[] }}
+ */
+export function restoreDocState(doc, targetUpdate, origin) {
+    const target = new Y.Doc();
+    Y.applyUpdate(target, targetUpdate);
+
+    const names = new Set([...doc.share.keys(), ...target.share.keys()]);
+    const changedRoots = [];
+
+    doc.transact(() => {
+        names.forEach((name) => {
+            const kind = getRootKind(target, name) || getRootKind(doc, name);
+            if (!kind) return;
+
+            if (kind === "map") {
+                const live = doc.getMap(name);
+                const wanted = target.getMap(name);
+                let changed = false;
+
+                Array.from(live.keys()).forEach((key) => {
+                    if (!wanted.has(key)) {
+                        live.delete(key);
+                        changed = true;
+                    }
+                });
+                wanted.forEach((value, key) => {
+                    if (!live.has(key) || !sameValue(toPlain(live.get(key)), toPlain(value))) {
+                        live.set(key, toPlain(value));
+                        changed = true;
+                    }
+                });
+                if (changed) changedRoots.push(name);
+            } else if (kind === "array") {
+                const live = doc.getArray(name);
+                const wanted = target.getArray(name);
+                if (!sameValue(live.toJSON(), wanted.toJSON())) {
+                    live.delete(0, live.length);
+                    live.insert(0, wanted.toArray().map(toPlain));
+                    changedRoots.push(name);
+                }
+            } else {
+                const live = doc.getText(name);
+                const wanted = target.getText(name).toString();
+                if (live.toString() !== wanted) {
+                    live.delete(0, live.length);
+                    live.insert(0, wanted);
+                    changedRoots.push(name);
+                }
+            }
+        });
+    }, origin);
+
+    target.destroy();
+    return { changedRoots };
+}
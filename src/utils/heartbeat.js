@@ -0,0 +1,54 @@
+// WebSocket liveness: ping every socket periodically and terminate those that
+// did not answer the previous ping (e.g. mobile clients that dropped off the network)
+
+import { WebSocket } from 'ws';
+import { defineCounter, incrementCounter } from './metrics.js';
+
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+defineCounter('ws_heartbeat_terminations_total', 'Connections terminated for missing a heartbeat pong');
+
+// Time between pings (WS_HEARTBEAT_INTERVAL_MS, 0 = disabled); a socket has this long to answer
+export const getHeartbeatInterval = () => {
+    const value = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS, 10);
+    return Number.isNaN(value) || value < 0 ? DEFAULT_HEARTBEAT_INTERVAL_MS : value;
+};
+
+/**
+ * Marks a socket alive now and whenever it answers a ping
+ * @param {WebSocket} ws
+ */
+export function trackLiveness(ws) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+}
+
+/**
+ * Pings the server's sockets every `interval` ms. Sockets that have not ponged
+ * since the last ping are terminated, which emits 'close' so the normal cleanup runs.
+ * @param {WebSocketServer} wss
+ * @param {{ interval?: number }} [options]
+ * @returns {() => void} Stops the heartbeat
+ */
+export function startHeartbeat(wss, { interval = getHeartbeatInterval() } = {}) {
+    if (interval === 0) return () => {};
+
+    const timer = setInterval(() => {
+        wss.clients.forEach((ws) => {
+            // Rejected sockets are never tracked; closing ones are on their way out
+            if (ws.isAlive === undefined || ws.readyState !== WebSocket.OPEN) return;
+
+            if (!ws.isAlive) {
+                incrementCounter('ws_heartbeat_terminations_total');
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }, interval);
+
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,60 @@
+// Encoders for server-originated WebSocket messages
+import { encoding } from "lib0";
+import * as syncProtocol from "y-protocols/sync";
+
+// Message type 4: server → client error/notice, payload is JSON like types 2 and 3
+export const MESSAGE_ERROR = 4;
+
+// Message type 5: server → client comment event, JSON { event, thread } (see comments.js)
+export const MESSAGE_COMMENT = 5;
+
+// Message type 6: chat. Client → server JSON { text }; server → clients the stored
+// message { id, roomId, author, text, createdAt } (see chat.js)
+export const MESSAGE_CHAT = 6;
+
+const encodeJsonMessage = (type, payload) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, type);
+    encoding.writeVarUint8Array(encoder, new TextEncoder().encode(JSON.stringify(payload)));
+    return encoding.toUint8Array(encoder);
+};
+
+/**
+ * Encodes an error message to send back to a client
+ * @param {{ code: string, message: string, [key: string]: any }} error - Machine-readable code plus details
+ * @returns {Uint8Array} Encoded message
+ */
+export function encodeErrorMessage(error) {
+    return encodeJsonMessage(MESSAGE_ERROR, error);
+}
+
+/**
+ * Encodes a comment event for the clients of a room
+ * @param {string} event - e.g. "thread.created", "comment.added", "thread.resolved", "thread.orphaned"
+ * @param {Object} thread - Thread as returned by the comments API
+ * @returns {Uint8Array} Encoded message
+ */
+export function encodeCommentEvent(event, thread) {
+    return encodeJsonMessage(MESSAGE_COMMENT, { event, thread });
+}
+
+/**
+ * Encodes a Yjs update as a sync message (type 0) for a single client
+ * @param {Uint8Array} update
+ * @returns {Uint8Array} Encoded message
+ */
+export function encodeSyncUpdate(update) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, 0);
+    syncProtocol.writeUpdate(encoder, update);
+    return encoding.toUint8Array(encoder);
+}
+
+/**
+ * Encodes a stored chat message for the clients of a room
+ * @param {Object} message - Message as returned by the chat API
+ * @returns {Uint8Array} Encoded message
+ */
+export function encodeChatMessage(message) {
+    return encodeJsonMessage(MESSAGE_CHAT, message);
+}
@@ -0,0 +1,67 @@
+// In-process counters for monitoring, exposed in the Prometheus text format at GET /metrics
+
+// Map<name, { help: string, values: Map<labelKey, { labels: Object, value: number }> }>
+const counters = new Map();
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Declares a counter so it is listed (at 0) before it is first incremented
+ * @param {string} name - Metric name, e.g. 'ws_rate_limited_messages_total'
+ * @param {string} help - One-line description
+ */
+export function defineCounter(name, help) {
+    if (!counters.has(name)) {
+        counters.set(name, { help, values: new Map() });
+    }
+}
+
+/**
+ * Adds to a counter
+ * @param {string} name
+ * @param {Object<string, string>} [labels]
+ * @param {number} [by]
+ */
+export function incrementCounter(name, labels = {}, by = 1) {
+    defineCounter(name, name);
+    const { values } = counters.get(name);
+    const key = labelKey(labels);
+    const entry = values.get(key) ?? { labels, value: 0 };
+    entry.value += by;
+    values.set(key, entry);
+}
+
+/**
+ * Current value of a counter (0 if never incremented)
+ */
+export function getCounter(name, labels = {}) {
+    return counters.get(name)?.values.get(labelKey(labels))?.value ?? 0;
+}
+
+/**
+ * Renders every counter in the Prometheus text exposition format
+ * @returns {string}
+ */
+export function renderMetrics() {
+    const lines = [];
+    counters.forEach(({ help, values }, name) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+        if (values.size === 0) {
+            lines.push(`${name} 0`);
+        }
+        values.forEach(({ labels, value }) => {
+            const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+            lines.push(`${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`);
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Zeroes every counter (tests)
+ */
+export function resetMetrics() {
+    counters.forEach(({ values }) => values.clear());
+}
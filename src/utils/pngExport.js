@@ -0,0 +1,383 @@
+// Rasterizes a board scene (see boardScene.js) to PNG in pure JavaScript.
+// Shapes become anti-aliased polygons; lines use round joins and caps.
+// There are no fonts or network access, so text is drawn as placeholder bars
+// and images as placeholder boxes.
+
+import { Worker } from 'worker_threads';
+import { applyMatrix } from './boardScene.js';
+import { encodePng } from './pngEncoder.js';
+
+const SUBSAMPLES = 4; // vertical samples per pixel row for anti-aliasing
+const CURVE_SEGMENTS = 64;
+
+// Rasterization budget per export: edge tests plus pixels covered, summed over polygons
+// (a 5,000-point freehand stroke at 4096px wide takes about 3.5M)
+export const MAX_RENDER_WORK = 20_000_000;
+
+// Error code of the exception thrown when an export exceeds maxWork
+export const RENDER_TOO_COMPLEX = 'RENDER_TOO_COMPLEX';
+
+// Error codes of renderPngInWorker: every render slot is taken / the caller gave up
+export const RENDER_BUSY = 'RENDER_BUSY';
+export const RENDER_ABORTED = 'RENDER_ABORTED';
+
+// Worker renders allowed at once (PNG_EXPORT_CONCURRENCY); each may hold a 64 MB canvas
+const DEFAULT_RENDER_CONCURRENCY = 2;
+let activeRenders = 0;
+
+const getRenderConcurrency = () => {
+    const value = parseInt(process.env.PNG_EXPORT_CONCURRENCY, 10);
+    return Number.isNaN(value) || value < 1 ? DEFAULT_RENDER_CONCURRENCY : value;
+};
+
+const NAMED_COLORS = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+    blue: [0, 0, 255], yellow: [255, 255, 0], orange: [255, 165, 0], purple: [128, 0, 128],
+    gray: [128, 128, 128], grey: [128, 128, 128], silver: [192, 192, 192], maroon: [128, 0, 0],
+    olive: [128, 128, 0], lime: [0, 255, 0], aqua: [0, 255, 255], cyan: [0, 255, 255],
+    teal: [0, 128, 128], navy: [0, 0, 128], fuchsia: [255, 0, 255], magenta: [255, 0, 255],
+    pink: [255, 192, 203], brown: [165, 42, 42],
+};
+
+/**
+ * Parses a CSS colour (#rgb, #rgba, #rrggbb, #rrggbbaa, rgb(), rgba() or a basic name)
+ * @param {string} value
+ * @returns {[number, number, number, number]|null} RGBA with alpha in 0..1, or null for none/transparent
+ */
+export function parseColor(value) {
+    if (typeof value !== 'string') return null;
+    const color = value.trim().toLowerCase();
+    if (color === 'none' || color === 'transparent' || color === '') return null;
+
+    const hex = color.match(/^#([0-9a-f]{3,8})$/);
+    if (hex && [3, 4, 6, 8].includes(hex[1].length)) {
+        let digits = hex[1];
+        if (digits.length <= 4) digits = digits.split('').map((d) => d + d).join('');
+        const n = (i) => parseInt(digits.slice(i, i + 2), 16);
+        return [n(0), n(2), n(4), digits.length === 8 ? n(6) / 255 : 1];
+    }
+
+    const fn = color.match(/^rgba?\(([^)]+)\)$/);
+    if (fn) {
+        const parts = fn[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+        if (parts.length >= 3 && parts.every(Number.isFinite)) {
+            const clamp = (v) => Math.min(255, Math.max(0, v));
+            return [clamp(parts[0]), clamp(parts[1]), clamp(parts[2]), parts.length > 3 ? Math.min(1, Math.max(0, parts[3])) : 1];
+        }
+    }
+
+    if (NAMED_COLORS[color]) return [...NAMED_COLORS[color], 1];
+    return [0, 0, 0, 1];
+}
+
+// Min/max over points without spreading, since freehand strokes can be long
+const extent = (points, axis) => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const point of points) {
+        if (point[axis] < min) min = point[axis];
+        if (point[axis] > max) max = point[axis];
+    }
+    return [min, max];
+};
+
+/**
+ * An RGBA canvas with anti-aliased polygon filling and source-over compositing.
+ * Throws an error with code RENDER_TOO_COMPLEX once filling exceeds maxWork.
+ */
+function createCanvas(width, height, background, maxWork = Infinity) {
+    let work = 0;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    if (background) {
+        for (let i = 0; i < width * height; i++) {
+            pixels[i * 4] = background[0];
+            pixels[i * 4 + 1] = background[1];
+            pixels[i * 4 + 2] = background[2];
+            pixels[i * 4 + 3] = Math.round(background[3] * 255);
+        }
+    }
+
+    // Adds the coverage of one polygon (nonzero winding) into mask, keeping the max per pixel.
+    // Work is bounded by the polygon's own bounding box, not the whole fill's.
+    const coverPolygon = (mask, box, polygon) => {
+        const [left, right] = extent(polygon, 0);
+        const [top, bottom] = extent(polygon, 1);
+        const minX = Math.max(box.x, Math.floor(left));
+        const maxX = Math.min(box.x + box.width, Math.ceil(right));
+        const minY = Math.max(box.y, Math.floor(top));
+        const maxY = Math.min(box.y + box.height, Math.ceil(bottom));
+        if (maxX <= minX || maxY <= minY) return;
+
+        work += (maxY - minY) * (polygon.length * SUBSAMPLES + (maxX - minX));
+        if (work > maxWork) {
+            throw Object.assign(new Error('Board is too complex to render at this size'), { code: RENDER_TOO_COMPLEX });
+        }
+
+        const rowCoverage = new Float32Array(maxX - minX);
+        for (let py = minY; py < maxY; py++) {
+            rowCoverage.fill(0);
+            let touched = false;
+
+            for (let s = 0; s < SUBSAMPLES; s++) {
+                const sy = py + (s + 0.5) / SUBSAMPLES;
+                const crossings = [];
+                for (let i = 0; i < polygon.length; i++) {
+                    const [x1, y1] = polygon[i];
+                    const [x2, y2] = polygon[(i + 1) % polygon.length];
+                    if ((y1 <= sy && y2 > sy) || (y2 <= sy && y1 > sy)) {
+                        crossings.push({ x: x1 + ((sy - y1) / (y2 - y1)) * (x2 - x1), dir: y2 > y1 ? 1 : -1 });
+                    }
+                }
+                crossings.sort((a, b) => a.x - b.x);
+
+                let winding = 0;
+                for (let i = 0; i < crossings.length - 1; i++) {
+                    winding += crossings[i].dir;
+                    if (winding === 0) continue;
+                    const x0 = Math.max(minX, crossings[i].x);
+                    const x1 = Math.min(maxX, crossings[i + 1].x);
+                    for (let px = Math.floor(x0); px < x1; px++) {
+                        const overlap = Math.min(px + 1, x1) - Math.max(px, x0);
+                        if (overlap > 0) {
+                            rowCoverage[px - minX] += overlap / SUBSAMPLES;
+                            touched = true;
+                        }
+                    }
+                }
+            }
+
+            if (!touched) continue;
+            const offset = (py - box.y) * box.width + (minX - box.x);
+            for (let i = 0; i < rowCoverage.length; i++) {
+                if (rowCoverage[i] > mask[offset + i]) mask[offset + i] = Math.min(1, rowCoverage[i]);
+            }
+        }
+    };
+
+    /**
+     * Fills the union of polygons (pixel coordinates) with a colour, compositing once per pixel
+     */
+    const fill = (polygons, color, opacity) => {
+        if (!color || polygons.length === 0) return;
+        const points = polygons.flat();
+        const [minX, maxX] = extent(points, 0);
+        const [minY, maxY] = extent(points, 1);
+        const x0 = Math.max(0, Math.floor(minX));
+        const y0 = Math.max(0, Math.floor(minY));
+        const x1 = Math.min(width, Math.ceil(maxX));
+        const y1 = Math.min(height, Math.ceil(maxY));
+        if (x1 <= x0 || y1 <= y0) return;
+
+        const box = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+        const mask = new Float32Array(box.width * box.height);
+        polygons.forEach((polygon) => coverPolygon(mask, box, polygon));
+
+        const [r, g, b, a] = color;
+        for (let y = 0; y < box.height; y++) {
+            for (let x = 0; x < box.width; x++) {
+                const alpha = mask[y * box.width + x] * a * opacity;
+                if (alpha <= 0) continue;
+                const i = ((y + box.y) * width + (x + box.x)) * 4;
+                const dstAlpha = pixels[i + 3] / 255;
+                const outAlpha = alpha + dstAlpha * (1 - alpha);
+                pixels[i] = (r * alpha + pixels[i] * dstAlpha * (1 - alpha)) / outAlpha;
+                pixels[i + 1] = (g * alpha + pixels[i + 1] * dstAlpha * (1 - alpha)) / outAlpha;
+                pixels[i + 2] = (b * alpha + pixels[i + 2] * dstAlpha * (1 - alpha)) / outAlpha;
+                pixels[i + 3] = outAlpha * 255;
+            }
+        }
+    };
+
+    return { width, height, pixels, fill };
+}
+
+const circle = ([cx, cy], radius) => {
+    const segments = Math.max(8, Math.min(CURVE_SEGMENTS, Math.ceil(radius * 2)));
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const t = (i / segments) * Math.PI * 2;
+        points.push([cx + radius * Math.cos(t), cy + radius * Math.sin(t)]);
+    }
+    return points;
+};
+
+/**
+ * Outline of a polyline as polygons: one quad per segment plus round joins and caps
+ */
+export function strokePolygons(points, width, closed = false) {
+    const half = width / 2;
+    const polygons = [];
+    const path = closed ? points.concat([points[0]]) : points;
+
+    for (let i = 0; i < path.length - 1; i++) {
+        const [x1, y1] = path[i];
+        const [x2, y2] = path[i + 1];
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length === 0) continue;
+        const nx = (-(y2 - y1) / length) * half;
+        const ny = ((x2 - x1) / length) * half;
+        polygons.push([[x1 + nx, y1 + ny], [x2 + nx, y2 + ny], [x2 - nx, y2 - ny], [x1 - nx, y1 - ny]]);
+    }
+    if (half >= 0.75) {
+        points.forEach((point) => polygons.push(circle(point, half)));
+    }
+    return polygons;
+}
+
+// Local outline of a closed geometry, before the item transform
+const outline = (geometry) => {
+    switch (geometry.kind) {
+        case 'rect': {
+            const { width, height } = geometry;
+            const radius = Math.min(geometry.cornerRadius, width / 2, height / 2);
+            if (radius <= 0) return [[0, 0], [width, 0], [width, height], [0, height]];
+            const corners = [[width - radius, radius, -90], [width - radius, height - radius, 0], [radius, height - radius, 90], [radius, radius, 180]];
+            return corners.flatMap(([cx, cy, start]) => {
+                const arc = [];
+                for (let i = 0; i <= 8; i++) {
+                    const t = ((start + (i / 8) * 90) * Math.PI) / 180;
+                    arc.push([cx + radius * Math.cos(t), cy + radius * Math.sin(t)]);
+                }
+                return arc;
+            });
+        }
+        case 'ellipse': {
+            const points = [];
+            for (let i = 0; i < CURVE_SEGMENTS; i++) {
+                const t = (i / CURVE_SEGMENTS) * Math.PI * 2;
+                points.push([geometry.rx * Math.cos(t), geometry.ry * Math.sin(t)]);
+            }
+            return points;
+        }
+        case 'text':
+        case 'image':
+            return [[0, 0], [geometry.width, 0], [geometry.width, geometry.height], [0, geometry.height]];
+        default:
+            return geometry.points;
+    }
+};
+
+// Greeked text: one bar per line, roughly as wide as the line
+const textBars = (geometry) => geometry.lines
+    .map((line, i) => {
+        const top = i * geometry.fontSize * 1.2 + geometry.fontSize * 0.25;
+        const width = line.length * geometry.fontSize * 0.6;
+        const height = geometry.fontSize * 0.5;
+        return width > 0 ? [[0, top], [width, top], [width, top + height], [0, top + height]] : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Draws one scene item onto the canvas
+ * @param {Object} canvas
+ * @param {Object} item - From buildScene
+ * @param {(x: number, y: number) => [number, number]} toPixel - Board → pixel mapping
+ * @param {number} pixelScale - Pixels per board unit
+ */
+function drawItem(canvas, { geometry, matrix, style }, toPixel, pixelScale) {
+    const project = (points) => points.map(([x, y]) => toPixel(...applyMatrix(matrix, x, y)));
+    // Line widths scale with the item transform as well as the output scale
+    const lineScale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])) * pixelScale;
+    const strokeColor = parseColor(style.stroke);
+    const lineWidth = style.strokeWidth * lineScale;
+
+    if (geometry.kind === 'text') {
+        const color = parseColor(style.fill);
+        canvas.fill(textBars(geometry).map(project), color && [color[0], color[1], color[2], color[3] * 0.35], style.opacity);
+        return;
+    }
+
+    if (geometry.kind === 'image') {
+        const box = project(outline(geometry));
+        canvas.fill([box], [224, 224, 224, 1], style.opacity);
+        canvas.fill(strokePolygons(box, Math.max(1, pixelScale), true), [158, 158, 158, 1], style.opacity);
+        return;
+    }
+
+    const isLine = geometry.kind === 'polyline';
+    const closed = !isLine || geometry.closed;
+    const points = project(outline(geometry));
+
+    if (closed) {
+        canvas.fill([points], parseColor(style.fill), style.opacity);
+    }
+    if (strokeColor && lineWidth > 0) {
+        canvas.fill(strokePolygons(points, lineWidth, closed), strokeColor, style.opacity);
+    }
+    if (geometry.arrowHead) {
+        canvas.fill([project(geometry.arrowHead)], strokeColor, style.opacity);
+    }
+}
+
+/**
+ * Renders scene items into a PNG
+ * @param {Array<Object>} items - Drawable items, back to front (from frameScene)
+ * @param {{ x: number, y: number, width: number, height: number }} viewBox - Board region to show
+ * @param {{ width: number, height: number, background?: string|null, maxWork?: number }} options -
+ *   Output size in pixels; maxWork caps the rasterization work (see MAX_RENDER_WORK)
+ * @returns {Buffer} PNG file
+ * @throws {Error} with code RENDER_TOO_COMPLEX when the scene exceeds maxWork
+ */
+export function renderPng(items, viewBox, { width, height, background = '#ffffff', maxWork = MAX_RENDER_WORK }) {
+    const canvas = createCanvas(width, height, parseColor(background), maxWork);
+    const scaleX = width / viewBox.width;
+    const scaleY = height / viewBox.height;
+    const toPixel = (x, y) => [(x - viewBox.x) * scaleX, (y - viewBox.y) * scaleY];
+
+    items.forEach((item) => drawItem(canvas, item, toPixel, Math.sqrt(scaleX * scaleY)));
+
+    return encodePng(width, height, canvas.pixels);
+}
+
+/**
+ * Same as renderPng, but on a worker thread, so a large export does not hold up
+ * the rooms sharing this process's event loop. At most PNG_EXPORT_CONCURRENCY
+ * renders run at once; aborting `signal` terminates the worker.
+ * @param {Array<Object>} items
+ * @param {Object} viewBox
+ * @param {Object} options - See renderPng
+ * @param {{ signal?: AbortSignal }} [control]
+ * @returns {Promise<Buffer>} Rejects with code RENDER_TOO_COMPLEX like renderPng throws,
+ *   RENDER_BUSY when every render slot is taken, or RENDER_ABORTED when `signal` aborts
+ */
+export function renderPngInWorker(items, viewBox, options, { signal } = {}) {
+    if (signal?.aborted) {
+        return Promise.reject(Object.assign(new Error('PNG export was aborted'), { code: RENDER_ABORTED }));
+    }
+    if (activeRenders >= getRenderConcurrency()) {
+        return Promise.reject(Object.assign(new Error('Too many PNG exports in progress'), { code: RENDER_BUSY }));
+    }
+
+    activeRenders += 1;
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./pngWorker.js', import.meta.url), {
+            workerData: { items, viewBox, options },
+        });
+        let aborted = false;
+        const onAbort = () => {
+            aborted = true;
+            worker.terminate();
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        let reply = null;
+        let failure = null;
+        worker.once('message', (message) => { reply = message; });
+        worker.once('error', (err) => { failure = err; });
+        // Settle once the worker and its canvas are gone, so the slot is free again
+        worker.once('exit', (exitCode) => {
+            activeRenders -= 1;
+            signal?.removeEventListener('abort', onAbort);
+
+            if (aborted) {
+                reject(Object.assign(new Error('PNG export was aborted'), { code: RENDER_ABORTED }));
+            } else if (failure || !reply) {
+                reject(failure || new Error(`PNG worker exited with code ${exitCode}`));
+            } else if (reply.error) {
+                reject(Object.assign(new Error(reply.error), { code: reply.code }));
+            } else {
+                resolve(Buffer.from(reply.png.buffer, reply.png.byteOffset, reply.png.byteLength));
+            }
+        });
+    });
+}
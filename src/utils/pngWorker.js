@@ -0,0 +1,11 @@
+// Worker thread entry for renderPngInWorker (see pngExport.js)
+
+import { parentPort, workerData } from 'worker_threads';
+import { renderPng } from './pngExport.js';
+
+const { items, viewBox, options } = workerData;
+try {
+    parentPort.postMessage({ png: renderPng(items, viewBox, options) });
+} catch (e) {
+    parentPort.postMessage({ error: e.message, code: e.code });
+}
@@ -0,0 +1,121 @@
+// Per-connection WebSocket limits: a token bucket per message type, a size cap for
+// sync updates, and disconnection of clients that keep exceeding them
+
+import { defineCounter, incrementCounter } from './metrics.js';
+
+const MESSAGE_TYPES = { 0: 'sync', 1: 'awareness', 2: 'ephemeral', 3: 'property', 6: 'chat' };
+
+// Sustained messages per second; bursts of up to twice that are allowed
+const DEFAULT_RATES = { sync: 100, awareness: 60, ephemeral: 120, property: 60, chat: 2 };
+
+const DEFAULT_MAX_PAYLOAD_BYTES = 2 * 1024 * 1024;
+const DEFAULT_MAX_SYNC_UPDATE_BYTES = 1024 * 1024;
+const DEFAULT_MAX_VIOLATIONS = 50;
+const DEFAULT_VIOLATION_WINDOW_MS = 10 * 1000;
+
+const readInt = (name, fallback, min = 0) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) || value < min ? fallback : value;
+};
+
+// Largest WebSocket frame accepted (WS_MAX_PAYLOAD_BYTES); larger frames close the socket with 1009
+export const getMaxPayload = () => readInt('WS_MAX_PAYLOAD_BYTES', DEFAULT_MAX_PAYLOAD_BYTES, 1);
+
+// Largest sync message applied to the document (WS_MAX_SYNC_UPDATE_BYTES)
+export const getMaxSyncUpdate = () => readInt('WS_MAX_SYNC_UPDATE_BYTES', DEFAULT_MAX_SYNC_UPDATE_BYTES, 1);
+
+// Messages per second per type (WS_RATE_SYNC, WS_RATE_AWARENESS, WS_RATE_EPHEMERAL, WS_RATE_PROPERTY, WS_RATE_CHAT; 0 = unlimited)
+const getRate = (typeName) => readInt(`WS_RATE_${typeName.toUpperCase()}`, DEFAULT_RATES[typeName]);
+
+defineCounter('ws_rate_limited_messages_total', 'WebSocket messages dropped by the per-connection rate limit');
+defineCounter('ws_oversized_updates_total', 'Sync messages refused for exceeding WS_MAX_SYNC_UPDATE_BYTES');
+defineCounter('ws_oversized_frames_total', 'WebSocket frames rejected for exceeding WS_MAX_PAYLOAD_BYTES');
+defineCounter('ws_rate_limit_disconnects_total', 'Connections closed for repeatedly exceeding their limits');
+
+/**
+ * Token bucket: holds up to `burst` tokens and regains `ratePerSecond` per second
+ * @param {number} ratePerSecond
+ * @param {number} burst
+ * @param {() => number} now - Clock in milliseconds
+ * @returns {{ take: () => boolean }}
+ */
+export function createTokenBucket(ratePerSecond, burst, now = Date.now) {
+    let tokens = burst;
+    let last = now();
+
+    return {
+        take() {
+            const current = now();
+            tokens = Math.min(burst, tokens + ((current - last) / 1000) * ratePerSecond);
+            last = current;
+            if (tokens < 1) return false;
+            tokens -= 1;
+            return true;
+        },
+    };
+}
+
+/**
+ * Creates the limiter of one connection. Limits are read when it is created.
+ * @param {{ now?: () => number }} [options]
+ * @returns {{ check: (messageType: number, size: number) => Object }}
+ */
+export function createConnectionLimiter({ now = Date.now } = {}) {
+    const buckets = new Map();
+    const maxSyncUpdate = getMaxSyncUpdate();
+    const maxViolations = readInt('WS_MAX_VIOLATIONS', DEFAULT_MAX_VIOLATIONS, 1);
+    const windowMs = readInt('WS_VIOLATION_WINDOW_MS', DEFAULT_VIOLATION_WINDOW_MS, 1);
+
+    Object.keys(DEFAULT_RATES).forEach((typeName) => {
+        const rate = getRate(typeName);
+        if (rate > 0) buckets.set(typeName, createTokenBucket(rate, rate * 2, now));
+    });
+
+    let windowStart = now();
+    let violations = 0;
+
+    const violation = (code, message) => {
+        if (now() - windowStart >= windowMs) {
+            windowStart = now();
+            violations = 0;
+        }
+        violations++;
+
+        const disconnect = violations > maxViolations;
+        if (disconnect) incrementCounter('ws_rate_limit_disconnects_total');
+        // Tell the client once per window rather than once per dropped message
+        return { allowed: false, code, message, notify: violations === 1, disconnect };
+    };
+
+    /**
+     * Decides whether a message may be processed
+     * @param {number} messageType - Outer message type (0-3, 6)
+     * @param {number} size - Message size in bytes
+     * @returns {{ allowed: true } | { allowed: false, code: string, message: string, notify: boolean, disconnect: boolean }}
+     *   notify: send the client an error; disconnect: close with CLOSE_CODES.RATE_LIMITED
+     */
+    const check = (messageType, size) => {
+        const typeName = MESSAGE_TYPES[messageType];
+        if (!typeName) return { allowed: true };
+
+        if (typeName === 'sync' && size > maxSyncUpdate) {
+            incrementCounter('ws_oversized_updates_total');
+            return violation('UPDATE_TOO_LARGE', `Document updates are limited to ${maxSyncUpdate} bytes`);
+        }
+
+        const bucket = buckets.get(typeName);
+        if (bucket && !bucket.take()) {
+            incrementCounter('ws_rate_limited_messages_total', { type: typeName });
+            return violation('RATE_LIMITED', `Too many ${typeName} messages`);
+        }
+
+        return { allowed: true };
+    };
+
+    return { check };
+}
+
+/**
+ * Counts a frame that ws rejected for exceeding maxPayload
+ */
+export const recordOversizedFrame = () => incrementCounter('ws_oversized_frames_total');
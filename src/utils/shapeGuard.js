@@ -0,0 +1,139 @@
+// Schema enforcement for client writes to the 'shapes' map of a room document
+
+import * as Y from 'yjs';
+import { validatePropertyUpdate, validateShape } from './validation.js';
+import { sameValue } from './boardState.js';
+
+/**
+ * Validates a value stored under `key` in the 'shapes' map
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateShapeEntry(key, value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value) || value instanceof Y.AbstractType) {
+        return { valid: false, error: 'Shape must be a plain object' };
+    }
+    if (value.id !== undefined && value.id !== key) {
+        return { valid: false, error: 'id does not match the shape key' };
+    }
+    return validateShape({ ...value, id: key });
+}
+
+/**
+ * Validates an edit of a shape that was already invalid before it, e.g. one stored
+ * before the type registry with a property or type it does not know. Such shapes
+ * stay editable: only the properties the edit changes are checked, and changing
+ * the type requires the whole shape to be valid.
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateLegacyShapeEdit(key, value, previous) {
+    const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Y.AbstractType);
+    if (!isPlainObject(value) || !isPlainObject(previous) || value.type !== previous.type || value.id !== previous.id) {
+        return validateShapeEntry(key, value);
+    }
+    const changed = Object.fromEntries(
+        Object.entries(value).filter(([field, fieldValue]) => !sameValue(fieldValue, previous[field]))
+    );
+    return validatePropertyUpdate({ objectId: key, properties: changed }, value.type);
+}
+
+/**
+ * Value of `key` as it was before `transaction` began (undefined if it was absent).
+ * Entries replaced during the transaction still hold their content until it ends.
+ */
+function valueBefore(map, key, transaction) {
+    const existedBefore = (item) => item.id.clock < (transaction.beforeState.get(item.id.client) || 0);
+
+    // Map entries for a key are chained through `left`, newest first
+    let item = map._map.get(key) ?? null;
+    while (item !== null && !existedBefore(item)) {
+        item = item.left;
+    }
+    if (item === null || (item.deleted && !Y.isDeleted(transaction.deleteSet, item.id))) {
+        return undefined;
+    }
+    const content = item.content.getContent();
+    return content[content.length - 1];
+}
+
+/**
+ * Applies a client update and, in the same transaction, reverts every entry of the
+ * 'shapes' map it leaves invalid to its previous value, or removes it if it is new.
+ * Shapes that were invalid before the update (stored before the current schema) are
+ * checked with validateLegacyShapeEdit and never removed. The update emitted for
+ * persistence and broadcast therefore never introduces an invalid shape.
+ * @param {Y.Doc} doc - The room document
+ * @param {Uint8Array} update - Yjs update from the client
+ * @param {any} origin - Transaction origin (the sending socket)
+ * @returns {Array<{ id: string, error: string }>} Shapes that were reverted
+ */
+export function applyValidatedUpdate(doc, update, origin) {
+    const shapes = doc.getMap('shapes');
+    const rejected = [];
+
+    doc.transact((transaction) => {
+        // Joins this transaction instead of starting its own
+        Y.applyUpdate(doc, update, origin);
+
+        const keys = transaction.changed.get(shapes);
+        if (!keys) return;
+
+        keys.forEach((key) => {
+            const value = shapes.get(key);
+            if (value === undefined) return; // deletions are always allowed
+
+            const result = validateShapeEntry(key, value);
+            if (result.valid) return;
+
+            const previous = valueBefore(shapes, key, transaction);
+            const legacy = previous !== undefined && !validateShapeEntry(key, previous).valid;
+            if (legacy && validateLegacyShapeEdit(key, value, previous).valid) return;
+
+            rejected.push({ id: key, error: result.error });
+            if (previous !== undefined) {
+                shapes.set(key, previous);
+            } else {
+                shapes.delete(key);
+            }
+        });
+    }, origin);
+
+    return rejected;
+}
+
+/**
+ * Removes from `target` the shapes the current schema rejects before it is written
+ * over `live` (e.g. restoring a snapshot). Each rejected shape keeps its live value,
+ * or is left out if the live document does not have it. Shapes identical to the live
+ * value and valid edits of legacy shapes (see validateLegacyShapeEdit) are kept.
+ * @param {Y.Doc} target - State about to be restored; modified in place
+ * @param {Y.Doc} live - The room document
+ * @returns {Array<{ id: string, error: string }>} Shapes that were left out
+ */
+export function dropInvalidShapes(target, live) {
+    const wanted = target.getMap('shapes');
+    const current = live.getMap('shapes');
+    const toPlain = (value) => (value instanceof Y.AbstractType ? value.toJSON() : value);
+    const rejected = [];
+
+    target.transact(() => {
+        Array.from(wanted.keys()).forEach((key) => {
+            const value = wanted.get(key);
+            const previous = toPlain(current.get(key));
+            if (sameValue(toPlain(value), previous)) return;
+
+            const result = validateShapeEntry(key, value);
+            if (result.valid) return;
+            const legacy = previous !== undefined && !validateShapeEntry(key, previous).valid;
+            if (legacy && validateLegacyShapeEdit(key, value, previous).valid) return;
+
+            rejected.push({ id: key, error: result.error });
+            if (previous !== undefined) {
+                wanted.set(key, previous);
+            } else {
+                wanted.delete(key);
+            }
+        });
+    });
+
+    return rejected;
+}
@@ -0,0 +1,115 @@
+// Server-side edits to the 'shapes' map (REST write API)
+
+import { randomUUID } from 'crypto';
+import { validatePropertyUpdate, validateShape } from './validation.js';
+import { sameValue } from './boardState.js';
+import { validateLegacyShapeEdit, validateShapeEntry } from './shapeGuard.js';
+
+export const SHAPE_OPERATIONS = ['create', 'update', 'delete'];
+
+const fail = (status, error, index) => ({ ok: false, status, error, ...(index !== undefined && { index }) });
+
+/**
+ * Checks one operation against the shapes as they would be after the earlier ones
+ * @returns {{ ok: true, id: string, shape: Object|null } | { ok: false, status: number, error: string }}
+ *   shape is the full new value, or null for a delete
+ */
+function planOperation(operation, current) {
+    if (!operation || !SHAPE_OPERATIONS.includes(operation.op)) {
+        return fail(400, `op must be one of: ${SHAPE_OPERATIONS.join(', ')}`);
+    }
+
+    if (operation.op === 'create') {
+        const { shape } = operation;
+        if (!shape || typeof shape !== 'object' || Array.isArray(shape)) {
+            return fail(400, 'shape must be an object');
+        }
+        const candidate = { ...shape, id: shape.id ?? randomUUID() };
+        const validation = validateShape(candidate);
+        if (!validation.valid) {
+            return fail(400, validation.error);
+        }
+        if (current(candidate.id)) {
+            return fail(409, `Shape ${candidate.id} already exists`);
+        }
+        return { ok: true, id: candidate.id, shape: candidate };
+    }
+
+    const { id } = operation;
+    if (typeof id !== 'string' || id.trim() === '') {
+        return fail(400, 'Missing or invalid id');
+    }
+    const existing = current(id);
+    if (!existing) {
+        return fail(404, `Shape ${id} not found`);
+    }
+
+    if (operation.op === 'delete') {
+        return { ok: true, id, shape: null };
+    }
+
+    // Same checks as a type 3 property update over the WebSocket, then the whole shape
+    const validation = validatePropertyUpdate({ objectId: id, properties: operation.properties }, existing.type);
+    if (!validation.valid) {
+        return fail(400, validation.error);
+    }
+    if (operation.properties.id !== undefined && operation.properties.id !== id) {
+        return fail(400, 'id cannot be changed');
+    }
+    const candidate = { ...existing, ...operation.properties, id };
+    // Shapes stored before the current schema stay editable (see validateLegacyShapeEdit)
+    const shapeValidation = validateShapeEntry(id, existing).valid
+        ? validateShape(candidate)
+        : validateLegacyShapeEdit(id, candidate, { ...existing, id });
+    if (!shapeValidation.valid) {
+        return fail(400, shapeValidation.error);
+    }
+    return { ok: true, id, shape: candidate };
+}
+
+/**
+ * Validates a list of shape operations and applies them in a single transaction.
+ * Nothing is written unless every operation is valid.
+ * @param {Y.Doc} doc
+ * @param {Array<{ op: 'create'|'update'|'delete', id?: string, shape?: Object, properties?: Object }>} operations
+ * @param {*} origin - Transaction origin
+ * @returns {{ ok: true, results: Array<{ op: string, id: string, shape: Object|null }> }
+ *   | { ok: false, status: number, error: string, index: number }}
+ */
+export function applyShapeOperations(doc, operations, origin) {
+    const shapesMap = doc.getMap('shapes');
+
+    // Shapes touched by earlier operations in this batch (null = deleted)
+    const pending = new Map();
+    const current = (id) => {
+        if (pending.has(id)) return pending.get(id);
+        const value = shapesMap.get(id);
+        return value === undefined ? null : { id, ...value };
+    };
+
+    const results = [];
+    for (let index = 0; index < operations.length; index++) {
+        const planned = planOperation(operations[index], current);
+        if (!planned.ok) {
+            return fail(planned.status, planned.error, index);
+        }
+        pending.set(planned.id, planned.shape);
+        results.push({ op: operations[index].op, id: planned.id, shape: planned.shape });
+    }
+
+    doc.transact(() => {
+        pending.forEach((shape, id) => {
+            if (shape === null) {
+                shapesMap.delete(id);
+                return;
+            }
+            const properties = { ...shape };
+            delete properties.id;
+            if (!sameValue(shapesMap.get(id), properties)) {
+                shapesMap.set(id, properties);
+            }
+        });
+    }, origin);
+
+    return { ok: true, results };
+}
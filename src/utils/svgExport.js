@@ -0,0 +1,86 @@
+// Renders a board scene (see boardScene.js) as a standalone SVG document
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Keep numbers short and valid in attributes
+const num = (value) => String(Math.round(value * 1000) / 1000);
+
+const pointList = (points) => points.map(([x, y]) => `${num(x)},${num(y)}`).join(' ');
+
+// Only embed images that cannot run script in the exported file
+const isSafeImageSource = (src) => /^(https?:\/\/|data:image\/(png|jpe?g|gif|webp);)/i.test(src);
+
+const styleAttributes = ({ fill, stroke, strokeWidth, opacity }) => {
+    const attrs = [`fill="${escapeXml(fill)}"`, `stroke="${escapeXml(stroke)}"`];
+    if (stroke !== 'none') attrs.push(`stroke-width="${num(strokeWidth)}"`);
+    if (opacity < 1) attrs.push(`opacity="${num(opacity)}"`);
+    return attrs.join(' ');
+};
+
+function renderItem({ geometry, matrix, style }) {
+    const transform = matrix.some((v, i) => v !== IDENTITY[i])
+        ? ` transform="matrix(${matrix.map(num).join(' ')})"`
+        : '';
+
+    switch (geometry.kind) {
+        case 'rect': {
+            const radius = geometry.cornerRadius > 0 ? ` rx="${num(geometry.cornerRadius)}"` : '';
+            return `<rect${transform} x="0" y="0" width="${num(geometry.width)}" height="${num(geometry.height)}"${radius} ${styleAttributes(style)}/>`;
+        }
+        case 'ellipse':
+            return `<ellipse${transform} cx="0" cy="0" rx="${num(geometry.rx)}" ry="${num(geometry.ry)}" ${styleAttributes(style)}/>`;
+        case 'polyline': {
+            const tag = geometry.closed ? 'polygon' : 'polyline';
+            const caps = geometry.round ? ' stroke-linecap="round" stroke-linejoin="round"' : '';
+            const line = `<${tag} points="${pointList(geometry.points)}" ${styleAttributes(style)}${caps}/>`;
+            if (!geometry.arrowHead) {
+                return transform ? `<g${transform}>${line}</g>` : line;
+            }
+            const head = `<polygon points="${pointList(geometry.arrowHead)}" ${styleAttributes({ ...style, fill: style.stroke })}/>`;
+            return `<g${transform}>${line}${head}</g>`;
+        }
+        case 'text': {
+            const lineHeight = geometry.fontSize * 1.2;
+            const spans = geometry.lines
+                .map((line, i) => `<tspan x="0" y="${num(i * lineHeight)}">${escapeXml(line)}</tspan>`)
+                .join('');
+            return `<text${transform} font-size="${num(geometry.fontSize)}" font-family="${escapeXml(geometry.fontFamily)}" dominant-baseline="hanging" ${styleAttributes(style)}>${spans}</text>`;
+        }
+        case 'image':
+            if (!isSafeImageSource(geometry.src)) return '';
+            return `<image${transform} x="0" y="0" width="${num(geometry.width)}" height="${num(geometry.height)}" href="${escapeXml(geometry.src)}"${style.opacity < 1 ? ` opacity="${num(style.opacity)}"` : ''}/>`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Renders scene items into an SVG document
+ * @param {Array<Object>} items - Drawable items, back to front (from frameScene)
+ * @param {{ x: number, y: number, width: number, height: number }} viewBox - Board region to show
+ * @param {{ background?: string|null }} options - Optional background colour
+ * @returns {string} SVG markup
+ */
+export function renderSvg(items, viewBox, { background = null } = {}) {
+    const { x, y, width, height } = viewBox;
+    const body = items.map(renderItem).filter(Boolean);
+
+    if (background) {
+        body.unshift(`<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" fill="${escapeXml(background)}"/>`);
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="${num(x)} ${num(y)} ${num(width)} ${num(height)}">`,
+        ...body.map((element) => `  ${element}`),
+        '</svg>',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,56 @@
+// Server-side guard around the Yjs sync protocol (message type 0)
+import * as Y from "yjs";
+import * as syncProtocol from "y-protocols/sync";
+import { decoding } from "lib0";
+import { applyValidatedUpdate } from "./shapeGuard.js";
+
+/**
+ * Checks whether a Yjs update carries no inserts and no deletions
+ * @param {Uint8Array} update
+ * @returns {boolean}
+ */
+export function isEmptyUpdate(update) {
+    const { structs, ds } = Y.decodeUpdate(update);
+    return structs.length === 0 && ds.clients.size === 0;
+}
+
+/**
+ * Reads one sync message like syncProtocol.readSyncMessage, but lets the caller
+ * refuse writes. Sync step 1 is always answered; sync step 2 and updates are
+ * dropped for read-only connections instead of being applied to the doc.
+ * Applied updates are checked against the shape schema and invalid shapes are
+ * reverted; the sender does not receive the broadcast of its own update, so
+ * `correction` carries the revert back to it.
+ * @param {decoding.Decoder} decoder - Positioned after the outer message type
+ * @param {encoding.Encoder} encoder - Receives the reply (sync step 2)
+ * @param {Y.Doc} doc - The room document
+ * @param {any} origin - Transaction origin (the sending socket)
+ * @param {{ readOnly?: boolean }} options
+ * @returns {{ syncType: number, refused: boolean, rejected: Array<{ id: string, error: string }>, correction: Uint8Array|null }}
+ *   refused is true when a non-empty write was dropped; rejected lists reverted shapes
+ */
+export function readGuardedSyncMessage(decoder, encoder, doc, origin, { readOnly = false } = {}) {
+    const syncType = decoding.readVarUint(decoder);
+
+    switch (syncType) {
+        case syncProtocol.messageYjsSyncStep1:
+            syncProtocol.readSyncStep1(decoder, encoder, doc);
+            return { syncType, refused: false, rejected: [], correction: null };
+
+        case syncProtocol.messageYjsSyncStep2:
+        case syncProtocol.messageYjsUpdate: {
+            const update = decoding.readVarUint8Array(decoder);
+            if (readOnly) {
+                // Viewers answer our sync step 1 with an empty step 2; only report real edits
+                return { syncType, refused: !isEmptyUpdate(update), rejected: [], correction: null };
+            }
+            const stateBefore = Y.encodeStateVector(doc);
+            const rejected = applyValidatedUpdate(doc, update, origin);
+            const correction = rejected.length > 0 ? Y.encodeStateAsUpdate(doc, stateBefore) : null;
+            return { syncType, refused: false, rejected, correction };
+        }
+
+        default:
+            throw new Error(`Unknown sync message type: ${syncType}`);
+    }
+}
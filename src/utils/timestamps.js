@@ -0,0 +1,11 @@
+// Parsing of timestamp query parameters
+
+/**
+ * Parses a timestamp query parameter (epoch milliseconds or ISO 8601)
+ * @returns {Date|null} null if the value is not a valid timestamp
+ */
+export const parseTimestamp = (value) => {
+    if (typeof value !== 'string' || value === '') return null;
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
@@ -1,11 +1,164 @@
-// Validation utilities for WebSocket message payloads
+// Validation utilities for WebSocket message payloads and board data
+
+// ============================================
+// Field rules
+// ============================================
+
+const COLOR_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\(\s*[\d.%\s,/]+\)|[a-z]+)$/i;
+const IMAGE_SOURCE_PATTERN = /^(https?:\/\/|data:image\/(png|jpe?g|gif|webp);)/i;
+
+const MAX_COORDINATE = 1e7;
+const MAX_POINTS = 20000; // numbers, i.e. 10000 x, y pairs
+
+const number = ({ min = -MAX_COORDINATE, max = MAX_COORDINATE, positive = false } = {}) => ({ kind: 'number', min, max, positive });
+const string = (maxLength, pattern = null) => ({ kind: 'string', maxLength, pattern });
+const color = () => ({ kind: 'color' });
+const boolean = () => ({ kind: 'boolean' });
+const points = () => ({ kind: 'points' });
+
+// Rule builders for registerShapeType
+export const fields = { number, string, color, boolean, points };
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isPointList = (value) => Array.isArray(value)
+    && value.length % 2 === 0
+    && value.length <= MAX_POINTS
+    && value.every(isFiniteNumber);
+
+/**
+ * Checks one value against a field rule
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkField(field, rule, value) {
+    switch (rule.kind) {
+        case 'number':
+            if (!isFiniteNumber(value)) return `Property '${field}' must be a number`;
+            if (rule.positive && value <= 0) return `${field} must be positive`;
+            if (value < rule.min || value > rule.max) return `${field} must be between ${rule.min} and ${rule.max}`;
+            return null;
+        case 'string':
+            if (typeof value !== 'string') return `Property '${field}' must be a string`;
+            if (value.length > rule.maxLength) return `${field} must be at most ${rule.maxLength} characters`;
+            if (rule.pattern && !rule.pattern.test(value)) return `${field} has an invalid format`;
+            return null;
+        case 'color':
+            if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) {
+                return `${field} must be a colour (#hex, rgb(), rgba() or a name)`;
+            }
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `Property '${field}' must be a boolean`;
+        case 'points':
+            return isPointList(value) ? null : 'points must be a flat list of x, y numbers';
+        default:
+            return `Property '${field}' has an unknown rule`;
+    }
+}
+
+// ============================================
+// Shape type registry
+// ============================================
+
+// Properties every shape may have (see boardScene.js for how they are drawn)
+const COMMON_FIELDS = {
+    x: number(),
+    y: number(),
+    rotation: number(),
+    scaleX: number({ min: -1000, max: 1000 }),
+    scaleY: number({ min: -1000, max: 1000 }),
+    zIndex: number(),
+    opacity: number({ min: 0, max: 1 }),
+    fill: color(),
+    stroke: color(),
+    strokeWidth: number({ min: 0, max: 1000 }),
+};
+
+const SIZE_FIELDS = {
+    width: number({ positive: true }),
+    height: number({ positive: true }),
+};
+
+const shapeTypes = new Map();
+
+/**
+ * Registers a shape type (or an alias sharing the same fields)
+ * @param {string} type - Value of the shape's `type` property
+ * @param {Object<string, Object>} fields - Type-specific field rules, added to the common ones
+ */
+export function registerShapeType(type, fields) {
+    shapeTypes.set(type, { ...COMMON_FIELDS, ...fields });
+}
+
+const RECTANGLE_FIELDS = { ...SIZE_FIELDS, cornerRadius: number({ min: 0 }) };
+const ELLIPSE_FIELDS = {
+    ...SIZE_FIELDS,
+    radius: number({ positive: true }),
+    radiusX: number({ positive: true }),
+    radiusY: number({ positive: true }),
+};
+const LINE_FIELDS = { points: points(), closed: boolean() };
+
+registerShapeType('rectangle', RECTANGLE_FIELDS);
+registerShapeType('rect', RECTANGLE_FIELDS);
+registerShapeType('ellipse', ELLIPSE_FIELDS);
+registerShapeType('circle', ELLIPSE_FIELDS);
+registerShapeType('line', LINE_FIELDS);
+registerShapeType('arrow', LINE_FIELDS);
+registerShapeType('text', {
+    ...SIZE_FIELDS,
+    text: string(10000),
+    fontSize: number({ positive: true, max: 1000 }),
+    fontFamily: string(200),
+});
+registerShapeType('image', {
+    ...SIZE_FIELDS,
+    src: string(2 * 1024 * 1024, IMAGE_SOURCE_PATTERN),
+});
+
+/**
+ * Field rules of a registered shape type
+ * @param {string} type
+ * @returns {Object<string, Object>|null} null for unknown types
+ */
+export function getShapeSchema(type) {
+    return shapeTypes.get(type) ?? null;
+}
+
+// Rules of every registered type, for updates to shapes whose type is unknown
+const anyTypeSchema = () => Object.assign({}, ...shapeTypes.values());
+
+/**
+ * Checks properties against a schema; unknown properties are rejected
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function checkProperties(schema, properties, ignored = []) {
+    for (const [field, value] of Object.entries(properties)) {
+        if (ignored.includes(field)) continue;
+        const rule = schema[field];
+        if (!rule) {
+            return { valid: false, error: `Unknown property '${field}'` };
+        }
+        const error = checkField(field, rule, value);
+        if (error) {
+            return { valid: false, error };
+        }
+    }
+    return { valid: true };
+}
+
+// ============================================
+// Validators
+// ============================================
 
 /**
  * Validates a property update payload
  * @param {Object} payload - The parsed payload object
+ * @param {string|null} [shapeType] - Type of the target shape when known; otherwise
+ *   properties are checked against the fields of every registered type
  * @returns {{ valid: boolean, error?: string }} Validation result
  */
-export function validatePropertyUpdate(payload) {
+export function validatePropertyUpdate(payload, shapeType = null) {
     // Check objectId
     if (!payload || typeof payload.objectId !== 'string' || payload.objectId.trim() === '') {
         return { valid: false, error: 'Missing or invalid objectId' };
@@ -18,27 +171,56 @@ export function validatePropertyUpdate(payload) {
     }
 
     // Check properties object
-    if (!payload.properties || typeof payload.properties !== 'object') {
+    if (!payload.properties || typeof payload.properties !== 'object' || Array.isArray(payload.properties)) {
         return { valid: false, error: 'Missing or invalid properties object' };
     }
 
-    const props = payload.properties;
-
-    // Validate numeric fields if present
-    const numericFields = ['width', 'height', 'rotation', 'scaleX', 'scaleY'];
-    for (const field of numericFields) {
-        if (props[field] !== undefined && typeof props[field] !== 'number') {
-            return { valid: false, error: `Property '${field}' must be a number` };
-        }
+    // Marks the last update of a gesture
+    if (payload.final !== undefined && typeof payload.final !== 'boolean') {
+        return { valid: false, error: 'final must be a boolean' };
     }
 
-    // Validate width/height are positive if present
-    if (props.width !== undefined && props.width <= 0) {
-        return { valid: false, error: 'width must be positive' };
+    const schema = (shapeType && getShapeSchema(shapeType)) || anyTypeSchema();
+    return checkProperties(schema, payload.properties, ['id', 'type']);
+}
+
+/**
+ * Validates a shape as stored in the 'shapes' map against its type's schema
+ * @param {Object} shape - Shape as { id, type, ...properties }
+ * @returns {{ valid: boolean, error?: string }} Validation result
+ */
+export function validateShape(shape) {
+    if (!shape || typeof shape !== 'object' || Array.isArray(shape)) {
+        return { valid: false, error: 'Shape must be an object' };
     }
-    if (props.height !== undefined && props.height <= 0) {
-        return { valid: false, error: 'height must be positive' };
+    if (typeof shape.id !== 'string' || shape.id.trim() === '' || shape.id.length > 200) {
+        return { valid: false, error: 'Missing or invalid id' };
+    }
+    if (typeof shape.type !== 'string' || shape.type.trim() === '') {
+        return { valid: false, error: 'Missing or invalid type' };
     }
 
-    return { valid: true };
+    const schema = getShapeSchema(shape.type);
+    if (!schema) {
+        return { valid: false, error: `Unknown shape type: ${shape.type}` };
+    }
+    return checkProperties(schema, shape, ['id', 'type']);
+}
+
+const STROKE_FIELDS = { color: color(), points: points() };
+
+/**
+ * Validates a freehand stroke as stored in the 'strokes' array
+ * @param {Object} stroke - Stroke as { color, points: [x, y, x, y, ...] }
+ * @returns {{ valid: boolean, error?: string }} Validation result
+ */
+export function validateStroke(stroke) {
+    if (!stroke || typeof stroke !== 'object' || Array.isArray(stroke)) {
+        return { valid: false, error: 'Stroke must be an object' };
+    }
+    const pointsError = checkField('points', STROKE_FIELDS.points, stroke.points);
+    if (pointsError) {
+        return { valid: false, error: pointsError };
+    }
+    return checkProperties(STROKE_FIELDS, stroke);
 }
@@ -0,0 +1,227 @@
+/**
+ * Unit Tests for activityLog.js and activityController.js
+ * Tests the attributed activity log of shape edits
+ *
+ * Test Coverage:
+ * - Grouping edits per actor into bursts, written after an idle period
+ * - Net effect per burst (created, modified, deleted)
+ * - Attribution of socket and server-side origins
+ * - Filtering and paging entries
+ * - GET /activity parameter validation
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { WebSocket } from 'ws';
+
+const mockActivityEntry = {
+    create: jest.fn(),
+    find: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/ActivityEntry.js', () => ({
+    default: mockActivityEntry,
+}));
+
+const { createActivityRecorder, listActivity } = await import('../../src/services/activityLog.js');
+const { getActivity } = await import('../../src/controllers/activityController.js');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+// Key changes of the 'shapes' map as reported by Y.YMapEvent
+const changes = (entries) => new Map(entries.map(([id, action]) => [id, { action }]));
+
+// Stand-in for an authenticated socket (the recorder checks instanceof WebSocket)
+const createSocket = (fields) => Object.assign(Object.create(WebSocket.prototype), fields);
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+describe('activityLog', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        mockActivityEntry.create.mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete process.env.ACTIVITY_BURST_MS;
+    });
+
+    describe('createActivityRecorder', () => {
+        it('should write one entry per burst once the actor is idle', async () => {
+            process.env.ACTIVITY_BURST_MS = '1000';
+            const recorder = createActivityRecorder('room-1');
+            const ws = createSocket({ user: { _id: USER_ID }, inviteId: null });
+
+            recorder.record(ws, changes([['a', 'add']]));
+            await jest.advanceTimersByTimeAsync(800);
+            recorder.record(ws, changes([['b', 'add'], ['c', 'update']]));
+            await jest.advanceTimersByTimeAsync(800);
+            expect(mockActivityEntry.create).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(200);
+
+            expect(mockActivityEntry.create).toHaveBeenCalledTimes(1);
+            expect(mockActivityEntry.create).toHaveBeenCalledWith({
+                room: 'room-1',
+                user: USER_ID,
+                invite: null,
+                source: 'socket',
+                created: ['a', 'b'],
+                modified: ['c'],
+                deleted: [],
+                startedAt: expect.any(Date),
+                endedAt: expect.any(Date),
+            });
+        });
+
+        it('should keep the net effect of a burst', async () => {
+            const recorder = createActivityRecorder('room-1');
+            const origin = { source: 'rest', userId: USER_ID };
+
+            recorder.record(origin, changes([['temp', 'add'], ['a', 'update'], ['b', 'update']]));
+            recorder.record(origin, changes([['temp', 'delete'], ['a', 'delete'], ['b', 'delete']]));
+            recorder.record(origin, changes([['b', 'add']]));
+            await recorder.flush();
+
+            expect(mockActivityEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+                created: [],
+                modified: ['b'],
+                deleted: ['a'],
+            }));
+        });
+
+        it('should keep actors apart and attribute server-side writes', async () => {
+            const recorder = createActivityRecorder('room-1');
+            const guest = createSocket({ user: null, inviteId: 'invite-1' });
+
+            recorder.record(guest, changes([['a', 'delete']]));
+            recorder.record({ source: 'import', userId: USER_ID }, changes([['b', 'add']]));
+            recorder.record({ source: 'property-update', userId: null, inviteId: 'invite-2' }, changes([['c', 'update']]));
+            await recorder.flush();
+
+            expect(mockActivityEntry.create.mock.calls.map(([entry]) => [entry.source, entry.user, entry.invite]))
+                .toEqual([['socket', null, 'invite-1'], ['import', USER_ID, null], ['property-update', null, 'invite-2']]);
+            expect(recorder.bursts.size).toBe(0);
+        });
+
+        it('should not write bursts without a net change', async () => {
+            const recorder = createActivityRecorder('room-1');
+
+            recorder.record({ source: 'rest', userId: null }, changes([['a', 'add']]));
+            recorder.record({ source: 'rest', userId: null }, changes([['a', 'delete']]));
+            await recorder.flush();
+
+            expect(mockActivityEntry.create).not.toHaveBeenCalled();
+        });
+
+        it('should log write failures without rejecting', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            mockActivityEntry.create.mockRejectedValue(new Error('DB down'));
+            const recorder = createActivityRecorder('room-1');
+
+            recorder.record({ source: 'rest' }, changes([['a', 'add']]));
+
+            await expect(recorder.flush()).resolves.toBeUndefined();
+            expect(console.error).toHaveBeenCalled();
+        });
+    });
+
+    describe('listActivity', () => {
+        const entries = Array.from({ length: 3 }, (_, i) => ({
+            _id: `id-${i}`,
+            user: { _id: USER_ID, displayName: 'Alice', avatar: '' },
+            invite: null,
+            source: 'socket',
+            created: [`s${i}`],
+            modified: [],
+            deleted: [],
+            startedAt: new Date(i * 1000),
+            endedAt: new Date(i * 1000 + 500),
+        })).reverse();
+
+        const mockFind = () => {
+            const query = {
+                sort: jest.fn(() => query),
+                limit: jest.fn((n) => {
+                    query.results = entries.slice(0, n);
+                    return query;
+                }),
+                populate: jest.fn(async () => query.results),
+            };
+            mockActivityEntry.find.mockReturnValue(query);
+            return query;
+        };
+
+        it('should filter by user and time range, newest first', async () => {
+            const query = mockFind();
+            const from = new Date(0);
+            const to = new Date(5000);
+
+            const page = await listActivity('room-1', { user: USER_ID, from, to, before: 'id-9', limit: 2 });
+
+            expect(mockActivityEntry.find).toHaveBeenCalledWith({
+                room: 'room-1',
+                user: USER_ID,
+                _id: { $lt: 'id-9' },
+                endedAt: { $gte: from, $lte: to },
+            });
+            expect(query.sort).toHaveBeenCalledWith({ _id: -1 });
+            expect(page.entries.map((e) => e.created)).toEqual([['s2'], ['s1']]);
+            expect(page.entries[0].user).toEqual({ id: USER_ID, displayName: 'Alice', avatar: '' });
+            expect(page.nextBefore).toBe('id-1');
+        });
+
+        it('should report the last page', async () => {
+            mockFind();
+
+            const page = await listActivity('room-1');
+
+            expect(mockActivityEntry.find).toHaveBeenCalledWith({ room: 'room-1' });
+            expect(page.entries).toHaveLength(3);
+            expect(page.nextBefore).toBeNull();
+        });
+    });
+
+    describe('getActivity', () => {
+        it('should validate query parameters', async () => {
+            const cases = [
+                { user: 'alice' },
+                { before: 'x' },
+                { from: 'yesterday' },
+                { to: '' },
+                { from: '2000', to: '1000' },
+                { limit: '-1' },
+            ];
+
+            for (const query of cases) {
+                const res = mockResponse();
+                await getActivity({ params: { roomId: 'room-1' }, query }, res);
+                expect(res.status).toHaveBeenCalledWith(400);
+            }
+            expect(mockActivityEntry.find).not.toHaveBeenCalled();
+        });
+
+        it('should parse timestamps and return the page', async () => {
+            const query = { sort: () => query, limit: () => query, populate: async () => [] };
+            mockActivityEntry.find.mockReturnValue(query);
+            const res = mockResponse();
+
+            await getActivity({
+                params: { roomId: 'room-1' },
+                query: { user: USER_ID, from: '1000', to: '2024-01-01T00:00:00Z' },
+            }, res);
+
+            expect(mockActivityEntry.find).toHaveBeenCalledWith({
+                room: 'room-1',
+                user: USER_ID,
+                endedAt: { $gte: new Date(1000), $lte: new Date('2024-01-01T00:00:00Z') },
+            });
+            expect(res.json).toHaveBeenCalledWith({ roomId: 'room-1', entries: [], nextBefore: null });
+        });
+    });
+});
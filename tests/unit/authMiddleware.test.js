@@ -1,6 +1,6 @@
 /**
  * Unit Tests for authMiddleware.js
- * Tests the 'protect' JWT verification middleware
+ * Tests the 'protect' JWT verification middleware and 'requireAdmin'
  * 
  * Test Coverage:
  * - 2.1: Valid JWT token (Happy Path)
@@ -8,11 +8,13 @@
  * - 2.3: Authorization header without "Bearer " prefix
  * - 2.4: Expired JWT token
  * - 2.5: Malformed/tampered JWT token
+ * - Invite link tokens are not user sessions
+ * - requireAdmin: accounts listed in ADMIN_USER_IDS only
  */
 
-import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
 import jwt from 'jsonwebtoken';
-import { protect } from '../../src/middleware/authMiddleware.js';
+import { protect, requireAdmin } from '../../src/middleware/authMiddleware.js';
 
 // Mock request, response, and next function factories
 const mockRequest = (authHeader) => ({
@@ -163,5 +165,56 @@ describe('authMiddleware - protect()', () => {
             expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired token' });
             expect(mockNext).not.toHaveBeenCalled();
         });
+
+        it('should return 401 for invite link tokens', () => {
+            // Arrange: Invite tokens are signed with the same secret (see inviteAuth.js)
+            const inviteToken = jwt.sign(
+                { invite: '507f1f77bcf86cd799439099', roomId: 'room-1', role: 'editor' },
+                process.env.JWT_SECRET,
+                { expiresIn: '1h' }
+            );
+            const req = mockRequest(`Bearer ${inviteToken}`);
+            const res = mockResponse();
+
+            // Act
+            protect(req, res, mockNext);
+
+            // Assert
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ error: 'Invite tokens are not accepted here' });
+            expect(req.userId).toBeUndefined();
+            expect(mockNext).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('authMiddleware - requireAdmin()', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.ADMIN_USER_IDS = '507f1f77bcf86cd799439011, 507f1f77bcf86cd799439012';
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_USER_IDS;
+    });
+
+    it('should call next() for accounts listed in ADMIN_USER_IDS', () => {
+        const res = mockResponse();
+
+        requireAdmin({ userId: '507f1f77bcf86cd799439012' }, res, mockNext);
+
+        expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should return 403 for other accounts, or when no admins are configured', () => {
+        const res = mockResponse();
+        requireAdmin({ userId: '507f1f77bcf86cd799439013' }, res, mockNext);
+
+        delete process.env.ADMIN_USER_IDS;
+        requireAdmin({ userId: '507f1f77bcf86cd799439011' }, res, mockNext);
+
+        expect(res.status).toHaveBeenCalledTimes(2);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(mockNext).not.toHaveBeenCalled();
     });
 });
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for awarenessGuard.js
+ * Tests ownership checks and server-stamped identity on awareness updates (Type 1)
+ *
+ * Test Coverage:
+ * - Authenticated sockets get their account's name and avatar stamped
+ * - Anonymous sockets cannot claim a verified identity
+ * - Updates to states of other sockets or of the server are rejected
+ * - A socket may update and remove its own states
+ * - Malformed updates are rejected
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import * as Y from 'yjs';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import { guardAwarenessUpdate, decodeAwarenessUpdate, stampIdentity } from '../../src/utils/awarenessGuard.js';
+
+const alice = { _id: 'u1', displayName: 'Alice', avatar: 'https://example.com/alice.png' };
+
+describe('awarenessGuard', () => {
+    let server;
+    let client;
+
+    // Awareness update carrying the client's current local state
+    const clientUpdate = (state) => {
+        client.setLocalState(state);
+        return awarenessProtocol.encodeAwarenessUpdate(client, [client.clientID]);
+    };
+
+    beforeEach(() => {
+        server = new awarenessProtocol.Awareness(new Y.Doc());
+        client = new awarenessProtocol.Awareness(new Y.Doc());
+    });
+
+    afterEach(() => {
+        server.destroy();
+        client.destroy();
+    });
+
+    it('should stamp the account identity over what the client claims', () => {
+        const update = clientUpdate({ user: { name: 'Mallory', avatar: 'x.png', color: '#f00' }, cursor: { x: 1, y: 2 } });
+
+        const result = guardAwarenessUpdate(update, server, { user: alice });
+        awarenessProtocol.applyAwarenessUpdate(server, result.update, 'ws');
+
+        expect(result.ok).toBe(true);
+        expect(server.getStates().get(client.clientID)).toEqual({
+            user: {
+                id: 'u1',
+                name: 'Alice',
+                displayName: 'Alice',
+                avatar: 'https://example.com/alice.png',
+                color: '#f00',
+                verified: true,
+            },
+            cursor: { x: 1, y: 2 },
+        });
+    });
+
+    it('should mark identities claimed by anonymous sockets as unverified', () => {
+        expect(stampIdentity({ user: { id: 'u1', name: 'Alice', verified: true } }, null))
+            .toEqual({ user: { name: 'Alice', verified: false } });
+        expect(stampIdentity({ cursor: null }, null)).toEqual({ cursor: null });
+        expect(stampIdentity(null, alice)).toBeNull();
+    });
+
+    it('should reject updates to another socket\'s state', () => {
+        awarenessProtocol.applyAwarenessUpdate(server, clientUpdate({ cursor: { x: 0, y: 0 } }), 'other-ws');
+
+        const result = guardAwarenessUpdate(clientUpdate({ cursor: { x: 5, y: 5 } }), server, { controlled: new Set() });
+
+        expect(result).toEqual({
+            ok: false,
+            error: 'Cannot change another client\'s awareness state',
+            clientIds: [client.clientID],
+        });
+        expect(server.getStates().get(client.clientID)).toEqual({ cursor: { x: 0, y: 0 } });
+    });
+
+    it('should reject updates to the server\'s own state', () => {
+        const update = awarenessProtocol.encodeAwarenessUpdate(server, [server.clientID]);
+
+        expect(guardAwarenessUpdate(update, server).ok).toBe(false);
+    });
+
+    it('should let a socket update and remove the states it controls', () => {
+        const controlled = new Set([client.clientID]);
+        awarenessProtocol.applyAwarenessUpdate(server, clientUpdate({ cursor: { x: 0, y: 0 } }), 'ws');
+
+        const moved = guardAwarenessUpdate(clientUpdate({ cursor: { x: 5, y: 5 } }), server, { controlled });
+        expect(moved.ok).toBe(true);
+
+        const removed = guardAwarenessUpdate(clientUpdate(null), server, { controlled });
+        expect(removed.ok).toBe(true);
+        expect(decodeAwarenessUpdate(removed.update)).toEqual([
+            { clientId: client.clientID, clock: expect.any(Number), state: null },
+        ]);
+    });
+
+    it('should reject malformed updates', () => {
+        expect(guardAwarenessUpdate(new Uint8Array([1, 7]), server)).toEqual({
+            ok: false,
+            error: 'Malformed awareness update',
+        });
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for the JSON board format
+ * Tests boardFile.js, shape validation and the import controller
+ *
+ * Test Coverage:
+ * - Shape and stroke validation
+ * - Rejecting unknown formats, newer versions and invalid entries
+ * - Export → import round trip
+ * - Merging in a single transaction; re-importing is a no-op
+ * - Creating a missing room vs merging into an existing one
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import * as Y from 'yjs';
+
+const mockRoom = { create: jest.fn() };
+const mockRoomUpdate = { exists: jest.fn() };
+const liveDoc = { current: null };
+
+jest.unstable_mockModule('../../src/models/Room.js', () => ({
+    default: mockRoom,
+}));
+
+jest.unstable_mockModule('../../src/models/RoomUpdate.js', () => ({
+    default: mockRoomUpdate,
+}));
+
+jest.unstable_mockModule('../../src/services/roomManager.js', () => ({
+    withLiveRoom: jest.fn(async (roomId, fn) => fn({ doc: liveDoc.current })),
+}));
+
+const { validateShape, validateStroke } = await import('../../src/utils/validation.js');
+const { serializeBoard, parseBoardFile, mergeBoard, BOARD_FORMAT } = await import('../../src/utils/boardFile.js');
+const { importBoard } = await import('../../src/controllers/importController.js');
+
+const boardFile = (shapes, strokes = []) => ({ format: BOARD_FORMAT, version: 1, shapes, strokes });
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+describe('Board files', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        liveDoc.current = new Y.Doc();
+    });
+
+    describe('validation', () => {
+        it('should accept well-formed shapes and strokes', () => {
+            expect(validateShape({ id: 'a', type: 'rectangle', x: 1, width: 10, fill: '#fff' })).toEqual({ valid: true });
+            expect(validateStroke({ color: '#000', points: [0, 0, 1, 1] })).toEqual({ valid: true });
+        });
+
+        it('should reject malformed shapes', () => {
+            expect(validateShape({ type: 'rectangle' }).error).toBe('Missing or invalid id');
+            expect(validateShape({ id: 'a' }).error).toBe('Missing or invalid type');
+            expect(validateShape({ id: 'a', type: 'rect', x: '1' }).error).toBe("Property 'x' must be a number");
+            expect(validateShape({ id: 'a', type: 'rect', width: -1 }).error).toBe('width must be positive');
+            expect(validateShape({ id: 'a', type: 'line', points: [0, 0, 1] }).valid).toBe(false);
+            expect(validateStroke({ points: 'nope' }).valid).toBe(false);
+        });
+    });
+
+    describe('parseBoardFile', () => {
+        it('should reject other formats and newer versions', () => {
+            expect(parseBoardFile({ shapes: [] }).error).toMatch(/Not a board file/);
+            expect(parseBoardFile({ format: BOARD_FORMAT, version: 2 }).error).toMatch(/Unsupported board file version/);
+        });
+
+        it('should list every invalid or duplicate entry', () => {
+            const { error, details } = parseBoardFile(boardFile(
+                [{ id: 'a', type: 'rect' }, { id: 'a', type: 'rect' }, { id: 'b', type: 'rect', opacity: 2 }],
+                [{ points: [1] }]
+            ));
+
+            expect(error).toBe('Board file contains 3 invalid entries');
+            expect(details).toEqual([
+                { kind: 'shape', index: 1, id: 'a', error: 'Duplicate id' },
+                { kind: 'shape', index: 2, id: 'b', error: 'opacity must be between 0 and 1' },
+                { kind: 'stroke', index: 0, error: 'points must be a flat list of x, y numbers' },
+            ]);
+        });
+    });
+
+    describe('round trip', () => {
+        it('should import an exported board into an empty document', () => {
+            const source = new Y.Doc();
+            source.getMap('shapes').set('r1', { type: 'rectangle', x: 1, y: 2, width: 3, height: 4 });
+            source.getArray('strokes').push([{ color: '#f00', points: [0, 0, 5, 5] }]);
+
+            const file = JSON.parse(JSON.stringify(serializeBoard(source, { _id: 'room-1', createdAt: new Date(0) })));
+            expect(file.room).toEqual({ id: 'room-1', createdAt: '1970-01-01T00:00:00.000Z', updatedAt: null });
+
+            const { board } = parseBoardFile(file);
+            const target = new Y.Doc();
+            const result = mergeBoard(target, board, 'import');
+
+            expect(result).toEqual({ added: 1, updated: 0, unchanged: 0, strokesAdded: 1 });
+            expect(target.getMap('shapes').toJSON()).toEqual(source.getMap('shapes').toJSON());
+            expect(target.getArray('strokes').toJSON()).toEqual(source.getArray('strokes').toJSON());
+        });
+
+        it('should merge in one transaction and make re-imports a no-op', () => {
+            const doc = new Y.Doc();
+            doc.getMap('shapes').set('keep', { type: 'rect', x: 0 });
+            doc.getMap('shapes').set('a', { type: 'rect', x: 0 });
+            const updates = [];
+            doc.on('update', (update, origin) => updates.push(origin));
+
+            const { board } = parseBoardFile(boardFile([{ id: 'a', type: 'rect', x: 5 }, { id: 'b', type: 'ellipse' }], [{ points: [0, 0, 1, 1] }]));
+            expect(mergeBoard(doc, board, 'import')).toEqual({ added: 1, updated: 1, unchanged: 0, strokesAdded: 1 });
+            expect(updates).toEqual(['import']);
+
+            expect(mergeBoard(doc, board, 'import')).toEqual({ added: 0, updated: 0, unchanged: 2, strokesAdded: 0 });
+            expect(updates).toHaveLength(1);
+            expect(doc.getMap('shapes').get('keep')).toEqual({ type: 'rect', x: 0 });
+        });
+    });
+
+    describe('importBoard', () => {
+        const file = boardFile([{ id: 'a', type: 'rect' }]);
+
+        it('should reject invalid files before touching the room', async () => {
+            const res = mockResponse();
+
+            await importBoard({ params: { roomId: 'r' }, body: boardFile([{ id: 'a' }]), room: null, userId: 'u1' }, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].details).toHaveLength(1);
+            expect(mockRoom.create).not.toHaveBeenCalled();
+        });
+
+        it('should create a missing room owned by the caller', async () => {
+            const res = mockResponse();
+
+            await importBoard({ params: { roomId: 'r' }, body: file, room: null, userId: 'u1' }, res);
+
+            expect(mockRoom.create).toHaveBeenCalledWith({ _id: 'r', owner: 'u1' });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ roomId: 'r', created: true, added: 1 }));
+            expect(liveDoc.current.getMap('shapes').get('a')).toEqual({ type: 'rect' });
+        });
+
+        it('should not claim a room whose board has no Room document yet', async () => {
+            mockRoomUpdate.exists.mockResolvedValueOnce({ _id: 'update-1' });
+            const res = mockResponse();
+
+            await importBoard({ params: { roomId: 'r' }, body: file, room: null, userId: 'u1' }, res);
+
+            expect(mockRoomUpdate.exists).toHaveBeenCalledWith({ room: 'r' });
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(mockRoom.create).not.toHaveBeenCalled();
+        });
+
+        it('should require an account to create a room', async () => {
+            const res = mockResponse();
+
+            await importBoard({ params: { roomId: 'r' }, body: file, room: null, invite: { role: 'editor' } }, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(mockRoom.create).not.toHaveBeenCalled();
+        });
+
+        it('should attribute imports through an invite link to the invite', async () => {
+            const origins = [];
+            liveDoc.current.on('update', (update, origin) => origins.push(origin));
+
+            await importBoard({ params: { roomId: 'r' }, body: file, room: { _id: 'r' }, invite: { id: 'invite-1', role: 'editor' } }, mockResponse());
+
+            expect(origins).toEqual([{ source: 'import', userId: null, inviteId: 'invite-1' }]);
+        });
+
+        it('should merge into an existing room', async () => {
+            const res = mockResponse();
+
+            await importBoard({ params: { roomId: 'r' }, body: file, room: { _id: 'r' }, userId: 'u1' }, res);
+
+            expect(mockRoom.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ created: false, added: 1 }));
+        });
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * Unit Tests for point-in-time board state
+ * Tests boardState.js (decoding, diffing) and history in roomPersistence.js
+ *
+ * Test Coverage:
+ * - Decoding shapes from a Yjs update
+ * - Shape diffs: added, removed, modified with property-level changes
+ * - Rebuilding the board at a timestamp from the update history
+ * - Refusing timestamps older than the retained history
+ * - Pruning expired history into a single base entry
+ * - Starting from the nearest checkpoint and capping the updates one query replays
+ * - Seeding legacy rooms that only have a snapshot
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import * as Y from 'yjs';
+
+let log;
+let nextId;
+let storedRoom;
+
+const mockRoom = {
+    findById: jest.fn(),
+};
+
+const mockRoomUpdate = {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    exists: jest.fn(),
+    countDocuments: jest.fn(),
+    create: jest.fn(),
+    deleteMany: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/Room.js', () => ({
+    default: mockRoom,
+}));
+
+jest.unstable_mockModule('../../src/models/RoomUpdate.js', () => ({
+    default: mockRoomUpdate,
+}));
+
+const { decodeDoc, getShapes, diffShapes } = await import('../../src/utils/boardState.js');
+const {
+    loadRoomStateAt,
+    pruneHistory,
+    checkpointHistory,
+    MAX_HISTORY_QUERY_UPDATES,
+} = await import('../../src/services/roomPersistence.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records each edit of `doc` as a history entry stamped `at`
+const recordEdit = (doc, at, edit) => {
+    const before = Y.encodeStateVector(doc);
+    edit(doc.getMap('shapes'));
+    log.push({
+        _id: nextId++,
+        room: 'room-1',
+        data: Buffer.from(Y.encodeStateAsUpdate(doc, before)),
+        createdAt: at,
+        compacted: true,
+        base: false,
+    });
+};
+
+// Evaluates the subset of MongoDB filters used by roomPersistence.js
+const matchesValue = (value, condition) => {
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+        return condition instanceof Date ? value?.getTime() === condition.getTime() : Boolean(value) === condition;
+    }
+    return (condition.$ne === undefined || Boolean(value) !== condition.$ne)
+        && (!condition.$lt || value < condition.$lt)
+        && (!condition.$lte || value <= condition.$lte)
+        && (!condition.$gt || value > condition.$gt)
+        && (!condition.$gte || value >= condition.$gte);
+};
+
+const matching = (filter) => log.filter((entry) =>
+    entry.room === filter.room
+    && Object.entries(filter).every(([field, condition]) => field === 'room' || matchesValue(entry[field], condition))
+);
+
+const sortBy = (entries, { createdAt }) => [...entries].sort((a, b) => (a.createdAt - b.createdAt) * createdAt);
+
+describe('Board history', () => {
+    beforeEach(() => {
+        log = [];
+        nextId = 1;
+        storedRoom = null;
+        mockRoom.findById.mockImplementation(() => ({ select: async () => storedRoom }));
+        mockRoomUpdate.find.mockImplementation((filter) => ({
+            sort: (spec) => {
+                const sorted = sortBy(matching(filter), spec);
+                return Object.assign(Promise.resolve(sorted), { limit: async (n) => sorted.slice(0, n) });
+            },
+        }));
+        mockRoomUpdate.findOne.mockImplementation((filter) => ({
+            sort: async (spec) => sortBy(matching(filter), spec)[0] || null,
+        }));
+        mockRoomUpdate.exists.mockImplementation(async (filter) => matching(filter).length > 0);
+        mockRoomUpdate.countDocuments.mockImplementation(async (filter) => matching(filter).length);
+        mockRoomUpdate.create.mockImplementation(async (fields) => {
+            const entry = { _id: nextId++, createdAt: new Date(), ...fields };
+            log.push(entry);
+            return entry;
+        });
+        mockRoomUpdate.deleteMany.mockImplementation(async ({ _id }) => {
+            log = log.filter((e) => !_id.$in.includes(e._id));
+        });
+    });
+
+    afterEach(() => {
+        delete process.env.ROOM_HISTORY_RETENTION_DAYS;
+        delete process.env.ROOM_HISTORY_CHECKPOINT_INTERVAL;
+    });
+
+    describe('boardState', () => {
+        it('should decode shapes with their ids', () => {
+            const doc = new Y.Doc();
+            doc.getMap('shapes').set('rect-1', { type: 'rectangle', x: 1 });
+
+            expect(getShapes(decodeDoc(Y.encodeStateAsUpdate(doc)))).toEqual([{ id: 'rect-1', type: 'rectangle', x: 1 }]);
+            expect(getShapes(decodeDoc(null))).toEqual([]);
+        });
+
+        it('should diff added, removed and modified shapes', () => {
+            const before = [
+                { id: 'a', type: 'rectangle', x: 0, fill: '#fff' },
+                { id: 'b', type: 'ellipse', x: 0 },
+            ];
+            const after = [
+                { id: 'a', type: 'rectangle', x: 10, stroke: '#000' },
+                { id: 'c', type: 'text', text: 'hi' },
+            ];
+
+            const diff = diffShapes(before, after);
+
+            expect(diff.added).toEqual([{ id: 'c', type: 'text', text: 'hi' }]);
+            expect(diff.removed).toEqual([{ id: 'b', type: 'ellipse', x: 0 }]);
+            expect(diff.modified).toEqual([{
+                id: 'a',
+                changes: {
+                    x: { from: 0, to: 10 },
+                    fill: { from: '#fff', to: null },
+                    stroke: { from: null, to: '#000' },
+                },
+            }]);
+        });
+
+        it('should not report unchanged shapes', () => {
+            const shapes = [{ id: 'a', type: 'rectangle', points: [1, 2] }];
+            expect(diffShapes(shapes, JSON.parse(JSON.stringify(shapes))).modified).toEqual([]);
+        });
+    });
+
+    describe('loadRoomStateAt()', () => {
+        it('should rebuild the board as it was at a timestamp', async () => {
+            const doc = new Y.Doc();
+            recordEdit(doc, new Date(1000), (shapes) => shapes.set('a', { x: 0 }));
+            recordEdit(doc, new Date(2000), (shapes) => shapes.set('a', { x: 5 }));
+            recordEdit(doc, new Date(3000), (shapes) => shapes.delete('a'));
+
+            const atStart = await loadRoomStateAt('room-1', new Date(500));
+            const atMiddle = await loadRoomStateAt('room-1', new Date(2500));
+            const atEnd = await loadRoomStateAt('room-1', new Date(3000));
+
+            expect(getShapes(decodeDoc(atStart.update))).toEqual([]);
+            expect(getShapes(decodeDoc(atMiddle.update))).toEqual([{ id: 'a', x: 5 }]);
+            expect(getShapes(decodeDoc(atEnd.update))).toEqual([]);
+        });
+
+        it('should refuse timestamps older than the retained history', async () => {
+            log.push({ _id: nextId++, room: 'room-1', data: Buffer.from(Y.encodeStateAsUpdate(new Y.Doc())), createdAt: new Date(5000), base: true });
+
+            const result = await loadRoomStateAt('room-1', new Date(4000));
+
+            expect(result).toEqual({ update: null, retainedSince: new Date(5000) });
+        });
+
+        it('should start from the nearest checkpoint', async () => {
+            const doc = new Y.Doc();
+            recordEdit(doc, new Date(1000), (shapes) => shapes.set('a', { x: 0 }));
+            recordEdit(doc, new Date(2000), (shapes) => shapes.set('b', { x: 1 }));
+            log.push({ _id: nextId++, room: 'room-1', data: Buffer.from(Y.encodeStateAsUpdate(doc)), createdAt: new Date(2500), compacted: true, base: true });
+            recordEdit(doc, new Date(3000), (shapes) => shapes.delete('a'));
+
+            const atEnd = await loadRoomStateAt('room-1', new Date(3000));
+            const beforeCheckpoint = await loadRoomStateAt('room-1', new Date(1500));
+
+            expect(getShapes(decodeDoc(atEnd.update))).toEqual([{ id: 'b', x: 1 }]);
+            expect(mockRoomUpdate.find.mock.calls[0][0].createdAt).toEqual({ $gte: new Date(2500), $lte: new Date(3000) });
+            expect(getShapes(decodeDoc(beforeCheckpoint.update))).toEqual([{ id: 'a', x: 0 }]);
+        });
+
+        it('should refuse to replay more updates than one query allows', async () => {
+            for (let i = 0; i <= MAX_HISTORY_QUERY_UPDATES; i++) {
+                log.push({ _id: nextId++, room: 'room-1', data: Buffer.alloc(0), createdAt: new Date(1000 + i), compacted: true, base: false });
+            }
+
+            const result = await loadRoomStateAt('room-1', new Date(1000 + MAX_HISTORY_QUERY_UPDATES));
+
+            expect(result).toEqual({ update: null, tooManyUpdates: true });
+        });
+
+        it('should seed the history of a room that only has a snapshot', async () => {
+            const doc = new Y.Doc();
+            doc.getMap('shapes').set('a', { x: 0 });
+            storedRoom = { data: Buffer.from(Y.encodeStateAsUpdate(doc)), updatedAt: new Date(5000) };
+
+            const now = await loadRoomStateAt('room-1', new Date(6000));
+            const earlier = await loadRoomStateAt('room-1', new Date(4000));
+
+            expect(getShapes(decodeDoc(now.update))).toEqual([{ id: 'a', x: 0 }]);
+            expect(earlier).toEqual({ update: null, retainedSince: new Date(5000) });
+            expect(log).toHaveLength(1);
+            expect(log[0]).toMatchObject({ base: true, compacted: true, createdAt: new Date(5000) });
+        });
+
+        it('should return an empty board for rooms without any data', async () => {
+            const result = await loadRoomStateAt('room-1', new Date(1000));
+
+            expect(getShapes(decodeDoc(result.update))).toEqual([]);
+            expect(log).toHaveLength(0);
+        });
+    });
+
+    describe('checkpointHistory()', () => {
+        it('should write a base checkpoint once enough updates were logged since the last one', async () => {
+            process.env.ROOM_HISTORY_CHECKPOINT_INTERVAL = '2';
+            const doc = new Y.Doc();
+            recordEdit(doc, new Date(1000), (shapes) => shapes.set('a', { x: 0 }));
+
+            await checkpointHistory('room-1', Y.encodeStateAsUpdate(doc), new Date(1500));
+            expect(log.filter((e) => e.base)).toHaveLength(0);
+
+            recordEdit(doc, new Date(2000), (shapes) => shapes.set('b', { x: 1 }));
+            await checkpointHistory('room-1', Y.encodeStateAsUpdate(doc), new Date(2500));
+            recordEdit(doc, new Date(3000), (shapes) => shapes.set('c', { x: 2 }));
+            await checkpointHistory('room-1', Y.encodeStateAsUpdate(doc), new Date(3500));
+
+            const checkpoints = log.filter((e) => e.base);
+            expect(checkpoints).toHaveLength(1);
+            expect(checkpoints[0].createdAt).toEqual(new Date(2500));
+            expect(getShapes(decodeDoc(new Uint8Array(checkpoints[0].data))).map((shape) => shape.id)).toEqual(['a', 'b']);
+        });
+    });
+
+    describe('pruneHistory()', () => {
+        it('should merge expired history into one base entry', async () => {
+            process.env.ROOM_HISTORY_RETENTION_DAYS = '1';
+            const now = Date.now();
+            const doc = new Y.Doc();
+            recordEdit(doc, new Date(now - 3 * DAY_MS), (shapes) => shapes.set('a', { x: 0 }));
+            recordEdit(doc, new Date(now - 2 * DAY_MS), (shapes) => shapes.set('b', { x: 1 }));
+            recordEdit(doc, new Date(now - 1000), (shapes) => shapes.set('c', { x: 2 }));
+
+            await pruneHistory('room-1');
+
+            expect(log).toHaveLength(2);
+            const base = log.find((e) => e.base);
+            expect(base.createdAt).toEqual(new Date(now - 2 * DAY_MS));
+            expect(getShapes(decodeDoc(new Uint8Array(base.data))).map((s) => s.id).sort()).toEqual(['a', 'b']);
+
+            const latest = await loadRoomStateAt('room-1', new Date(now));
+            expect(getShapes(decodeDoc(latest.update))).toHaveLength(3);
+        });
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for chat.js and chatController.js
+ * Tests the per-room chat channel (Type 6)
+ *
+ * Test Coverage:
+ * - Validating chat payloads (JSON, empty, too long)
+ * - Storing messages with their author
+ * - Paging history newest first, each page in chronological order
+ * - GET /messages parameter validation
+ * - Rate limiting chat messages per connection
+ * - Chat message encoding (Type 6)
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import { decoding } from 'lib0';
+
+const mockChatMessage = {
+    create: jest.fn(),
+    find: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/ChatMessage.js', () => ({
+    default: mockChatMessage,
+}));
+
+const {
+    parseChatPayload,
+    postChatMessage,
+    listChatMessages,
+    MAX_CHAT_LENGTH,
+} = await import('../../src/services/chat.js');
+const { listMessages } = await import('../../src/controllers/chatController.js');
+const { encodeChatMessage, MESSAGE_CHAT } = await import('../../src/utils/messages.js');
+const { createConnectionLimiter } = await import('../../src/utils/rateLimiter.js');
+
+const encode = (value) => new TextEncoder().encode(typeof value === 'string' ? value : JSON.stringify(value));
+
+// Simulated collection: ids increase with time
+const storedMessages = (count) => Array.from({ length: count }, (_, i) => ({
+    _id: `id-${String(i).padStart(3, '0')}`,
+    room: 'room-1',
+    author: null,
+    text: `message ${i}`,
+    createdAt: new Date(i * 1000),
+}));
+
+// find(filter).sort().limit(n).populate() over storedMessages, newest first
+const mockFind = (messages) => {
+    mockChatMessage.find.mockImplementation((filter) => {
+        let limit = Infinity;
+        const query = {
+            sort: () => query,
+            limit: (n) => {
+                limit = n;
+                return query;
+            },
+            populate: async () => messages
+                .filter((m) => !filter._id || m._id < filter._id.$lt)
+                .reverse()
+                .slice(0, limit),
+        };
+        return query;
+    });
+};
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+describe('chat', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should validate chat payloads', () => {
+        expect(parseChatPayload(encode({ text: '  hello  ' }))).toEqual({ text: 'hello' });
+        expect(parseChatPayload(encode('not json'))).toEqual({ error: 'Chat messages must be JSON' });
+        expect(parseChatPayload(encode({ text: '   ' }))).toEqual({ error: 'text is required' });
+        expect(parseChatPayload(encode({ text: 42 }))).toEqual({ error: 'text is required' });
+        expect(parseChatPayload(encode({ text: 'x'.repeat(MAX_CHAT_LENGTH + 1) })).error)
+            .toBe(`Chat messages are limited to ${MAX_CHAT_LENGTH} characters`);
+    });
+
+    it('should store a message with its author', async () => {
+        const user = { _id: 'u1', displayName: 'Alice', avatar: 'a.png' };
+        mockChatMessage.create.mockImplementation(async (fields) => ({
+            toObject: () => ({ _id: 'm1', createdAt: new Date(0), ...fields }),
+        }));
+
+        const message = await postChatMessage('room-1', user, 'hello');
+
+        expect(mockChatMessage.create).toHaveBeenCalledWith({ room: 'room-1', author: 'u1', text: 'hello' });
+        expect(message).toEqual({
+            id: 'm1',
+            roomId: 'room-1',
+            author: { id: 'u1', displayName: 'Alice', avatar: 'a.png' },
+            text: 'hello',
+            createdAt: new Date(0),
+        });
+
+        const anonymous = await postChatMessage('room-1', null, 'hi');
+        expect(anonymous.author).toBeNull();
+    });
+
+    it('should page history from the newest messages back', async () => {
+        mockFind(storedMessages(5));
+
+        const latest = await listChatMessages('room-1', { limit: 2 });
+        expect(latest.messages.map((m) => m.text)).toEqual(['message 3', 'message 4']);
+        expect(latest.nextBefore).toBe('id-003');
+
+        const older = await listChatMessages('room-1', { limit: 2, before: latest.nextBefore });
+        expect(older.messages.map((m) => m.text)).toEqual(['message 1', 'message 2']);
+
+        const oldest = await listChatMessages('room-1', { limit: 2, before: older.nextBefore });
+        expect(oldest.messages.map((m) => m.text)).toEqual(['message 0']);
+        expect(oldest.nextBefore).toBeNull();
+    });
+
+    it('should validate GET /messages parameters', async () => {
+        mockFind(storedMessages(1));
+        const cases = [
+            [{ before: 'nope' }, 400],
+            [{ limit: '0' }, 400],
+            [{ limit: 'abc' }, 400],
+        ];
+        for (const [query, status] of cases) {
+            const res = mockResponse();
+            await listMessages({ params: { roomId: 'room-1' }, query }, res);
+            expect(res.status).toHaveBeenCalledWith(status);
+        }
+
+        const res = mockResponse();
+        await listMessages({ params: { roomId: 'room-1' }, query: { limit: '500' } }, res);
+        expect(res.json).toHaveBeenCalledWith({
+            roomId: 'room-1',
+            messages: [expect.objectContaining({ text: 'message 0' })],
+            nextBefore: null,
+        });
+    });
+
+    it('should rate limit chat messages per connection', () => {
+        const limiter = createConnectionLimiter({ now: () => 0 });
+
+        const results = Array.from({ length: 5 }, () => limiter.check(MESSAGE_CHAT, 10).allowed);
+
+        expect(results).toEqual([true, true, true, true, false]);
+    });
+
+    it('should encode chat messages as Type 6', () => {
+        const decoder = decoding.createDecoder(encodeChatMessage({ id: 'm1', text: 'hello' }));
+
+        expect(decoding.readVarUint(decoder)).toBe(MESSAGE_CHAT);
+        expect(JSON.parse(new TextDecoder().decode(decoding.readVarUint8Array(decoder))))
+            .toEqual({ id: 'm1', text: 'hello' });
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * Unit Tests for comments.js and commentController.js
+ * Tests comment threads anchored to shapes or canvas points
+ *
+ * Test Coverage:
+ * - Orphaning threads of deleted shapes at the shape's last position
+ * - Reattaching orphaned threads when the shape comes back
+ * - Creating threads (validation, shape lookup, live event)
+ * - Replies and resolve/reopen permissions
+ * - Comment event encoding (Type 5)
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import * as Y from 'yjs';
+import { decoding } from 'lib0';
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const OTHER_ID = '507f1f77bcf86cd799439012';
+const THREAD_ID = '507f1f77bcf86cd799439099';
+
+const mockCommentThread = {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+};
+
+const mockRoomManager = {
+    encodeRoomState: jest.fn(),
+    relayToRoom: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/CommentThread.js', () => ({
+    default: mockCommentThread,
+}));
+
+jest.unstable_mockModule('../../src/models/Room.js', () => ({
+    default: {},
+}));
+
+jest.unstable_mockModule('../../src/services/roomManager.js', () => mockRoomManager);
+
+const { updateShapeAnchors } = await import('../../src/services/comments.js');
+const {
+    createThread,
+    addReply,
+    resolveThread,
+    reopenThread,
+} = await import('../../src/controllers/commentController.js');
+const { MESSAGE_COMMENT } = await import('../../src/utils/messages.js');
+
+// Stand-in for a CommentThread document
+const createThreadDoc = (fields = {}) => {
+    const thread = {
+        _id: THREAD_ID,
+        room: 'room-1',
+        anchor: { shapeId: 'rect-1', x: 10, y: 20 },
+        orphaned: false,
+        orphanedAt: null,
+        resolved: false,
+        resolvedBy: null,
+        resolvedAt: null,
+        createdBy: { _id: USER_ID, displayName: 'Alice', avatar: '', equals: (id) => String(id) === USER_ID },
+        comments: [],
+        ...fields,
+    };
+    thread.save = jest.fn().mockResolvedValue(thread);
+    thread.populate = jest.fn().mockResolvedValue(thread);
+    return thread;
+};
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+// Decodes the last message relayed to the room
+const lastEvent = () => {
+    const message = mockRoomManager.relayToRoom.mock.calls.at(-1)[1];
+    const decoder = decoding.createDecoder(message);
+    const type = decoding.readVarUint(decoder);
+    return { type, ...JSON.parse(new TextDecoder().decode(decoding.readVarUint8Array(decoder))) };
+};
+
+describe('comments', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    describe('updateShapeAnchors', () => {
+        it('should orphan threads of deleted shapes at their last position', async () => {
+            const thread = createThreadDoc();
+            mockCommentThread.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([thread]) });
+
+            const events = await updateShapeAnchors('room-1', {
+                deleted: new Map([['rect-1', { type: 'rectangle', x: 50, y: 60 }]]),
+                added: [],
+            });
+
+            expect(mockCommentThread.find).toHaveBeenCalledWith({ room: 'room-1', 'anchor.shapeId': { $in: ['rect-1'] } });
+            expect(thread.save).toHaveBeenCalled();
+            expect(events).toHaveLength(1);
+            expect(events[0].event).toBe('thread.orphaned');
+            expect(events[0].thread).toMatchObject({
+                anchor: { shapeId: 'rect-1', x: 50, y: 60 },
+                orphaned: true,
+            });
+        });
+
+        it('should reattach orphaned threads when their shape is added back', async () => {
+            const orphaned = createThreadDoc({ orphaned: true, orphanedAt: new Date() });
+            const attached = createThreadDoc({ anchor: { shapeId: 'rect-2', x: 0, y: 0 } });
+            mockCommentThread.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([orphaned, attached]) });
+
+            const events = await updateShapeAnchors('room-1', { deleted: new Map(), added: ['rect-1', 'rect-2'] });
+
+            expect(events.map((e) => e.event)).toEqual(['thread.reattached']);
+            expect(orphaned).toMatchObject({ orphaned: false, orphanedAt: null });
+            expect(attached.save).not.toHaveBeenCalled();
+        });
+
+        it('should not query when no shape was added or deleted', async () => {
+            expect(await updateShapeAnchors('room-1', { deleted: new Map(), added: [] })).toEqual([]);
+            expect(mockCommentThread.find).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('createThread', () => {
+        it('should require an account, a body and a valid anchor', async () => {
+            const cases = [
+                [{ body: 'Hi', anchor: { x: 1, y: 2 } }, null, 403],
+                [{ body: '   ', anchor: { x: 1, y: 2 } }, USER_ID, 400],
+                [{ body: 'x'.repeat(5001), anchor: { x: 1, y: 2 } }, USER_ID, 400],
+                [{ body: 'Hi', anchor: { x: 'a', y: 2 } }, USER_ID, 400],
+                [{ body: 'Hi', anchor: { shapeId: '' } }, USER_ID, 400],
+                [{ body: 'Hi' }, USER_ID, 400],
+            ];
+
+            for (const [body, userId, status] of cases) {
+                const res = mockResponse();
+                await createThread({ params: { roomId: 'room-1' }, body, userId }, res);
+                expect(res.status).toHaveBeenCalledWith(status);
+            }
+            expect(mockCommentThread.create).not.toHaveBeenCalled();
+        });
+
+        it('should anchor to an existing shape at its position and push the event', async () => {
+            const doc = new Y.Doc();
+            doc.getMap('shapes').set('rect-1', { type: 'rectangle', x: 5, y: 6 });
+            mockRoomManager.encodeRoomState.mockResolvedValue(Y.encodeStateAsUpdate(doc));
+            mockCommentThread.create.mockImplementation(async (fields) => createThreadDoc({
+                ...fields,
+                comments: [{ _id: 'c1', author: { _id: USER_ID, displayName: 'Alice', avatar: '' }, body: 'Too wide', createdAt: new Date(0) }],
+            }));
+            const res = mockResponse();
+
+            await createThread({
+                params: { roomId: 'room-1' },
+                body: { body: ' Too wide ', anchor: { shapeId: 'rect-1' } },
+                userId: USER_ID,
+            }, res);
+
+            expect(mockCommentThread.create).toHaveBeenCalledWith({
+                room: 'room-1',
+                anchor: { shapeId: 'rect-1', x: 5, y: 6 },
+                createdBy: USER_ID,
+                comments: [{ author: USER_ID, body: 'Too wide' }],
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(lastEvent()).toMatchObject({
+                type: MESSAGE_COMMENT,
+                event: 'thread.created',
+                thread: { anchor: { shapeId: 'rect-1', x: 5, y: 6 }, comments: [{ body: 'Too wide', author: { displayName: 'Alice' } }] },
+            });
+        });
+
+        it('should return 404 for a shape that does not exist', async () => {
+            mockRoomManager.encodeRoomState.mockResolvedValue(null);
+            const res = mockResponse();
+
+            await createThread({
+                params: { roomId: 'room-1' },
+                body: { body: 'Hi', anchor: { shapeId: 'missing' } },
+                userId: USER_ID,
+            }, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('replies and status', () => {
+        it('should append a reply and push the event', async () => {
+            const thread = createThreadDoc();
+            mockCommentThread.findOne.mockResolvedValue(thread);
+            const res = mockResponse();
+
+            await addReply({ params: { roomId: 'room-1', threadId: THREAD_ID }, body: { body: 'Fixed' }, userId: OTHER_ID }, res);
+
+            expect(thread.comments).toEqual([{ author: OTHER_ID, body: 'Fixed' }]);
+            expect(thread.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(lastEvent().event).toBe('comment.added');
+        });
+
+        it('should return 400 for invalid ids and 404 for threads of other rooms', async () => {
+            const invalid = mockResponse();
+            await addReply({ params: { roomId: 'room-1', threadId: 'nope' }, body: { body: 'Hi' }, userId: USER_ID }, invalid);
+            expect(invalid.status).toHaveBeenCalledWith(400);
+
+            mockCommentThread.findOne.mockResolvedValue(null);
+            const missing = mockResponse();
+            await addReply({ params: { roomId: 'room-1', threadId: THREAD_ID }, body: { body: 'Hi' }, userId: USER_ID }, missing);
+            expect(missing.status).toHaveBeenCalledWith(404);
+            expect(mockCommentThread.findOne).toHaveBeenCalledWith({ _id: THREAD_ID, room: 'room-1' });
+        });
+
+        it('should let the author resolve and reopen their thread', async () => {
+            const thread = createThreadDoc();
+            mockCommentThread.findOne.mockResolvedValue(thread);
+            const req = { params: { roomId: 'room-1', threadId: THREAD_ID }, userId: USER_ID, roomRole: 'viewer' };
+
+            await resolveThread(req, mockResponse());
+            expect(thread).toMatchObject({ resolved: true, resolvedBy: USER_ID });
+            expect(thread.resolvedAt).toBeInstanceOf(Date);
+            expect(lastEvent().event).toBe('thread.resolved');
+
+            await reopenThread(req, mockResponse());
+            expect(thread).toMatchObject({ resolved: false, resolvedBy: null, resolvedAt: null });
+            expect(lastEvent().event).toBe('thread.reopened');
+        });
+
+        it('should only let editors change the status of others\' threads', async () => {
+            mockCommentThread.findOne.mockResolvedValue(createThreadDoc());
+            const viewer = mockResponse();
+            await resolveThread({ params: { roomId: 'room-1', threadId: THREAD_ID }, userId: OTHER_ID, roomRole: 'viewer' }, viewer);
+            expect(viewer.status).toHaveBeenCalledWith(403);
+
+            const editor = mockResponse();
+            await resolveThread({ params: { roomId: 'room-1', threadId: THREAD_ID }, userId: OTHER_ID, roomRole: 'editor' }, editor);
+            expect(editor.status).not.toHaveBeenCalled();
+            expect(editor.json).toHaveBeenCalledWith(expect.objectContaining({ resolved: true }));
+        });
+    });
+});
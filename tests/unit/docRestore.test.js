@@ -0,0 +1,192 @@
+/**
+ * Unit Tests for docRestore.js and snapshot restores (snapshotController.js)
+ * Tests restoring a live Yjs document to a snapshot as a new update
+ *
+ * Test Coverage:
+ * - Root kind detection for typed and update-only roots
+ * - Restoring shapes (added, deleted, modified) and strokes
+ * - The restore is a single update that syncs to other replicas
+ * - No-op restores
+ * - The backup is saved before the live document changes
+ * - Restored shapes are validated
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import * as Y from 'yjs';
+
+const mockSnapshot = {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    updateOne: jest.fn(),
+};
+
+let liveRoom;
+
+jest.unstable_mockModule('../../src/models/Snapshot.js', () => ({
+    default: mockSnapshot,
+}));
+
+jest.unstable_mockModule('../../src/services/roomManager.js', () => ({
+    encodeRoomState: jest.fn(),
+    withLiveRoom: async (roomId, fn) => fn(liveRoom),
+}));
+
+const { restoreDocState, getRootKind } = await import('../../src/utils/docRestore.js');
+const { restoreSnapshot } = await import('../../src/controllers/snapshotController.js');
+
+const SNAPSHOT_ID = '507f1f77bcf86cd799439031';
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+const makeBoard = () => {
+    const doc = new Y.Doc();
+    doc.getMap('shapes').set('rect-1', { type: 'rectangle', x: 0, y: 0 });
+    doc.getMap('shapes').set('ellipse-1', { type: 'ellipse', x: 5, y: 5 });
+    doc.getArray('strokes').push([{ color: '#ff0000', points: [0, 0, 10, 10] }]);
+    return doc;
+};
+
+describe('docRestore', () => {
+    describe('getRootKind()', () => {
+        it('should detect roots that only arrived through an update', () => {
+            const source = makeBoard();
+            source.getText('title').insert(0, 'Board');
+            const doc = new Y.Doc();
+            Y.applyUpdate(doc, Y.encodeStateAsUpdate(source));
+
+            expect(getRootKind(doc, 'shapes')).toBe('map');
+            expect(getRootKind(doc, 'strokes')).toBe('array');
+            expect(getRootKind(doc, 'title')).toBe('text');
+            expect(getRootKind(doc, 'missing')).toBeNull();
+        });
+    });
+
+    describe('restoreDocState()', () => {
+        it('should bring the live doc back to the snapshot state', () => {
+            const live = makeBoard();
+            const snapshot = Y.encodeStateAsUpdate(live);
+
+            // Someone edits and wipes the board after the snapshot
+            live.getMap('shapes').set('rect-1', { type: 'rectangle', x: 99, y: 99 });
+            live.getMap('shapes').delete('ellipse-1');
+            live.getMap('shapes').set('text-1', { type: 'text', text: 'oops' });
+            live.getArray('strokes').delete(0, 1);
+
+            const { changedRoots } = restoreDocState(live, snapshot, 'restore');
+
+            expect(live.getMap('shapes').toJSON()).toEqual({
+                'rect-1': { type: 'rectangle', x: 0, y: 0 },
+                'ellipse-1': { type: 'ellipse', x: 5, y: 5 },
+            });
+            expect(live.getArray('strokes').toJSON()).toEqual([{ color: '#ff0000', points: [0, 0, 10, 10] }]);
+            expect(changedRoots.sort()).toEqual(['shapes', 'strokes']);
+        });
+
+        it('should emit one update that brings other replicas to the same state', () => {
+            const live = makeBoard();
+            const snapshot = Y.encodeStateAsUpdate(live);
+            live.getMap('shapes').clear();
+            const replica = new Y.Doc();
+            Y.applyUpdate(replica, Y.encodeStateAsUpdate(live));
+
+            const updates = [];
+            live.on('update', (update, origin) => updates.push({ update, origin }));
+            restoreDocState(live, snapshot, 'restore');
+
+            expect(updates).toHaveLength(1);
+            expect(updates[0].origin).toBe('restore');
+            Y.applyUpdate(replica, updates[0].update);
+            expect(replica.getMap('shapes').toJSON()).toEqual(live.getMap('shapes').toJSON());
+        });
+
+        it('should not emit an update when nothing changed', () => {
+            const live = makeBoard();
+            const updates = [];
+            live.on('update', (update) => updates.push(update));
+
+            const { changedRoots } = restoreDocState(live, Y.encodeStateAsUpdate(live), 'restore');
+
+            expect(changedRoots).toEqual([]);
+            expect(updates).toHaveLength(0);
+        });
+
+        it('should restore an empty snapshot by clearing the board', () => {
+            const live = makeBoard();
+
+            restoreDocState(live, Y.encodeStateAsUpdate(new Y.Doc()), 'restore');
+
+            expect(live.getMap('shapes').size).toBe(0);
+        });
+    });
+
+    describe('restoreSnapshot()', () => {
+        const request = { params: { roomId: 'room-1', snapshotId: SNAPSHOT_ID }, userId: 'user-1' };
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            liveRoom = { doc: makeBoard() };
+        });
+
+        const mockStoredSnapshot = (doc) => {
+            mockSnapshot.findOne.mockResolvedValue({
+                _id: SNAPSHOT_ID,
+                room: 'room-1',
+                name: 'v1',
+                data: Buffer.from(Y.encodeStateAsUpdate(doc)),
+            });
+        };
+
+        it('should leave the board untouched when the backup cannot be saved', async () => {
+            mockStoredSnapshot(new Y.Doc());
+            mockSnapshot.create.mockRejectedValue(new Error('DB down'));
+            const res = mockResponse();
+
+            await restoreSnapshot(request, res);
+
+            expect(res.status).toHaveBeenCalledWith(500);
+            expect(liveRoom.doc.getMap('shapes').size).toBe(2);
+        });
+
+        it('should save the state from before the restore', async () => {
+            mockStoredSnapshot(new Y.Doc());
+            mockSnapshot.create.mockImplementation(async (fields) => {
+                // The board is still intact when the backup is written
+                expect(liveRoom.doc.getMap('shapes').size).toBe(2);
+                return { _id: 'backup-1', ...fields };
+            });
+            const res = mockResponse();
+
+            await restoreSnapshot(request, res);
+
+            expect(liveRoom.doc.getMap('shapes').size).toBe(0);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ changedRoots: ['shapes', 'strokes'], skipped: [] }));
+        });
+
+        it('should leave out shapes the current schema rejects', async () => {
+            const old = makeBoard();
+            old.getMap('shapes').set('rect-1', { type: 'rectangle', x: 0, y: 0, width: -5 });
+            old.getMap('shapes').set('star-1', { type: 'star', x: 0, y: 0 });
+            old.getMap('shapes').set('circle-1', { type: 'circle', radius: 3 });
+            mockStoredSnapshot(old);
+            mockSnapshot.create.mockImplementation(async (fields) => ({ _id: 'backup-1', ...fields }));
+            const res = mockResponse();
+
+            await restoreSnapshot(request, res);
+
+            expect(liveRoom.doc.getMap('shapes').toJSON()).toEqual({
+                'rect-1': { type: 'rectangle', x: 0, y: 0 },
+                'ellipse-1': { type: 'ellipse', x: 5, y: 5 },
+                'circle-1': { type: 'circle', radius: 3 },
+            });
+            expect(res.json.mock.calls[0][0].skipped.map((s) => s.id).sort()).toEqual(['rect-1', 'star-1']);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit Tests for heartbeat.js
+ * Tests WebSocket ping/pong liveness checks
+ *
+ * Test Coverage:
+ * - Pinging open sockets every interval
+ * - Terminating sockets that missed a pong (through the close path)
+ * - Skipping untracked sockets, and disabling with an interval of 0
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+import { startHeartbeat, trackLiveness, getHeartbeatInterval } from '../../src/utils/heartbeat.js';
+import { getCounter, resetMetrics } from '../../src/utils/metrics.js';
+
+// Stand-in for a ws socket: terminate() closes it like the real one
+const createSocket = ({ answers = true } = {}) => {
+    const ws = new EventEmitter();
+    ws.readyState = WebSocket.OPEN;
+    ws.ping = jest.fn(() => {
+        if (answers) ws.emit('pong');
+    });
+    ws.terminate = jest.fn(() => {
+        ws.readyState = WebSocket.CLOSED;
+        ws.emit('close');
+    });
+    return ws;
+};
+
+describe('heartbeat', () => {
+    let stop;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        resetMetrics();
+    });
+
+    afterEach(() => {
+        stop?.();
+        jest.useRealTimers();
+        delete process.env.WS_HEARTBEAT_INTERVAL_MS;
+    });
+
+    it('should keep sockets that answer pings', () => {
+        const ws = createSocket();
+        trackLiveness(ws);
+        stop = startHeartbeat({ clients: new Set([ws]) }, { interval: 1000 });
+
+        jest.advanceTimersByTime(5000);
+
+        expect(ws.ping).toHaveBeenCalledTimes(5);
+        expect(ws.terminate).not.toHaveBeenCalled();
+    });
+
+    it('should terminate a socket that missed a pong, closing it normally', () => {
+        const ws = createSocket({ answers: false });
+        const closed = jest.fn();
+        ws.on('close', closed);
+        trackLiveness(ws);
+        stop = startHeartbeat({ clients: new Set([ws]) }, { interval: 1000 });
+
+        jest.advanceTimersByTime(1000);
+        expect(ws.terminate).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1000);
+        expect(ws.terminate).toHaveBeenCalledTimes(1);
+        expect(closed).toHaveBeenCalledTimes(1);
+        expect(getCounter('ws_heartbeat_terminations_total')).toBe(1);
+    });
+
+    it('should skip sockets that are not tracked or no longer open', () => {
+        const untracked = createSocket({ answers: false });
+        const closing = createSocket({ answers: false });
+        trackLiveness(closing);
+        closing.readyState = WebSocket.CLOSING;
+        stop = startHeartbeat({ clients: new Set([untracked, closing]) }, { interval: 1000 });
+
+        jest.advanceTimersByTime(3000);
+
+        expect(untracked.ping).not.toHaveBeenCalled();
+        expect(closing.ping).not.toHaveBeenCalled();
+        expect(closing.terminate).not.toHaveBeenCalled();
+    });
+
+    it('should read the interval from the environment, 0 disabling it', () => {
+        expect(getHeartbeatInterval()).toBe(30000);
+        process.env.WS_HEARTBEAT_INTERVAL_MS = '0';
+
+        const ws = createSocket({ answers: false });
+        trackLiveness(ws);
+        stop = startHeartbeat({ clients: new Set([ws]) });
+        jest.advanceTimersByTime(120000);
+
+        expect(ws.ping).not.toHaveBeenCalled();
+    });
+});
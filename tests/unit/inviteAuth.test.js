@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for inviteAuth.js
+ * Tests invite link tokens and the protectRoom middleware
+ *
+ * Test Coverage:
+ * - Signing invite tokens
+ * - Active invite lookup (with and without consuming a use)
+ * - protectRoom() with user tokens, invite tokens and bad tokens
+ * - protect() refusing invite tokens
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+const mockInvite = {
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/Invite.js', () => ({
+    default: mockInvite,
+}));
+
+const { signInviteToken, findActiveInvite, protectRoom } = await import('../../src/middleware/inviteAuth.js');
+const { protect } = await import('../../src/middleware/authMiddleware.js');
+
+const INVITE_ID = '507f1f77bcf86cd799439021';
+
+const inviteDoc = (overrides = {}) => ({
+    _id: INVITE_ID,
+    room: 'room-1',
+    role: 'viewer',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides,
+});
+
+const mockRequest = (token, roomId = 'room-1') => ({
+    headers: { authorization: token ? `Bearer ${token}` : undefined },
+    params: { roomId },
+});
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+describe('inviteAuth', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('signInviteToken()', () => {
+        it('should sign the invite id, room and role and expire with the invite', () => {
+            const invite = inviteDoc();
+
+            const decoded = jwt.verify(signInviteToken(invite), process.env.JWT_SECRET);
+
+            expect(decoded).toMatchObject({ invite: INVITE_ID, roomId: 'room-1', role: 'viewer' });
+            expect(decoded.userId).toBeUndefined();
+            expect(Math.abs(decoded.exp * 1000 - invite.expiresAt.getTime())).toBeLessThan(2000);
+        });
+    });
+
+    describe('findActiveInvite()', () => {
+        it('should look up unrevoked, unexpired, unspent invites for the room', async () => {
+            mockInvite.findOne.mockResolvedValue(inviteDoc());
+
+            await findActiveInvite(INVITE_ID, 'room-1');
+
+            const filter = mockInvite.findOne.mock.calls[0][0];
+            expect(filter).toMatchObject({ _id: INVITE_ID, room: 'room-1', revokedAt: null });
+            expect(filter.expiresAt.$gt).toBeInstanceOf(Date);
+            expect(filter.$or).toEqual([{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]);
+            expect(mockInvite.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should count a use atomically when consuming', async () => {
+            mockInvite.findOneAndUpdate.mockResolvedValue(inviteDoc({ uses: 1 }));
+
+            await findActiveInvite(INVITE_ID, 'room-1', { consume: true });
+
+            const [filter, update] = mockInvite.findOneAndUpdate.mock.calls[0];
+            expect(filter.$or).toEqual([{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]);
+            expect(update).toEqual({ $inc: { uses: 1 } });
+        });
+
+        it('should return null for malformed invite ids', async () => {
+            await expect(findActiveInvite('not-an-id', 'room-1')).resolves.toBeNull();
+            expect(mockInvite.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('protectRoom()', () => {
+        it('should set req.userId for user tokens', async () => {
+            const token = jwt.sign({ userId: 'user-1' }, process.env.JWT_SECRET);
+            const req = mockRequest(token);
+            const next = jest.fn();
+
+            await protectRoom(req, mockResponse(), next);
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(req.userId).toBe('user-1');
+            expect(req.invite).toBeUndefined();
+        });
+
+        it('should set req.invite for an active invite to the same room', async () => {
+            mockInvite.findOne.mockResolvedValue(inviteDoc({ role: 'editor' }));
+            const req = mockRequest(signInviteToken(inviteDoc()));
+            const next = jest.fn();
+
+            await protectRoom(req, mockResponse(), next);
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(req.invite).toEqual({ id: INVITE_ID, role: 'editor' });
+        });
+
+        it('should return 401 for revoked, expired or foreign-room invites', async () => {
+            mockInvite.findOne.mockResolvedValue(null);
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await protectRoom(mockRequest(signInviteToken(inviteDoc()), 'room-2'), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ error: 'Invite is invalid, expired, revoked or used up' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should return 401 when no token or a bad token is sent', async () => {
+            const res1 = mockResponse();
+            const res2 = mockResponse();
+
+            await protectRoom(mockRequest(undefined), res1, jest.fn());
+            await protectRoom(mockRequest('not.a.jwt'), res2, jest.fn());
+
+            expect(res1.json).toHaveBeenCalledWith({ error: 'No token provided' });
+            expect(res2.json).toHaveBeenCalledWith({ error: 'Invalid or expired token' });
+        });
+    });
+
+    describe('protect()', () => {
+        it('should not accept invite tokens as user sessions', () => {
+            const res = mockResponse();
+            const next = jest.fn();
+
+            protect(mockRequest(signInviteToken(inviteDoc())), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for board export as PNG
+ * Tests pngEncoder.js, pngExport.js and the PNG size options
+ *
+ * Test Coverage:
+ * - PNG container: signature, IHDR, chunk CRCs
+ * - Colour parsing
+ * - Filled shapes, strokes and anti-aliased edges
+ * - Background and transparency
+ * - Work budget and rendering on a worker thread
+ * - Output size validation
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { inflateSync } from 'zlib';
+import { crc32, encodePng } from '../../src/utils/pngEncoder.js';
+import {
+    parseColor,
+    renderPng,
+    renderPngInWorker,
+    RENDER_ABORTED,
+    RENDER_BUSY,
+    RENDER_TOO_COMPLEX,
+} from '../../src/utils/pngExport.js';
+import { buildScene, frameScene } from '../../src/utils/boardScene.js';
+import { parsePngSize } from '../../src/controllers/exportController.js';
+
+// Reads back the pixels of a PNG written by encodePng (filter 0 on every row)
+const decodePng = (png) => {
+    const width = png.readUInt32BE(16);
+    const height = png.readUInt32BE(20);
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('ascii', offset + 4, offset + 8);
+        if (type === 'IDAT') chunks.push(png.subarray(offset + 8, offset + 8 + length));
+        offset += length + 12;
+    }
+    const raw = inflateSync(Buffer.concat(chunks));
+    const pixel = (x, y) => {
+        const i = y * (width * 4 + 1) + 1 + x * 4;
+        return [...raw.subarray(i, i + 4)];
+    };
+    return { width, height, pixel };
+};
+
+const render = (shapes, options = {}) => {
+    const { items, viewBox } = frameScene(buildScene({ shapes, strokes: options.strokes ?? [] }), {
+        region: { x: 0, y: 0, width: 20, height: 20 },
+    });
+    return decodePng(renderPng(items, viewBox, { width: 20, height: 20, ...options }));
+};
+
+describe('PNG export', () => {
+    describe('pngEncoder', () => {
+        it('should compute CRC-32', () => {
+            expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+        });
+
+        it('should write the signature, IHDR and valid chunk CRCs', () => {
+            const png = encodePng(2, 3, new Uint8ClampedArray(2 * 3 * 4));
+
+            expect([...png.subarray(0, 8)]).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+            expect(png.toString('ascii', 12, 16)).toBe('IHDR');
+            expect(png.readUInt32BE(16)).toBe(2);
+            expect(png.readUInt32BE(20)).toBe(3);
+            expect(png[24]).toBe(8); // bit depth
+            expect(png[25]).toBe(6); // RGBA
+            expect(png.readUInt32BE(29)).toBe(crc32(png.subarray(12, 29)));
+            expect(png.toString('ascii', png.length - 8, png.length - 4)).toBe('IEND');
+        });
+    });
+
+    describe('parseColor', () => {
+        it('should parse hex, rgb() and named colours', () => {
+            expect(parseColor('#f00')).toEqual([255, 0, 0, 1]);
+            expect(parseColor('#00ff0080')).toEqual([0, 255, 0, 128 / 255]);
+            expect(parseColor('rgba(1, 2, 3, 0.5)')).toEqual([1, 2, 3, 0.5]);
+            expect(parseColor('Navy')).toEqual([0, 0, 128, 1]);
+        });
+
+        it('should treat none and transparent as no paint', () => {
+            expect(parseColor('none')).toBeNull();
+            expect(parseColor('transparent')).toBeNull();
+            expect(parseColor(undefined)).toBeNull();
+        });
+    });
+
+    describe('renderPng', () => {
+        it('should fill shapes over the background', () => {
+            const image = render([
+                { id: 'r', type: 'rectangle', x: 5, y: 5, width: 10, height: 10, fill: '#ff0000', stroke: 'none' },
+            ]);
+
+            expect(image.width).toBe(20);
+            expect(image.pixel(10, 10)).toEqual([255, 0, 0, 255]);
+            expect(image.pixel(1, 1)).toEqual([255, 255, 255, 255]);
+        });
+
+        it('should anti-alias edges that cross a pixel', () => {
+            const image = render([
+                { id: 'r', type: 'rectangle', x: 5.5, y: 0, width: 10, height: 20, fill: '#000000', stroke: 'none' },
+            ]);
+
+            const [r, , , a] = image.pixel(5, 10);
+            expect(a).toBe(255);
+            expect(r).toBeGreaterThan(100);
+            expect(r).toBeLessThan(155);
+        });
+
+        it('should draw freehand strokes and honour opacity', () => {
+            const image = render([
+                { id: 'r', type: 'rectangle', x: 0, y: 0, width: 20, height: 4, fill: '#0000ff', stroke: 'none', opacity: 0.5 },
+            ], { strokes: [{ color: '#00ff00', points: [0, 10, 20, 10] }] });
+
+            expect(image.pixel(10, 10)).toEqual([0, 255, 0, 255]);
+            expect(image.pixel(10, 2)).toEqual([128, 128, 255, 255]);
+        });
+
+        it('should leave the background transparent when asked', () => {
+            const image = render([], { background: 'transparent' });
+
+            expect(image.pixel(0, 0)).toEqual([0, 0, 0, 0]);
+        });
+
+        it('should refuse scenes over the work budget', () => {
+            const { items, viewBox } = frameScene(buildScene({ shapes: [{ id: 'r', type: 'rect', width: 20, height: 20, fill: '#000' }] }), {
+                region: { x: 0, y: 0, width: 20, height: 20 },
+            });
+
+            expect(() => renderPng(items, viewBox, { width: 20, height: 20, maxWork: 100 }))
+                .toThrow(expect.objectContaining({ code: RENDER_TOO_COMPLEX }));
+            expect(() => renderPng(items, viewBox, { width: 20, height: 20 })).not.toThrow();
+        });
+
+        it('should render the same image on a worker thread', async () => {
+            const { items, viewBox } = frameScene(buildScene({
+                shapes: [{ id: 'r', type: 'rect', x: 2, y: 2, width: 10, height: 10, fill: '#ff0000' }],
+                strokes: [{ color: '#0000ff', points: [0, 0, 20, 20] }],
+            }), { region: { x: 0, y: 0, width: 20, height: 20 } });
+            const options = { width: 20, height: 20, background: '#ffffff' };
+
+            const png = await renderPngInWorker(items, viewBox, options);
+
+            expect(Buffer.compare(png, renderPng(items, viewBox, options))).toBe(0);
+            await expect(renderPngInWorker(items, viewBox, { ...options, maxWork: 100 }))
+                .rejects.toMatchObject({ code: RENDER_TOO_COMPLEX });
+        });
+
+        describe('render slots', () => {
+            const { items, viewBox } = frameScene(buildScene({
+                shapes: [{ id: 'r', type: 'rect', x: 0, y: 0, width: 100, height: 100, fill: '#ff0000' }],
+            }), { region: { x: 0, y: 0, width: 100, height: 100 } });
+            const options = { width: 100, height: 100 };
+
+            afterEach(() => {
+                delete process.env.PNG_EXPORT_CONCURRENCY;
+            });
+
+            it('should refuse renders while every slot is taken', async () => {
+                process.env.PNG_EXPORT_CONCURRENCY = '1';
+
+                const first = renderPngInWorker(items, viewBox, options);
+                await expect(renderPngInWorker(items, viewBox, options)).rejects.toMatchObject({ code: RENDER_BUSY });
+                await first;
+
+                await expect(renderPngInWorker(items, viewBox, options)).resolves.toBeInstanceOf(Buffer);
+            });
+
+            it('should terminate the worker and free its slot when aborted', async () => {
+                process.env.PNG_EXPORT_CONCURRENCY = '1';
+                const controller = new AbortController();
+
+                const render = renderPngInWorker(items, viewBox, options, { signal: controller.signal });
+                controller.abort();
+
+                await expect(render).rejects.toMatchObject({ code: RENDER_ABORTED });
+                await expect(renderPngInWorker(items, viewBox, options, { signal: controller.signal }))
+                    .rejects.toMatchObject({ code: RENDER_ABORTED });
+                await expect(renderPngInWorker(items, viewBox, options)).resolves.toBeInstanceOf(Buffer);
+            });
+        });
+    });
+
+    describe('parsePngSize', () => {
+        const viewBox = { x: 0, y: 0, width: 200, height: 100 };
+
+        it('should default to one pixel per board unit', () => {
+            expect(parsePngSize({}, viewBox)).toEqual({ size: { width: 200, height: 100 } });
+        });
+
+        it('should fit to a width or apply a scale', () => {
+            expect(parsePngSize({ width: '50' }, viewBox)).toEqual({ size: { width: 50, height: 25 } });
+            expect(parsePngSize({ scale: '2' }, viewBox)).toEqual({ size: { width: 400, height: 200 } });
+        });
+
+        it('should reject invalid or oversized output', () => {
+            expect(parsePngSize({ width: '0' }, viewBox).error).toMatch(/width/);
+            expect(parsePngSize({ scale: 'big' }, viewBox).error).toMatch(/scale/);
+            expect(parsePngSize({ scale: '10' }, { x: 0, y: 0, width: 1000, height: 10 }).error).toMatch(/max 4096px/);
+        });
+    });
+});
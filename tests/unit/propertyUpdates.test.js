@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for propertyUpdates.js
+ * Tests writing type 3 property updates into the 'shapes' map
+ *
+ * Test Coverage:
+ * - Coalescing a gesture into a single transaction
+ * - One transaction per sender, with the sender as origin
+ * - Writing at the end of a gesture (final) or after the flush delay
+ * - Dropping updates for missing shapes or invalid results
+ * - Opt-in flag
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import * as Y from 'yjs';
+import {
+    createPropertyCoalescer,
+    isPropertyPersistenceEnabled,
+    propertyUpdateOrigin,
+} from '../../src/services/propertyUpdates.js';
+
+describe('propertyUpdates', () => {
+    let doc;
+    let origins;
+    let coalescer;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        process.env.PROPERTY_UPDATE_FLUSH_MS = '100';
+        doc = new Y.Doc();
+        doc.getMap('shapes').set('r1', { type: 'rectangle', width: 10, height: 10 });
+        doc.getMap('shapes').set('r2', { type: 'rectangle', width: 10, height: 10 });
+        origins = [];
+        doc.on('update', (update, origin) => origins.push(origin));
+        coalescer = createPropertyCoalescer(doc, 'room-1');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete process.env.PROPERTY_UPDATE_FLUSH_MS;
+        delete process.env.PERSIST_PROPERTY_UPDATES;
+    });
+
+    it('should merge a gesture and write it once when it ends', () => {
+        coalescer.add({ objectId: 'r1', type: 'resize', properties: { width: 20 } });
+        coalescer.add({ objectId: 'r1', type: 'resize', properties: { width: 30, height: 15 } });
+        expect(origins).toEqual([]);
+
+        coalescer.add({ objectId: 'r1', type: 'rotate', properties: { rotation: 90 }, final: true });
+
+        expect(origins).toEqual([propertyUpdateOrigin()]);
+        expect(doc.getMap('shapes').get('r1')).toEqual({ type: 'rectangle', width: 30, height: 15, rotation: 90 });
+        expect(coalescer.pending.size).toBe(0);
+    });
+
+    it('should write pending shapes in one transaction after the flush delay', () => {
+        coalescer.add({ objectId: 'r1', properties: { width: 20 } });
+        coalescer.add({ objectId: 'r2', properties: { height: 50 } });
+
+        jest.advanceTimersByTime(99);
+        expect(origins).toEqual([]);
+        jest.advanceTimersByTime(1);
+
+        expect(origins).toHaveLength(1);
+        expect(doc.getMap('shapes').get('r1').width).toBe(20);
+        expect(doc.getMap('shapes').get('r2').height).toBe(50);
+    });
+
+    it('should write each sender\'s updates with their own origin', () => {
+        coalescer.add({ objectId: 'r1', properties: { width: 20 } }, { userId: 'user-1' });
+        coalescer.add({ objectId: 'r1', properties: { height: 40 } }, { userId: null, inviteId: 'invite-1' });
+        coalescer.add({ objectId: 'r2', properties: { width: 30 } }, { userId: 'user-1' });
+
+        coalescer.flush();
+
+        expect(origins).toEqual([
+            { source: 'property-update', userId: 'user-1', inviteId: null },
+            { source: 'property-update', userId: null, inviteId: 'invite-1' },
+        ]);
+        expect(doc.getMap('shapes').get('r1')).toEqual({ type: 'rectangle', width: 20, height: 40 });
+        expect(doc.getMap('shapes').get('r2').width).toBe(30);
+    });
+
+    it('should drop updates for missing shapes or invalid results', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        coalescer.add({ objectId: 'gone', properties: { width: 20 } });
+        coalescer.add({ objectId: 'r1', properties: { opacity: 3 } });
+        coalescer.add({ objectId: 'r2', properties: { width: 25 } });
+
+        const dropped = coalescer.flush();
+
+        expect(dropped).toEqual([
+            { id: 'gone', error: 'Shape gone not found' },
+            { id: 'r1', error: 'opacity must be between 0 and 1' },
+        ]);
+        expect(doc.getMap('shapes').get('r1')).toEqual({ type: 'rectangle', width: 10, height: 10 });
+        expect(doc.getMap('shapes').get('r2').width).toBe(25);
+    });
+
+    it('should be opt-in', () => {
+        expect(isPropertyPersistenceEnabled()).toBe(false);
+        process.env.PERSIST_PROPERTY_UPDATES = 'true';
+        expect(isPropertyPersistenceEnabled()).toBe(true);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for rateLimiter.js and metrics.js
+ * Tests per-connection WebSocket limits and the monitoring counters
+ *
+ * Test Coverage:
+ * - Token bucket bursts and refill
+ * - Independent limits per message type, configurable per type
+ * - Refusing oversized sync messages
+ * - Notifying once per window and disconnecting repeat offenders
+ * - Counters and the Prometheus text output
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { createTokenBucket, createConnectionLimiter, getMaxPayload } from '../../src/utils/rateLimiter.js';
+import { getCounter, renderMetrics, resetMetrics } from '../../src/utils/metrics.js';
+
+const SYNC = 0;
+const AWARENESS = 1;
+const EPHEMERAL = 2;
+
+describe('rateLimiter', () => {
+    let clock;
+    const now = () => clock;
+
+    beforeEach(() => {
+        clock = 0;
+        resetMetrics();
+    });
+
+    afterEach(() => {
+        ['WS_RATE_EPHEMERAL', 'WS_RATE_AWARENESS', 'WS_MAX_SYNC_UPDATE_BYTES', 'WS_MAX_VIOLATIONS', 'WS_MAX_PAYLOAD_BYTES']
+            .forEach((name) => delete process.env[name]);
+    });
+
+    it('should allow a burst, then refill at the configured rate', () => {
+        const bucket = createTokenBucket(10, 3, now);
+
+        expect([bucket.take(), bucket.take(), bucket.take(), bucket.take()]).toEqual([true, true, true, false]);
+        clock += 100; // one token
+        expect([bucket.take(), bucket.take()]).toEqual([true, false]);
+    });
+
+    it('should limit each message type independently', () => {
+        process.env.WS_RATE_EPHEMERAL = '1';
+        const limiter = createConnectionLimiter({ now });
+
+        expect(limiter.check(EPHEMERAL, 10).allowed).toBe(true);
+        expect(limiter.check(EPHEMERAL, 10).allowed).toBe(true);
+        expect(limiter.check(EPHEMERAL, 10)).toMatchObject({ allowed: false, code: 'RATE_LIMITED', notify: true });
+        expect(limiter.check(AWARENESS, 10).allowed).toBe(true);
+        expect(getCounter('ws_rate_limited_messages_total', { type: 'ephemeral' })).toBe(1);
+    });
+
+    it('should not limit a type whose rate is 0', () => {
+        process.env.WS_RATE_AWARENESS = '0';
+        const limiter = createConnectionLimiter({ now });
+
+        for (let i = 0; i < 1000; i++) {
+            expect(limiter.check(AWARENESS, 10).allowed).toBe(true);
+        }
+    });
+
+    it('should refuse sync messages over the size cap', () => {
+        process.env.WS_MAX_SYNC_UPDATE_BYTES = '100';
+        const limiter = createConnectionLimiter({ now });
+
+        expect(limiter.check(SYNC, 100).allowed).toBe(true);
+        expect(limiter.check(SYNC, 101)).toMatchObject({ allowed: false, code: 'UPDATE_TOO_LARGE' });
+        expect(limiter.check(EPHEMERAL, 5000).allowed).toBe(true);
+        expect(getCounter('ws_oversized_updates_total')).toBe(1);
+    });
+
+    it('should notify once per window and disconnect repeat offenders', () => {
+        process.env.WS_RATE_EPHEMERAL = '1';
+        process.env.WS_MAX_VIOLATIONS = '3';
+        const limiter = createConnectionLimiter({ now });
+        limiter.check(EPHEMERAL, 1);
+        limiter.check(EPHEMERAL, 1);
+
+        const results = [1, 2, 3, 4].map(() => limiter.check(EPHEMERAL, 1));
+
+        expect(results.map((r) => r.notify)).toEqual([true, false, false, false]);
+        expect(results.map((r) => r.disconnect)).toEqual([false, false, false, true]);
+        expect(getCounter('ws_rate_limit_disconnects_total')).toBe(1);
+
+        // A new window starts the count again
+        clock += 10000;
+        limiter.check(EPHEMERAL, 1);
+        limiter.check(EPHEMERAL, 1);
+        expect(limiter.check(EPHEMERAL, 1)).toMatchObject({ notify: true, disconnect: false });
+    });
+
+    it('should read the maximum frame size from the environment', () => {
+        expect(getMaxPayload()).toBe(2 * 1024 * 1024);
+        process.env.WS_MAX_PAYLOAD_BYTES = '4096';
+        expect(getMaxPayload()).toBe(4096);
+    });
+
+    it('should render counters in the Prometheus text format', () => {
+        process.env.WS_RATE_EPHEMERAL = '1';
+        const limiter = createConnectionLimiter({ now });
+        [1, 2, 3].forEach(() => limiter.check(EPHEMERAL, 1));
+
+        const text = renderMetrics();
+
+        expect(text).toContain('# TYPE ws_rate_limited_messages_total counter');
+        expect(text).toContain('ws_rate_limited_messages_total{type="ephemeral"} 1');
+        expect(text).toContain('ws_oversized_frames_total 0');
+    });
+});
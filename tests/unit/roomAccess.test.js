@@ -0,0 +1,220 @@
+/**
+ * Unit Tests for roomAccess.js
+ * Tests room role resolution and the requireRoomRole middleware
+ *
+ * Test Coverage:
+ * - Owner / editor / viewer / no-access resolution
+ * - Unclaimed rooms and anonymous users
+ * - Role ranking
+ * - Claiming unclaimed rooms on WebSocket join
+ * - requireRoomRole() responses (404, 403, 500, next), including boards without a Room document
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockRoom = {
+    findById: jest.fn(),
+    updateOne: jest.fn(),
+    create: jest.fn(),
+};
+
+const mockRoomUpdate = {
+    exists: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/Room.js', () => ({
+    default: mockRoom,
+}));
+
+jest.unstable_mockModule('../../src/models/RoomUpdate.js', () => ({
+    default: mockRoomUpdate,
+}));
+
+const {
+    ROLES,
+    getRoomRole,
+    hasRole,
+    resolveSocketRole,
+    requireRoomRole,
+} = await import('../../src/middleware/roomAccess.js');
+
+const OWNER_ID = '507f1f77bcf86cd799439011';
+const EDITOR_ID = '507f1f77bcf86cd799439012';
+const VIEWER_ID = '507f1f77bcf86cd799439013';
+const STRANGER_ID = '507f1f77bcf86cd799439014';
+
+const ownedRoom = () => ({
+    _id: 'room-1',
+    owner: OWNER_ID,
+    editors: [EDITOR_ID],
+    viewers: [VIEWER_ID],
+});
+
+// findById(...).select(...) chain used by resolveSocketRole
+const mockFindSelect = (...results) => {
+    results.forEach((result) => {
+        mockRoom.findById.mockReturnValueOnce({ select: jest.fn().mockResolvedValue(result) });
+    });
+};
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+};
+
+describe('roomAccess', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockRoomUpdate.exists.mockResolvedValue(null);
+    });
+
+    describe('getRoomRole()', () => {
+        it('should resolve owner, editor and viewer roles', () => {
+            const room = ownedRoom();
+            expect(getRoomRole(room, OWNER_ID)).toBe(ROLES.OWNER);
+            expect(getRoomRole(room, EDITOR_ID)).toBe(ROLES.EDITOR);
+            expect(getRoomRole(room, VIEWER_ID)).toBe(ROLES.VIEWER);
+        });
+
+        it('should return null for users not on the access lists', () => {
+            expect(getRoomRole(ownedRoom(), STRANGER_ID)).toBeNull();
+            expect(getRoomRole(ownedRoom(), null)).toBeNull();
+        });
+
+        it('should keep unclaimed rooms open to everyone', () => {
+            expect(getRoomRole({ _id: 'room-1', owner: null }, STRANGER_ID)).toBe(ROLES.EDITOR);
+            expect(getRoomRole(null, null)).toBe(ROLES.EDITOR);
+        });
+    });
+
+    describe('hasRole()', () => {
+        it('should rank owner > editor > viewer', () => {
+            expect(hasRole(ROLES.OWNER, ROLES.EDITOR)).toBe(true);
+            expect(hasRole(ROLES.EDITOR, ROLES.EDITOR)).toBe(true);
+            expect(hasRole(ROLES.VIEWER, ROLES.EDITOR)).toBe(false);
+            expect(hasRole(null, ROLES.VIEWER)).toBe(false);
+        });
+    });
+
+    describe('resolveSocketRole()', () => {
+        it('should resolve roles in an owned room without claiming it', async () => {
+            mockFindSelect(ownedRoom());
+
+            await expect(resolveSocketRole('room-1', STRANGER_ID)).resolves.toBeNull();
+            expect(mockRoom.updateOne).not.toHaveBeenCalled();
+            expect(mockRoom.create).not.toHaveBeenCalled();
+        });
+
+        it('should make the first authenticated user the owner of a new room', async () => {
+            mockFindSelect(null, { _id: 'room-1', owner: OWNER_ID });
+            mockRoomUpdate.exists.mockResolvedValue(null);
+
+            const role = await resolveSocketRole('room-1', OWNER_ID);
+
+            expect(mockRoom.create).toHaveBeenCalledWith({ _id: 'room-1', owner: OWNER_ID });
+            expect(role).toBe(ROLES.OWNER);
+        });
+
+        it('should not claim existing boards that have no owner', async () => {
+            mockFindSelect({ _id: 'room-1', owner: null, editors: [], viewers: [] }, null);
+            mockRoomUpdate.exists.mockResolvedValue({ _id: 'update-1' });
+
+            // Stored board without an owner, then a board so far only in the update log
+            await expect(resolveSocketRole('room-1', STRANGER_ID)).resolves.toBe(ROLES.EDITOR);
+            await expect(resolveSocketRole('room-2', STRANGER_ID)).resolves.toBe(ROLES.EDITOR);
+            expect(mockRoom.updateOne).not.toHaveBeenCalled();
+            expect(mockRoom.create).not.toHaveBeenCalled();
+        });
+
+        it('should lose a concurrent claim gracefully', async () => {
+            mockFindSelect(null, ownedRoom());
+            mockRoomUpdate.exists.mockResolvedValue(null);
+            mockRoom.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+            await expect(resolveSocketRole('room-1', STRANGER_ID)).resolves.toBeNull();
+        });
+
+        it('should not let anonymous users claim rooms', async () => {
+            mockFindSelect(null);
+
+            await expect(resolveSocketRole('room-1', null)).resolves.toBe(ROLES.EDITOR);
+            expect(mockRoom.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('requireRoomRole()', () => {
+        it('should attach the room and call next() when the role is sufficient', async () => {
+            const room = ownedRoom();
+            mockRoom.findById.mockResolvedValue(room);
+            const req = { params: { roomId: 'room-1' }, userId: EDITOR_ID };
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await requireRoomRole(ROLES.VIEWER)(req, res, next);
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(req.room).toBe(room);
+            expect(req.roomRole).toBe(ROLES.EDITOR);
+        });
+
+        it('should return 404 when the room does not exist', async () => {
+            mockRoom.findById.mockResolvedValue(null);
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await requireRoomRole(ROLES.VIEWER)({ params: { roomId: 'nope' }, userId: OWNER_ID }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should resolve boards without a Room document yet as unclaimed rooms', async () => {
+            mockRoom.findById.mockResolvedValue(null);
+            mockRoomUpdate.exists.mockResolvedValue({ _id: 'update-1' });
+            const req = { params: { roomId: 'room-1' }, userId: STRANGER_ID };
+            const next = jest.fn();
+
+            await requireRoomRole(ROLES.EDITOR, { allowMissing: true })(req, mockResponse(), next);
+
+            expect(mockRoomUpdate.exists).toHaveBeenCalledWith({ room: 'room-1' });
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(req.room).toEqual({ _id: 'room-1', owner: null, editors: [], viewers: [] });
+            expect(req.roomRole).toBe(ROLES.EDITOR);
+        });
+
+        it('should pass through with no room when allowMissing is set', async () => {
+            mockRoom.findById.mockResolvedValue(null);
+            const req = { params: { roomId: 'new-room' }, userId: OWNER_ID };
+            const next = jest.fn();
+
+            await requireRoomRole(ROLES.EDITOR, { allowMissing: true })(req, mockResponse(), next);
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(req.room).toBeNull();
+        });
+
+        it('should return 403 when the role is insufficient', async () => {
+            mockRoom.findById.mockResolvedValue(ownedRoom());
+            const res = mockResponse();
+            const next = jest.fn();
+
+            await requireRoomRole(ROLES.OWNER)({ params: { roomId: 'room-1' }, userId: VIEWER_ID }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({ error: 'Insufficient room permissions' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should return 500 when the lookup fails', async () => {
+            mockRoom.findById.mockRejectedValue(new Error('DB down'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const res = mockResponse();
+
+            await requireRoomRole(ROLES.VIEWER)({ params: { roomId: 'room-1' }, userId: OWNER_ID }, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(500);
+        });
+    });
+});
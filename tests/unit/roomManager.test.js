@@ -0,0 +1,385 @@
+/**
+ * Unit Tests for roomManager.js and roomPersistence.js
+ * Tests room loading, update-log persistence, compaction and idle eviction
+ *
+ * Test Coverage:
+ * - Loading a room once from its snapshot plus logged updates
+ * - Appending each document update to the log
+ * - Compacting the log into a snapshot at the threshold (kept as history)
+ * - Seeding history for rooms that predate the log
+ * - Idle eviction after the last client leaves (flush, compact, destroy, unload)
+ * - Cancelling eviction when a client rejoins
+ * - Removing a leaving socket's awareness states
+ * - Listing connected users for GET /presence
+ * - Checking comment anchors when shapes are added or deleted
+ * - Writing the activity log of shape edits on flush
+ * - Rejoining during an eviction gets the persisted state
+ * - Failed writes keep the room loaded
+ * - Flushing every room on shutdown
+ * - Buffered property updates are written before a flush
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import * as Y from 'yjs';
+import * as awarenessProtocol from 'y-protocols/awareness';
+
+// Simulated MongoDB: one snapshot per room plus an update log
+let snapshots;
+let log;
+let nextId;
+
+const mockRoom = {
+    findById: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+};
+
+const mockRoomUpdate = {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    exists: jest.fn(),
+    countDocuments: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/Room.js', () => ({
+    default: mockRoom,
+}));
+
+jest.unstable_mockModule('../../src/models/RoomUpdate.js', () => ({
+    default: mockRoomUpdate,
+}));
+
+// Shape additions and deletions look up comment threads anchored to them
+const mockCommentThread = {
+    find: jest.fn(() => ({ populate: async () => [] })),
+};
+
+jest.unstable_mockModule('../../src/models/CommentThread.js', () => ({
+    default: mockCommentThread,
+}));
+
+const mockActivityEntry = {
+    create: jest.fn(async () => ({})),
+};
+
+jest.unstable_mockModule('../../src/models/ActivityEntry.js', () => ({
+    default: mockActivityEntry,
+}));
+
+const {
+    rooms,
+    getOrCreateRoom,
+    leaveRoom,
+    evictRoom,
+    getRoomPresence,
+    flushAllRooms,
+} = await import('../../src/services/roomManager.js');
+const { loadRoomState } = await import('../../src/services/roomPersistence.js');
+
+describe('roomManager', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        process.env.ROOM_IDLE_TIMEOUT_MS = '1000';
+        process.env.ROOM_COMPACTION_THRESHOLD = '3';
+        snapshots = new Map();
+        log = [];
+        nextId = 1;
+        rooms.clear();
+
+        mockRoom.findById.mockImplementation((id) => ({
+            select: async () => (snapshots.has(id) ? { data: snapshots.get(id) } : null),
+        }));
+        mockRoom.findByIdAndUpdate.mockImplementation(async (id, { data }) => {
+            snapshots.set(id, data);
+        });
+        mockRoomUpdate.find.mockImplementation(({ room, compacted }) => ({
+            sort: async () => log.filter((e) => e.room === room && (!compacted || !e.compacted)),
+        }));
+        mockRoomUpdate.exists.mockImplementation(async ({ room }) => log.some((e) => e.room === room));
+        mockRoomUpdate.findOne.mockImplementation(() => ({ sort: async () => null }));
+        mockRoomUpdate.countDocuments.mockImplementation(async () => 0);
+        mockRoomUpdate.create.mockImplementation(async (fields) => {
+            const entry = { _id: nextId++, createdAt: new Date(), ...fields };
+            log.push(entry);
+            return entry;
+        });
+        mockRoomUpdate.updateMany.mockImplementation(async ({ _id }) => {
+            log.filter((e) => _id.$in.includes(e._id)).forEach((e) => { e.compacted = true; });
+        });
+        mockRoomUpdate.deleteMany.mockImplementation(async ({ _id }) => {
+            log = log.filter((e) => !_id.$in.includes(e._id));
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete process.env.ROOM_IDLE_TIMEOUT_MS;
+        delete process.env.ROOM_COMPACTION_THRESHOLD;
+    });
+
+    it('should load a room once and share it between joiners', async () => {
+        const [a, b] = await Promise.all([getOrCreateRoom('room-1'), getOrCreateRoom('room-1')]);
+
+        expect(a).toBe(b);
+        expect(mockRoom.findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should load the snapshot merged with logged updates', async () => {
+        const source = new Y.Doc();
+        source.getMap('shapes').set('a', { type: 'rectangle' });
+        snapshots.set('room-1', Buffer.from(Y.encodeStateAsUpdate(source)));
+        const before = Y.encodeStateVector(source);
+        source.getMap('shapes').set('b', { type: 'ellipse' });
+        log.push({ _id: nextId++, room: 'room-1', data: Buffer.from(Y.encodeStateAsUpdate(source, before)) });
+
+        const room = await getOrCreateRoom('room-1');
+
+        expect(room.doc.getMap('shapes').get('a')).toEqual({ type: 'rectangle' });
+        expect(room.doc.getMap('shapes').get('b')).toEqual({ type: 'ellipse' });
+        expect(mockRoomUpdate.create).not.toHaveBeenCalled();
+    });
+
+    it('should seed history from a snapshot that predates the log', async () => {
+        const source = new Y.Doc();
+        source.getMap('shapes').set('a', { type: 'rectangle' });
+        snapshots.set('room-1', Buffer.from(Y.encodeStateAsUpdate(source)));
+
+        await getOrCreateRoom('room-1');
+
+        expect(log).toHaveLength(1);
+        expect(log[0]).toMatchObject({ room: 'room-1', compacted: true, base: true });
+    });
+
+    it('should append each document update to the log', async () => {
+        const room = await getOrCreateRoom('room-1');
+
+        room.doc.getMap('shapes').set('a', { type: 'rectangle' });
+        room.doc.getMap('shapes').set('b', { type: 'ellipse' });
+        await room.flush();
+
+        expect(mockRoomUpdate.create).toHaveBeenCalledTimes(2);
+        expect(mockRoom.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should write buffered property updates when the room is flushed', async () => {
+        const room = await getOrCreateRoom('room-1');
+        room.doc.getMap('shapes').set('a', { type: 'rectangle', width: 10 });
+        room.properties.add({ objectId: 'a', properties: { width: 40 } });
+
+        await room.flush();
+
+        expect(mockRoomUpdate.create).toHaveBeenCalledTimes(2);
+        const { update } = await loadRoomState('room-1');
+        const reloaded = new Y.Doc();
+        Y.applyUpdate(reloaded, update);
+        expect(reloaded.getMap('shapes').get('a')).toEqual({ type: 'rectangle', width: 40 });
+    });
+
+    it('should compact the log into a snapshot at the threshold', async () => {
+        const room = await getOrCreateRoom('room-1');
+
+        ['a', 'b', 'c'].forEach((id) => room.doc.getMap('shapes').set(id, { type: 'rectangle' }));
+        await room.flush();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(mockRoom.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+        expect(log.every((e) => e.compacted)).toBe(true);
+        const { update } = await loadRoomState('room-1');
+        const reloaded = new Y.Doc();
+        Y.applyUpdate(reloaded, update);
+        expect(reloaded.getMap('shapes').size).toBe(3);
+    });
+
+    it('should flush, compact, destroy and unload a room after the idle timeout', async () => {
+        const room = await getOrCreateRoom('room-1');
+        const ws = {};
+        room.clients.add(ws);
+        room.doc.getMap('shapes').set('a', { type: 'rectangle' });
+        const destroyed = jest.fn();
+        room.doc.on('destroy', destroyed);
+
+        leaveRoom('room-1', ws);
+        await jest.advanceTimersByTimeAsync(999);
+        expect(rooms.has('room-1')).toBe(true);
+
+        await jest.advanceTimersByTimeAsync(1);
+
+        expect(rooms.has('room-1')).toBe(false);
+        expect(mockRoom.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+        expect(log.every((e) => e.compacted)).toBe(true);
+        expect(destroyed).toHaveBeenCalled();
+    });
+
+    it('should keep the room when a client rejoins before the timeout', async () => {
+        const room = await getOrCreateRoom('room-1');
+        const ws = {};
+        room.clients.add(ws);
+        leaveRoom('room-1', ws);
+
+        await jest.advanceTimersByTimeAsync(500);
+        const rejoined = await getOrCreateRoom('room-1');
+        await jest.advanceTimersByTimeAsync(5000);
+
+        expect(rejoined).toBe(room);
+        expect(rooms.get('room-1')).toBe(room);
+    });
+
+    it('should remove the awareness states of a socket that leaves', async () => {
+        const room = await getOrCreateRoom('room-1');
+        const leaving = { readyState: 1, send: jest.fn() };
+        const staying = { readyState: 1, send: jest.fn() };
+        room.clients.add(leaving);
+        room.clients.add(staying);
+
+        const peer = new awarenessProtocol.Awareness(new Y.Doc());
+        peer.setLocalState({ cursor: { x: 1, y: 2 } });
+        awarenessProtocol.applyAwarenessUpdate(
+            room.doc.awareness,
+            awarenessProtocol.encodeAwarenessUpdate(peer, [peer.clientID]),
+            leaving
+        );
+        expect(room.doc.awareness.getStates().has(peer.clientID)).toBe(true);
+        staying.send.mockClear();
+
+        leaveRoom('room-1', leaving);
+
+        expect(room.doc.awareness.getStates().has(peer.clientID)).toBe(false);
+        expect(room.awarenessClients.has(leaving)).toBe(false);
+        expect(staying.send).toHaveBeenCalledTimes(1);
+        expect(leaving.send).not.toHaveBeenCalled();
+        peer.destroy();
+    });
+
+    it('should list connected sockets with their identity and awareness states', async () => {
+        const room = await getOrCreateRoom('room-1');
+        const ws = {
+            readyState: 1,
+            send: jest.fn(),
+            user: { _id: 'u1', displayName: 'Alice', avatar: 'a.png', email: 'alice@example.com' },
+            role: 'editor',
+            connectedAt: 1000,
+            lastActiveAt: 2000,
+        };
+        const guest = { readyState: 1, send: jest.fn(), user: null, role: 'viewer', inviteId: 'i1' };
+        room.clients.add(ws);
+        room.clients.add(guest);
+
+        const peer = new awarenessProtocol.Awareness(new Y.Doc());
+        peer.setLocalState({ name: 'Alice', color: '#f00', cursor: { x: 1, y: 2 } });
+        awarenessProtocol.applyAwarenessUpdate(
+            room.doc.awareness,
+            awarenessProtocol.encodeAwarenessUpdate(peer, [peer.clientID]),
+            ws
+        );
+
+        expect(getRoomPresence('room-1')).toEqual([
+            {
+                user: { id: 'u1', displayName: 'Alice', avatar: 'a.png' },
+                role: 'editor',
+                invited: false,
+                connectedAt: new Date(1000),
+                lastActiveAt: new Date(2000),
+                awareness: [{ clientId: peer.clientID, state: { name: 'Alice', color: '#f00', cursor: { x: 1, y: 2 } } }],
+            },
+            { user: null, role: 'viewer', invited: true, connectedAt: null, lastActiveAt: null, awareness: [] },
+        ]);
+        expect(getRoomPresence('not-loaded')).toEqual([]);
+        peer.destroy();
+    });
+
+    it('should check comment anchors of added and deleted shapes, but not on load', async () => {
+        const source = new Y.Doc();
+        source.getMap('shapes').set('a', { type: 'rectangle' });
+        snapshots.set('room-1', Buffer.from(Y.encodeStateAsUpdate(source)));
+        const room = await getOrCreateRoom('room-1');
+        expect(mockCommentThread.find).not.toHaveBeenCalled();
+
+        room.doc.transact(() => {
+            room.doc.getMap('shapes').delete('a');
+            room.doc.getMap('shapes').set('b', { type: 'ellipse' });
+        });
+
+        expect(mockCommentThread.find).toHaveBeenCalledTimes(1);
+        expect(mockCommentThread.find).toHaveBeenCalledWith({ room: 'room-1', 'anchor.shapeId': { $in: ['a', 'b'] } });
+    });
+
+    it('should write attributed shape activity when the room is flushed', async () => {
+        const room = await getOrCreateRoom('room-1');
+        const origin = { source: 'rest', userId: 'u1' };
+
+        room.doc.transact(() => room.doc.getMap('shapes').set('a', { type: 'rectangle' }), origin);
+        room.doc.transact(() => room.doc.getMap('shapes').set('b', { type: 'ellipse' }), origin);
+        expect(mockActivityEntry.create).not.toHaveBeenCalled();
+        await room.flush();
+
+        expect(mockActivityEntry.create).toHaveBeenCalledTimes(1);
+        expect(mockActivityEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+            room: 'room-1',
+            user: 'u1',
+            source: 'rest',
+            created: ['a', 'b'],
+            modified: [],
+            deleted: [],
+        }));
+    });
+
+    it('should give a client rejoining during eviction the persisted state', async () => {
+        const room = await getOrCreateRoom('room-1');
+        room.doc.getMap('shapes').set('a', { type: 'rectangle' });
+
+        const eviction = evictRoom('room-1');
+        const rejoin = getOrCreateRoom('room-1');
+        await eviction;
+        const fresh = await rejoin;
+
+        expect(fresh).not.toBe(room);
+        expect(fresh.doc.getMap('shapes').get('a')).toEqual({ type: 'rectangle' });
+        expect(Y.encodeStateVector(fresh.doc)).toEqual(Y.encodeStateVector(room.doc));
+    });
+
+    it('should keep the room loaded when an update cannot be persisted', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const room = await getOrCreateRoom('room-1');
+        mockRoomUpdate.create.mockRejectedValueOnce(new Error('DB down'));
+        mockRoom.findByIdAndUpdate.mockRejectedValue(new Error('DB down'));
+        room.doc.getMap('shapes').set('a', { type: 'rectangle' });
+
+        await evictRoom('room-1');
+
+        expect(rooms.get('room-1')).toBe(room);
+        expect(room.doc.getMap('shapes').get('a')).toBeDefined();
+    });
+
+    it('should not evict rooms that still have clients', async () => {
+        const room = await getOrCreateRoom('room-1');
+        room.clients.add({});
+
+        await evictRoom('room-1');
+
+        expect(rooms.get('room-1')).toBe(room);
+    });
+
+    it('should flush pending writes of all rooms and report failures', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const a = await getOrCreateRoom('room-a');
+        const b = await getOrCreateRoom('room-b');
+        await getOrCreateRoom('room-c');
+        mockRoomUpdate.create.mockImplementation(async ({ room, data }) => {
+            if (room === 'room-b') throw new Error('DB down');
+            const entry = { _id: nextId++, room, data };
+            log.push(entry);
+            return entry;
+        });
+        mockRoom.findByIdAndUpdate.mockRejectedValue(new Error('DB down'));
+        a.doc.getMap('shapes').set('x', { type: 'rectangle' });
+        b.doc.getMap('shapes').set('y', { type: 'rectangle' });
+
+        const failed = await flushAllRooms();
+
+        expect(failed).toEqual(['room-b']);
+        expect(log.map((e) => e.room)).toEqual(['room-a']);
+    });
+});
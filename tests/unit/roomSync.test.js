@@ -0,0 +1,371 @@
+/**
+ * Unit Tests for pubsub.js, roomSync.js and the multi-instance parts of roomManager.js
+ * Tests relaying rooms between server instances and persistence ownership
+ *
+ * Test Coverage:
+ * - In-memory adapter delivery, unsubscribe and locks
+ * - Document, awareness and relayed messages reach the other instance
+ * - An instance loading a room catches up through a sync request
+ * - Only the lock holder writes the room to MongoDB
+ * - Taking over persistence snapshots the room
+ * - Revoked sockets are closed on every instance
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import * as Y from 'yjs';
+import * as awarenessProtocol from 'y-protocols/awareness';
+
+let snapshots;
+let log;
+let nextId;
+
+const mockRoom = {
+    findById: jest.fn(),
+    findByIdAndUpdate: jest.fn(),
+};
+
+const mockRoomUpdate = {
+    find: jest.fn(),
+    exists: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/Room.js', () => ({
+    default: mockRoom,
+}));
+
+jest.unstable_mockModule('../../src/models/RoomUpdate.js', () => ({
+    default: mockRoomUpdate,
+}));
+
+// Shape additions and deletions look up comment threads anchored to them
+jest.unstable_mockModule('../../src/models/CommentThread.js', () => ({
+    default: { find: () => ({ populate: async () => [] }) },
+}));
+
+jest.unstable_mockModule('../../src/models/ActivityEntry.js', () => ({
+    default: { create: async () => ({}) },
+}));
+
+const { createMemoryPubSub } = await import('../../src/services/pubsub.js');
+const { attachRoomSync } = await import('../../src/services/roomSync.js');
+const {
+    rooms,
+    getOrCreateRoom,
+    evictRoom,
+    relayToRoom,
+    disconnectFromRoom,
+    setPubSubAdapter,
+    detachPubSub,
+    getPresenceScope,
+} = await import('../../src/services/roomManager.js');
+
+// Awareness keeps an interval running until destroyed
+const docs = [];
+afterEach(() => {
+    docs.splice(0).forEach((doc) => {
+        doc.awareness.destroy();
+        doc.destroy();
+    });
+});
+
+// Lets queued pub/sub deliveries and their replies run
+const settle = async () => {
+    for (let i = 0; i < 5; i++) await new Promise((resolve) => setImmediate(resolve));
+};
+
+const createInstance = async (hub, instanceId, roomId = 'room-1') => {
+    const doc = new Y.Doc();
+    doc.awareness = new awarenessProtocol.Awareness(doc);
+    docs.push(doc);
+    const broadcast = jest.fn();
+    const disconnect = jest.fn();
+    const onOwnershipGained = jest.fn(async () => {});
+    const sync = await attachRoomSync(roomId, { doc }, {
+        adapter: hub.connect(),
+        instanceId,
+        broadcast,
+        disconnect,
+        onOwnershipGained,
+    });
+    doc.on('update', (update, origin) => {
+        if (typeof origin !== 'symbol') sync.publishUpdate(update);
+    });
+    return { doc, broadcast, disconnect, onOwnershipGained, sync };
+};
+
+describe('createMemoryPubSub', () => {
+    it('should deliver to every subscriber, the publisher included', async () => {
+        const hub = createMemoryPubSub();
+        const a = hub.connect();
+        const b = hub.connect();
+        const received = { a: [], b: [] };
+        a.subscribe('room:1', (m) => received.a.push(m));
+        const unsubscribe = b.subscribe('room:1', (m) => received.b.push(m));
+
+        a.publish('room:1', new Uint8Array([1]));
+        await settle();
+        unsubscribe();
+        a.publish('room:1', new Uint8Array([2]));
+        await settle();
+
+        expect(received.a).toEqual([new Uint8Array([1]), new Uint8Array([2])]);
+        expect(received.b).toEqual([new Uint8Array([1])]);
+    });
+
+    it('should hold a lock for one owner until it is released or expires', async () => {
+        const hub = createMemoryPubSub();
+        const adapter = hub.connect();
+
+        expect(await adapter.acquireLock('k', 'a', 60000)).toBe(true);
+        expect(await adapter.acquireLock('k', 'b', 60000)).toBe(false);
+        expect(await adapter.acquireLock('k', 'a', 60000)).toBe(true);
+
+        await adapter.releaseLock('k', 'b');
+        expect(await adapter.acquireLock('k', 'b', 60000)).toBe(false);
+
+        await adapter.releaseLock('k', 'a');
+        expect(await adapter.acquireLock('k', 'b', -1)).toBe(true);
+        expect(await adapter.acquireLock('k', 'a', 60000)).toBe(true);
+    });
+});
+
+describe('attachRoomSync', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should apply document updates from the other instance', async () => {
+        const hub = createMemoryPubSub();
+        const a = await createInstance(hub, 'a');
+        const b = await createInstance(hub, 'b');
+
+        a.doc.getMap('shapes').set('s1', { id: 's1', type: 'rectangle' });
+        await settle();
+
+        expect(b.doc.getMap('shapes').get('s1')).toEqual({ id: 's1', type: 'rectangle' });
+        await Promise.all([a.sync.detach(), b.sync.detach()]);
+    });
+
+    it('should share awareness and relayed messages', async () => {
+        const hub = createMemoryPubSub();
+        const a = await createInstance(hub, 'a');
+        const b = await createInstance(hub, 'b');
+
+        const peer = new awarenessProtocol.Awareness(new Y.Doc());
+        peer.setLocalState({ user: 'alice' });
+        a.sync.publishAwareness(awarenessProtocol.encodeAwarenessUpdate(peer, [peer.clientID]));
+        a.sync.publishRelay(new Uint8Array([2, 1, 7]));
+        await settle();
+
+        expect(b.doc.awareness.getStates().get(peer.clientID)).toEqual({ user: 'alice' });
+        expect(b.broadcast).toHaveBeenCalledWith(new Uint8Array([2, 1, 7]));
+        expect(a.broadcast).not.toHaveBeenCalled();
+        peer.destroy();
+        await Promise.all([a.sync.detach(), b.sync.detach()]);
+    });
+
+    it('should catch up an instance that loads the room later', async () => {
+        const hub = createMemoryPubSub();
+        const a = await createInstance(hub, 'a');
+        a.doc.getMap('shapes').set('s1', { id: 's1', type: 'rectangle' });
+        await settle();
+
+        const b = await createInstance(hub, 'b');
+        await settle();
+
+        expect(b.doc.getMap('shapes').get('s1')).toEqual({ id: 's1', type: 'rectangle' });
+        await Promise.all([a.sync.detach(), b.sync.detach()]);
+    });
+
+    it('should give persistence to one instance and hand it over on detach', async () => {
+        jest.useFakeTimers();
+        process.env.PUBSUB_LOCK_TTL_MS = '3000';
+        try {
+            const hub = createMemoryPubSub();
+            const a = await createInstance(hub, 'a');
+            const b = await createInstance(hub, 'b');
+
+            expect(a.sync.ownsPersistence()).toBe(true);
+            expect(b.sync.ownsPersistence()).toBe(false);
+
+            await a.sync.detach();
+            await jest.advanceTimersByTimeAsync(1000);
+
+            expect(b.sync.ownsPersistence()).toBe(true);
+            expect(b.onOwnershipGained).toHaveBeenCalledTimes(1);
+            expect(a.onOwnershipGained).not.toHaveBeenCalled();
+            await b.sync.detach();
+        } finally {
+            jest.useRealTimers();
+            delete process.env.PUBSUB_LOCK_TTL_MS;
+        }
+    });
+});
+
+describe('roomManager with a pub/sub adapter', () => {
+    let hub;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        process.env.ROOM_IDLE_TIMEOUT_MS = '60000';
+        snapshots = new Map();
+        log = [];
+        nextId = 1;
+        rooms.clear();
+        hub = createMemoryPubSub();
+        setPubSubAdapter(hub.connect());
+
+        mockRoom.findById.mockImplementation((id) => ({
+            select: async () => (snapshots.has(id) ? { data: snapshots.get(id) } : null),
+        }));
+        mockRoom.findByIdAndUpdate.mockImplementation(async (id, { data }) => {
+            snapshots.set(id, data);
+        });
+        mockRoomUpdate.find.mockImplementation(({ room, compacted }) => ({
+            sort: async () => log.filter((e) => e.room === room && (!compacted || !e.compacted)),
+        }));
+        mockRoomUpdate.exists.mockImplementation(async ({ room }) => log.some((e) => e.room === room));
+        mockRoomUpdate.create.mockImplementation(async (fields) => {
+            const entry = { _id: nextId++, createdAt: new Date(), ...fields };
+            log.push(entry);
+            return entry;
+        });
+        mockRoomUpdate.updateMany.mockImplementation(async ({ _id }) => {
+            log.filter((e) => _id.$in.includes(e._id)).forEach((e) => { e.compacted = true; });
+        });
+    });
+
+    afterEach(async () => {
+        await detachPubSub();
+        await Promise.all([...rooms.values()].map((room) => room.activity.flush()));
+        rooms.forEach((room) => {
+            clearTimeout(room.idleTimer);
+            docs.push(room.doc);
+        });
+        rooms.clear();
+        jest.restoreAllMocks();
+        delete process.env.ROOM_IDLE_TIMEOUT_MS;
+    });
+
+    it('should send local edits and relayed messages to the other instance', async () => {
+        const other = await createInstance(hub, 'other');
+        const room = await getOrCreateRoom('room-1');
+        const client = { readyState: 1, send: jest.fn() };
+        room.clients.add(client);
+
+        room.doc.getMap('shapes').set('s1', { id: 's1', type: 'rectangle' });
+        relayToRoom('room-1', new Uint8Array([3, 1, 9]), client);
+        await settle();
+
+        expect(other.doc.getMap('shapes').get('s1')).toEqual({ id: 's1', type: 'rectangle' });
+        expect(other.broadcast).toHaveBeenCalledWith(new Uint8Array([3, 1, 9]));
+        expect(client.send).not.toHaveBeenCalledWith(new Uint8Array([3, 1, 9]));
+        await other.sync.detach();
+    });
+
+    it('should broadcast remote edits to local clients without persisting them elsewhere', async () => {
+        const other = await createInstance(hub, 'other');
+        const room = await getOrCreateRoom('room-1');
+        const client = { readyState: 1, send: jest.fn() };
+        room.clients.add(client);
+
+        other.doc.getMap('shapes').set('s1', { id: 's1', type: 'rectangle' });
+        await settle();
+        await room.flush();
+
+        expect(room.doc.getMap('shapes').get('s1')).toEqual({ id: 's1', type: 'rectangle' });
+        expect(client.send).toHaveBeenCalled();
+        expect(room.sync.ownsPersistence()).toBe(false);
+        expect(mockRoomUpdate.create).not.toHaveBeenCalled();
+        await other.sync.detach();
+    });
+
+    it('should close revoked sockets here and ask other instances to do the same', async () => {
+        const other = await createInstance(hub, 'other');
+        const room = await getOrCreateRoom('room-1');
+        const socket = (fields) => ({ readyState: 1, send: jest.fn(), close: jest.fn(), ...fields });
+        const invited = socket({ inviteId: 'invite-1', user: null });
+        const otherInvite = socket({ inviteId: 'invite-2', user: null });
+        const member = socket({ inviteId: null, user: { _id: 'user-1' } });
+        [invited, otherInvite, member].forEach((client) => room.clients.add(client));
+
+        await disconnectFromRoom('room-1', { inviteId: 'invite-1' });
+        await disconnectFromRoom('room-1', { userId: 'user-1' });
+        await settle();
+
+        expect(invited.close).toHaveBeenCalledWith(4403, 'Access revoked');
+        expect(member.close).toHaveBeenCalledWith(4403, 'Access revoked');
+        expect(otherInvite.close).not.toHaveBeenCalled();
+        expect(other.disconnect.mock.calls).toEqual([[{ inviteId: 'invite-1' }], [{ userId: 'user-1' }]]);
+        await other.sync.detach();
+    });
+
+    it('should pass the close reason of a lowered role to every instance', async () => {
+        const other = await createInstance(hub, 'other');
+        const room = await getOrCreateRoom('room-1');
+        const member = { readyState: 1, send: jest.fn(), close: jest.fn(), inviteId: null, user: { _id: 'user-1' } };
+        room.clients.add(member);
+
+        await disconnectFromRoom('room-1', { userId: 'user-1', reason: 'Access changed' });
+        await settle();
+
+        expect(member.close).toHaveBeenCalledWith(4403, 'Access changed');
+        expect(other.disconnect).toHaveBeenCalledWith({ userId: 'user-1', reason: 'Access changed' });
+        await other.sync.detach();
+    });
+
+    it('should report that presence only covers this instance', async () => {
+        expect(getPresenceScope()).toEqual({ scope: 'instance', instanceId: expect.any(String) });
+        await detachPubSub();
+        expect(getPresenceScope()).toEqual({ scope: 'server' });
+    });
+
+    it('should persist the room when it holds the lock', async () => {
+        const room = await getOrCreateRoom('room-1');
+
+        room.doc.getMap('shapes').set('s1', { id: 's1', type: 'rectangle' });
+        await room.flush();
+
+        expect(room.sync.ownsPersistence()).toBe(true);
+        expect(mockRoomUpdate.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release its lock when the room is unloaded', async () => {
+        await getOrCreateRoom('room-1');
+        await evictRoom('room-1');
+
+        const other = await createInstance(hub, 'other');
+        expect(other.sync.ownsPersistence()).toBe(true);
+        await other.sync.detach();
+    });
+
+    it('should snapshot everything it holds when taking over persistence', async () => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+        process.env.PUBSUB_LOCK_TTL_MS = '3000';
+        try {
+            const other = await createInstance(hub, 'other');
+            const room = await getOrCreateRoom('room-1');
+            other.doc.getMap('shapes').set('s1', { id: 's1', type: 'rectangle' });
+            await settle();
+
+            // The owner stops without logging its last update
+            await other.sync.detach();
+            await jest.advanceTimersByTimeAsync(1000);
+
+            expect(room.sync.ownsPersistence()).toBe(true);
+            const saved = new Y.Doc();
+            Y.applyUpdate(saved, new Uint8Array(snapshots.get('room-1')));
+            expect(saved.getMap('shapes').get('s1')).toEqual({ id: 's1', type: 'rectangle' });
+        } finally {
+            jest.useRealTimers();
+            delete process.env.PUBSUB_LOCK_TTL_MS;
+        }
+    });
+});
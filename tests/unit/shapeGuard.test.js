@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for shapeGuard.js
+ * Tests schema enforcement on Yjs updates to the 'shapes' map
+ *
+ * Test Coverage:
+ * - Valid updates are applied untouched
+ * - New invalid shapes are removed, invalid edits revert to the previous value
+ * - The emitted (persisted) update never contains the invalid value
+ * - The sender converges after applying the correction
+ * - Non-object values and deletions
+ * - Shapes stored before the current schema are kept and stay editable
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import * as Y from 'yjs';
+import * as syncProtocol from 'y-protocols/sync';
+import { encoding, decoding } from 'lib0';
+import { applyValidatedUpdate, validateShapeEntry } from '../../src/utils/shapeGuard.js';
+import { readGuardedSyncMessage } from '../../src/utils/syncGuard.js';
+
+// Makes an edit on a client replica of `server` and returns the resulting update
+const clientEdit = (client, edit) => {
+    const before = Y.encodeStateVector(client);
+    edit(client.getMap('shapes'));
+    return Y.encodeStateAsUpdate(client, before);
+};
+
+describe('shapeGuard', () => {
+    let server;
+    let client;
+    let emitted;
+
+    beforeEach(() => {
+        server = new Y.Doc();
+        server.getMap('shapes').set('r1', { type: 'rectangle', width: 10, height: 10 });
+        client = new Y.Doc();
+        Y.applyUpdate(client, Y.encodeStateAsUpdate(server));
+        emitted = [];
+        server.on('update', (update, origin) => emitted.push({ update, origin }));
+    });
+
+    it('should apply valid updates untouched', () => {
+        const update = clientEdit(client, (shapes) => shapes.set('r2', { type: 'ellipse', radius: 4 }));
+
+        const rejected = applyValidatedUpdate(server, update, 'ws');
+
+        expect(rejected).toEqual([]);
+        expect(server.getMap('shapes').get('r2')).toEqual({ type: 'ellipse', radius: 4 });
+        expect(emitted.map((e) => e.origin)).toEqual(['ws']);
+    });
+
+    it('should remove new invalid shapes in the same transaction', () => {
+        const update = clientEdit(client, (shapes) => {
+            shapes.set('bad', { type: 'rectangle', width: 'wide' });
+            shapes.set('good', { type: 'rectangle', width: 5 });
+        });
+
+        const rejected = applyValidatedUpdate(server, update, 'ws');
+
+        expect(rejected).toEqual([{ id: 'bad', error: "Property 'width' must be a number" }]);
+        expect(server.getMap('shapes').has('bad')).toBe(false);
+        expect(server.getMap('shapes').get('good')).toEqual({ type: 'rectangle', width: 5 });
+
+        // One update is persisted, and replaying it never shows the invalid shape
+        expect(emitted).toHaveLength(1);
+        const persisted = new Y.Doc();
+        Y.applyUpdate(persisted, emitted[0].update);
+        expect(persisted.getMap('shapes').has('bad')).toBe(false);
+        const structs = JSON.stringify(Y.decodeUpdate(emitted[0].update).structs);
+        expect(structs).toContain('rectangle');
+        expect(structs).not.toContain('wide');
+    });
+
+    it('should revert invalid edits to the previous value', () => {
+        const update = clientEdit(client, (shapes) => shapes.set('r1', { type: 'rectangle', width: -3, height: 10 }));
+
+        const rejected = applyValidatedUpdate(server, update, 'ws');
+
+        expect(rejected).toEqual([{ id: 'r1', error: 'width must be positive' }]);
+        expect(server.getMap('shapes').get('r1')).toEqual({ type: 'rectangle', width: 10, height: 10 });
+    });
+
+    it('should let the sender converge through the correction', () => {
+        const decoder = (update) => {
+            const encoder = encoding.createEncoder();
+            syncProtocol.writeUpdate(encoder, update);
+            return decoding.createDecoder(encoding.toUint8Array(encoder));
+        };
+        const update = clientEdit(client, (shapes) => shapes.set('r1', { type: '' }));
+
+        const result = readGuardedSyncMessage(decoder(update), encoding.createEncoder(), server, 'ws');
+        Y.applyUpdate(client, result.correction);
+
+        expect(result.rejected).toEqual([{ id: 'r1', error: 'Missing or invalid type' }]);
+        expect(client.getMap('shapes').toJSON()).toEqual(server.getMap('shapes').toJSON());
+        expect(client.getMap('shapes').get('r1').width).toBe(10);
+    });
+
+    it('should allow deletions', () => {
+        const update = clientEdit(client, (shapes) => shapes.delete('r1'));
+
+        expect(applyValidatedUpdate(server, update, 'ws')).toEqual([]);
+        expect(server.getMap('shapes').has('r1')).toBe(false);
+    });
+
+    it('should never remove a shape that existed before the update', () => {
+        server.getMap('shapes').set('old', { type: 'rectangle', width: 10, height: 10, draggable: true });
+        server.getMap('shapes').set('star', { type: 'star', points: 5 });
+        Y.applyUpdate(client, Y.encodeStateAsUpdate(server));
+
+        const update = clientEdit(client, (shapes) => {
+            shapes.set('old', { type: 'rectangle', width: 10, height: 10, draggable: true, x: 40 });
+            shapes.set('star', { type: 'star', points: 5, fill: 'not a colour!' });
+        });
+        const rejected = applyValidatedUpdate(server, update, 'ws');
+
+        // Moving the legacy rectangle only changes x, which is valid
+        expect(server.getMap('shapes').get('old')).toEqual({ type: 'rectangle', width: 10, height: 10, draggable: true, x: 40 });
+        // The invalid fill is reverted, the star itself stays
+        expect(rejected.map((r) => r.id)).toEqual(['star']);
+        expect(server.getMap('shapes').get('star')).toEqual({ type: 'star', points: 5 });
+    });
+
+    it('should only accept plain objects whose id matches the key', () => {
+        expect(validateShapeEntry('a', 'rectangle').valid).toBe(false);
+        expect(validateShapeEntry('a', new Y.Map()).error).toBe('Shape must be a plain object');
+        expect(validateShapeEntry('a', { id: 'b', type: 'rect' }).error).toBe('id does not match the shape key');
+        expect(validateShapeEntry('a', { id: 'a', type: 'rect' }).valid).toBe(true);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for the REST shape write API
+ * Tests shapeOps.js (server-side edits to the 'shapes' map)
+ *
+ * Test Coverage:
+ * - Create (with and without an id), update and delete
+ * - Validation shared with WebSocket property updates
+ * - Conflicts and missing shapes
+ * - Shapes stored before the current schema stay editable
+ * - Bulk operations: one transaction, all-or-nothing
+ * - Changes reach other replicas through the update event
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import * as Y from 'yjs';
+import { applyShapeOperations } from '../../src/utils/shapeOps.js';
+
+const ORIGIN = { source: 'rest', userId: 'u1' };
+
+describe('shapeOps - applyShapeOperations()', () => {
+    let doc;
+    let origins;
+
+    beforeEach(() => {
+        doc = new Y.Doc();
+        doc.getMap('shapes').set('r1', { type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+        origins = [];
+        doc.on('update', (update, origin) => origins.push(origin));
+    });
+
+    it('should create a shape with the given or a generated id', () => {
+        const result = applyShapeOperations(doc, [
+            { op: 'create', shape: { id: 'e1', type: 'ellipse', radius: 5 } },
+            { op: 'create', shape: { type: 'text', text: 'hi' } },
+        ], ORIGIN);
+
+        expect(result.ok).toBe(true);
+        expect(doc.getMap('shapes').get('e1')).toEqual({ type: 'ellipse', radius: 5 });
+        const generated = result.results[1].id;
+        expect(generated).toMatch(/^[0-9a-f-]{36}$/);
+        expect(doc.getMap('shapes').get(generated)).toEqual({ type: 'text', text: 'hi' });
+    });
+
+    it('should merge properties on update and delete shapes', () => {
+        applyShapeOperations(doc, [{ op: 'update', id: 'r1', properties: { width: 50, rotation: 45 } }], ORIGIN);
+        expect(doc.getMap('shapes').get('r1')).toEqual({ type: 'rectangle', x: 0, y: 0, width: 50, height: 10, rotation: 45 });
+
+        applyShapeOperations(doc, [{ op: 'delete', id: 'r1' }], ORIGIN);
+        expect(doc.getMap('shapes').has('r1')).toBe(false);
+    });
+
+    it('should use the WebSocket property update validation', () => {
+        const result = applyShapeOperations(doc, [{ op: 'update', id: 'r1', properties: { width: -5 } }], ORIGIN);
+
+        expect(result).toEqual({ ok: false, status: 400, error: 'width must be positive', index: 0 });
+        expect(doc.getMap('shapes').get('r1').width).toBe(10);
+    });
+
+    it('should update shapes stored before the current schema', () => {
+        doc.getMap('shapes').set('old', { type: 'rectangle', width: 10, height: 10, draggable: true });
+
+        const result = applyShapeOperations(doc, [{ op: 'update', id: 'old', properties: { x: 40 } }], ORIGIN);
+
+        expect(result.ok).toBe(true);
+        expect(doc.getMap('shapes').get('old')).toEqual({ type: 'rectangle', width: 10, height: 10, draggable: true, x: 40 });
+    });
+
+    it('should reject duplicate ids, missing shapes and id changes', () => {
+        expect(applyShapeOperations(doc, [{ op: 'create', shape: { id: 'r1', type: 'rect' } }], ORIGIN).status).toBe(409);
+        expect(applyShapeOperations(doc, [{ op: 'update', id: 'nope', properties: {} }], ORIGIN).status).toBe(404);
+        expect(applyShapeOperations(doc, [{ op: 'delete', id: 'nope' }], ORIGIN).status).toBe(404);
+        expect(applyShapeOperations(doc, [{ op: 'update', id: 'r1', properties: { id: 'r2' } }], ORIGIN).error).toBe('id cannot be changed');
+        expect(applyShapeOperations(doc, [{ op: 'move', id: 'r1' }], ORIGIN).status).toBe(400);
+    });
+
+    it('should apply a bulk request in a single transaction', () => {
+        const result = applyShapeOperations(doc, [
+            { op: 'create', shape: { id: 'a', type: 'rect' } },
+            { op: 'update', id: 'a', properties: { x: 5 } },
+            { op: 'delete', id: 'r1' },
+        ], ORIGIN);
+
+        expect(result.ok).toBe(true);
+        expect(origins).toEqual([ORIGIN]);
+        expect(doc.getMap('shapes').toJSON()).toEqual({ a: { type: 'rect', x: 5 } });
+    });
+
+    it('should apply nothing when any operation is invalid', () => {
+        const result = applyShapeOperations(doc, [
+            { op: 'create', shape: { id: 'a', type: 'rect' } },
+            { op: 'delete', id: 'missing' },
+        ], ORIGIN);
+
+        expect(result).toEqual({ ok: false, status: 404, error: 'Shape missing not found', index: 1 });
+        expect(origins).toEqual([]);
+        expect(doc.getMap('shapes').has('a')).toBe(false);
+    });
+
+    it('should produce an update that syncs to other replicas', () => {
+        const replica = new Y.Doc();
+        Y.applyUpdate(replica, Y.encodeStateAsUpdate(doc));
+        doc.on('update', (update) => Y.applyUpdate(replica, update));
+
+        applyShapeOperations(doc, [{ op: 'update', id: 'r1', properties: { fill: '#ff0000' } }], ORIGIN);
+
+        expect(replica.getMap('shapes').get('r1').fill).toBe('#ff0000');
+    });
+});
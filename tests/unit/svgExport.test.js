@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for board export as SVG
+ * Tests boardScene.js, svgExport.js and the export query options
+ *
+ * Test Coverage:
+ * - Shape transforms (translate, rotate, scale)
+ * - Bounds of rotated shapes and strokes
+ * - Z-order (zIndex, shapes before strokes, document order)
+ * - Cropping to a region or a set of ids
+ * - SVG output: elements, escaping, unsafe image sources, background
+ * - Query option validation
+ * - Scenes come from the live document of a loaded room
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as Y from 'yjs';
+import { buildScene, frameScene, shapeMatrix, applyMatrix } from '../../src/utils/boardScene.js';
+import { renderSvg } from '../../src/utils/svgExport.js';
+import { parseExportOptions, loadScene } from '../../src/controllers/exportController.js';
+import { rooms } from '../../src/services/roomManager.js';
+
+const board = {
+    shapes: [
+        { id: 'top', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, fill: '#ff0000', zIndex: 2 },
+        { id: 'bottom', type: 'ellipse', x: 50, y: 50, width: 20, height: 10, fill: '#00ff00' },
+        { id: 'label', type: 'text', x: 100, y: 0, text: 'a < b & "c"', fontSize: 10 },
+        { id: 'mystery', type: 'hologram', x: 0, y: 0 },
+    ],
+    strokes: [{ color: '#0000ff', points: [0, 100, 10, 110, 20, 100] }],
+};
+
+describe('SVG export', () => {
+    describe('boardScene', () => {
+        it('should translate, rotate and scale shapes', () => {
+            const matrix = shapeMatrix({ x: 10, y: 20, rotation: 90, scaleX: 2, scaleY: 1 });
+
+            const [x, y] = applyMatrix(matrix, 5, 0);
+
+            expect(x).toBeCloseTo(10);
+            expect(y).toBeCloseTo(30);
+        });
+
+        it('should compute bounds of rotated shapes', () => {
+            const [item] = buildScene({
+                shapes: [{ id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 10, rotation: 90, stroke: 'none' }],
+            });
+
+            expect(item.bounds.x).toBeCloseTo(-10);
+            expect(item.bounds.y).toBeCloseTo(0);
+            expect(item.bounds.width).toBeCloseTo(10);
+            expect(item.bounds.height).toBeCloseTo(100);
+        });
+
+        it('should bound freehand strokes too long to spread into Math.min', () => {
+            const points = [];
+            for (let i = 0; i < 300000; i++) points.push(i, i % 7);
+
+            const { viewBox } = frameScene(buildScene({ strokes: [{ points }] }), { padding: 0 });
+
+            expect(viewBox).toEqual({ x: -2, y: -2, width: 300003, height: 10 });
+        });
+
+        it('should order items by zIndex, then shapes before strokes', () => {
+            const ids = buildScene(board).map((item) => item.id);
+
+            expect(ids).toEqual(['bottom', 'label', 'stroke:0', 'top']);
+        });
+
+        it('should fit the view to all items plus padding', () => {
+            const { viewBox } = frameScene(buildScene(board), { padding: 10 });
+
+            // Freehand stroke (width 4) at x=0, rectangle (width 1) at y=0
+            expect(viewBox.x).toBeCloseTo(-12);
+            expect(viewBox.y).toBeCloseTo(-10.5);
+        });
+
+        it('should crop to a set of ids', () => {
+            const { items, viewBox } = frameScene(buildScene(board), { ids: ['bottom'], padding: 0 });
+
+            expect(items.map((item) => item.id)).toEqual(['bottom']);
+            expect(viewBox).toEqual({ x: 39.5, y: 44.5, width: 21, height: 11 });
+        });
+
+        it('should crop to an explicit region', () => {
+            const region = { x: 0, y: 0, width: 5, height: 5 };
+            const { items, viewBox } = frameScene(buildScene(board), { region });
+
+            expect(items).toHaveLength(4);
+            expect(viewBox).toBe(region);
+        });
+    });
+
+    describe('renderSvg()', () => {
+        it('should render a standalone SVG with every item', () => {
+            const { items, viewBox } = frameScene(buildScene(board));
+
+            const svg = renderSvg(items, viewBox);
+
+            expect(svg.startsWith('<?xml')).toBe(true);
+            expect(svg).toContain('xmlns="http://www.w3.org/2000/svg"');
+            expect(svg).toContain('<rect x="0" y="0" width="10" height="10" fill="#ff0000"');
+            expect(svg).toContain('<ellipse transform="matrix(1 0 0 1 50 50)" cx="0" cy="0" rx="10" ry="5"');
+            expect(svg).toContain('<polyline points="0,100 10,110 20,100" fill="none" stroke="#0000ff" stroke-width="4"');
+            expect(svg.indexOf('<ellipse')).toBeLessThan(svg.indexOf('<rect x="0"'));
+        });
+
+        it('should escape text content', () => {
+            const { items, viewBox } = frameScene(buildScene(board), { ids: ['label'] });
+
+            const svg = renderSvg(items, viewBox);
+
+            expect(svg).toContain('a &lt; b &amp; &quot;c&quot;');
+        });
+
+        it('should skip images that could run script', () => {
+            const scene = buildScene({
+                shapes: [
+                    { id: 'ok', type: 'image', x: 0, y: 0, width: 10, height: 10, src: 'https://example.com/a.png' },
+                    { id: 'bad', type: 'image', x: 0, y: 0, width: 10, height: 10, src: 'javascript:alert(1)' },
+                ],
+            });
+
+            const svg = renderSvg(scene, { x: 0, y: 0, width: 10, height: 10 });
+
+            expect(svg).toContain('href="https://example.com/a.png"');
+            expect(svg).not.toContain('javascript:');
+        });
+
+        it('should draw arrow heads and a background', () => {
+            const scene = buildScene({ shapes: [{ id: 'a', type: 'arrow', x: 0, y: 0, points: [0, 0, 50, 0] }] });
+
+            const svg = renderSvg(scene, { x: 0, y: 0, width: 60, height: 20 }, { background: '#ffffff' });
+
+            expect(svg).toContain('<rect x="0" y="0" width="60" height="20" fill="#ffffff"/>');
+            expect(svg).toContain('<polygon points="50,0');
+        });
+    });
+
+    describe('parseExportOptions()', () => {
+        it('should parse bbox, ids, padding and background', () => {
+            const { options } = parseExportOptions({ bbox: '1,2,3,4', ids: 'a, b', padding: '5', background: '#fff' });
+
+            expect(options).toEqual({
+                region: { x: 1, y: 2, width: 3, height: 4 },
+                ids: ['a', 'b'],
+                padding: 5,
+                background: '#fff',
+            });
+        });
+
+        it('should reject invalid options', () => {
+            expect(parseExportOptions({ bbox: '1,2,3' }).error).toBeDefined();
+            expect(parseExportOptions({ bbox: '1,2,0,4' }).error).toBeDefined();
+            expect(parseExportOptions({ ids: ' , ' }).error).toBeDefined();
+            expect(parseExportOptions({ padding: '-1' }).error).toBeDefined();
+            expect(parseExportOptions({ background: 'red"/><script>' }).error).toBeDefined();
+        });
+    });
+
+    describe('loadScene', () => {
+        it('should read the live document of a loaded room, unsaved edits included', async () => {
+            const doc = new Y.Doc();
+            doc.getMap('shapes').set('live', { type: 'rectangle', width: 10, height: 10 });
+            rooms.set('room-live', { doc, ready: Promise.resolve() });
+            try {
+                const items = await loadScene({ params: { roomId: 'room-live' }, room: { data: null } });
+
+                expect(items.map((item) => item.id)).toEqual(['live']);
+            } finally {
+                rooms.delete('room-live');
+                doc.destroy();
+            }
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for syncGuard.js and messages.js
+ * Tests read-only (viewer) handling of Yjs sync messages
+ *
+ * Test Coverage:
+ * - Sync step 1 is answered for every connection
+ * - Sync step 2 and updates are applied for editors
+ * - Sync step 2 and updates are dropped for viewers
+ * - Empty viewer step 2 is not reported as a refusal
+ * - Error message encoding (Type 4)
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as Y from 'yjs';
+import * as syncProtocol from 'y-protocols/sync';
+import { encoding, decoding } from 'lib0';
+import { readGuardedSyncMessage, isEmptyUpdate } from '../../src/utils/syncGuard.js';
+import { encodeErrorMessage, MESSAGE_ERROR } from '../../src/utils/messages.js';
+
+// Build a sync message body (without the outer type 0) and return a decoder for it
+const syncDecoder = (write) => {
+    const encoder = encoding.createEncoder();
+    write(encoder);
+    return decoding.createDecoder(encoding.toUint8Array(encoder));
+};
+
+const clientUpdate = () => {
+    const clientDoc = new Y.Doc();
+    clientDoc.getMap('shapes').set('rect-1', { type: 'rectangle', x: 10, y: 20 });
+    return Y.encodeStateAsUpdate(clientDoc);
+};
+
+describe('syncGuard', () => {
+    describe('readGuardedSyncMessage()', () => {
+        it('should answer sync step 1 for read-only connections', () => {
+            const serverDoc = new Y.Doc();
+            serverDoc.getMap('shapes').set('existing', { type: 'ellipse' });
+            const decoder = syncDecoder((e) => syncProtocol.writeSyncStep1(e, new Y.Doc()));
+            const reply = encoding.createEncoder();
+
+            const result = readGuardedSyncMessage(decoder, reply, serverDoc, 'ws', { readOnly: true });
+
+            expect(result).toEqual({ syncType: syncProtocol.messageYjsSyncStep1, refused: false, rejected: [], correction: null });
+            expect(encoding.length(reply)).toBeGreaterThan(0);
+        });
+
+        it('should apply updates from editors with the socket as origin', () => {
+            const serverDoc = new Y.Doc();
+            const origins = [];
+            serverDoc.on('update', (_update, origin) => origins.push(origin));
+            const decoder = syncDecoder((e) => syncProtocol.writeUpdate(e, clientUpdate()));
+
+            const result = readGuardedSyncMessage(decoder, encoding.createEncoder(), serverDoc, 'ws');
+
+            expect(result.refused).toBe(false);
+            expect(serverDoc.getMap('shapes').get('rect-1')).toBeDefined();
+            expect(origins).toEqual(['ws']);
+        });
+
+        it('should drop updates and sync step 2 from viewers', () => {
+            const serverDoc = new Y.Doc();
+
+            const update = readGuardedSyncMessage(
+                syncDecoder((e) => syncProtocol.writeUpdate(e, clientUpdate())),
+                encoding.createEncoder(), serverDoc, 'ws', { readOnly: true }
+            );
+            const step2 = readGuardedSyncMessage(
+                syncDecoder((e) => {
+                    encoding.writeVarUint(e, syncProtocol.messageYjsSyncStep2);
+                    encoding.writeVarUint8Array(e, clientUpdate());
+                }),
+                encoding.createEncoder(), serverDoc, 'ws', { readOnly: true }
+            );
+
+            expect(update).toEqual({ syncType: syncProtocol.messageYjsUpdate, refused: true, rejected: [], correction: null });
+            expect(step2).toEqual({ syncType: syncProtocol.messageYjsSyncStep2, refused: true, rejected: [], correction: null });
+            expect(serverDoc.getMap('shapes').size).toBe(0);
+        });
+
+        it('should not report an empty sync step 2 from a viewer', () => {
+            const serverDoc = new Y.Doc();
+            const emptyClient = new Y.Doc();
+            const decoder = syncDecoder((e) => syncProtocol.writeSyncStep2(e, emptyClient, Y.encodeStateVector(serverDoc)));
+
+            const result = readGuardedSyncMessage(decoder, encoding.createEncoder(), serverDoc, 'ws', { readOnly: true });
+
+            expect(result.refused).toBe(false);
+        });
+
+        it('should throw on unknown sync message types', () => {
+            const decoder = syncDecoder((e) => encoding.writeVarUint(e, 9));
+            expect(() => readGuardedSyncMessage(decoder, encoding.createEncoder(), new Y.Doc(), 'ws')).toThrow();
+        });
+    });
+
+    describe('isEmptyUpdate()', () => {
+        it('should distinguish empty and non-empty updates', () => {
+            expect(isEmptyUpdate(Y.encodeStateAsUpdate(new Y.Doc()))).toBe(true);
+            expect(isEmptyUpdate(clientUpdate())).toBe(false);
+        });
+    });
+
+    describe('encodeErrorMessage()', () => {
+        it('should encode a Type 4 message with a JSON payload', () => {
+            const data = encodeErrorMessage({ code: 'READ_ONLY', message: 'nope', messageType: 3 });
+
+            const decoder = decoding.createDecoder(data);
+            expect(decoding.readVarUint(decoder)).toBe(MESSAGE_ERROR);
+            const payload = JSON.parse(new TextDecoder().decode(decoding.readVarUint8Array(decoder)));
+            expect(payload).toEqual({ code: 'READ_ONLY', message: 'nope', messageType: 3 });
+        });
+    });
+});
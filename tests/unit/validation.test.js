@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for the shape schema registry in validation.js
+ *
+ * Test Coverage:
+ * - Each built-in shape type accepts its own fields
+ * - Unknown shape types and unknown properties are rejected
+ * - Ranges and colour formats
+ * - Property updates checked against the target shape's type
+ * - Registering additional shape types
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+    validateShape,
+    validatePropertyUpdate,
+    validateStroke,
+    registerShapeType,
+    getShapeSchema,
+    fields,
+} from '../../src/utils/validation.js';
+
+describe('validation - shape schema registry', () => {
+    it('should accept the fields of each built-in type', () => {
+        const shapes = [
+            { id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 5, cornerRadius: 2, fill: '#ff0000' },
+            { id: 'b', type: 'ellipse', radiusX: 4, radiusY: 2, stroke: 'rgb(0, 0, 255)', strokeWidth: 2 },
+            { id: 'c', type: 'arrow', points: [0, 0, 10, 10], closed: false, opacity: 0.5 },
+            { id: 'd', type: 'text', text: 'hello', fontSize: 14, fontFamily: 'serif', fill: 'black' },
+            { id: 'e', type: 'image', src: 'https://example.com/cat.png', width: 100, height: 80, rotation: 30 },
+        ];
+
+        shapes.forEach((shape) => expect(validateShape(shape)).toEqual({ valid: true }));
+    });
+
+    it('should reject unknown types and properties', () => {
+        expect(validateShape({ id: 'a', type: 'hologram' }).error).toBe('Unknown shape type: hologram');
+        expect(validateShape({ id: 'a', type: 'rectangle', points: [0, 0] }).error).toBe("Unknown property 'points'");
+        expect(validateShape({ id: 'a', type: 'line', text: 'nope' }).error).toBe("Unknown property 'text'");
+    });
+
+    it('should range-check numbers', () => {
+        expect(validateShape({ id: 'a', type: 'text', fontSize: 0 }).error).toBe('fontSize must be positive');
+        expect(validateShape({ id: 'a', type: 'rect', strokeWidth: -1 }).error).toBe('strokeWidth must be between 0 and 1000');
+        expect(validateShape({ id: 'a', type: 'rect', x: Infinity }).error).toBe("Property 'x' must be a number");
+    });
+
+    it('should check colour and image source formats', () => {
+        ['#abc', '#abcd', '#aabbcc', '#aabbccdd', 'rgba(1, 2, 3, 0.5)', 'transparent'].forEach((fill) => {
+            expect(validateShape({ id: 'a', type: 'rect', fill }).valid).toBe(true);
+        });
+        ['#abcde', 'url(#x)', '12', ''].forEach((fill) => {
+            expect(validateShape({ id: 'a', type: 'rect', fill }).error).toMatch(/fill must be a colour/);
+        });
+        expect(validateShape({ id: 'a', type: 'image', src: 'javascript:alert(1)' }).error).toBe('src has an invalid format');
+        expect(validateStroke({ color: 'not a colour', points: [0, 0] }).valid).toBe(false);
+    });
+
+    it('should check property updates against the target shape type', () => {
+        const payload = { objectId: 'a', type: 'update', properties: { fontSize: 20 } };
+
+        expect(validatePropertyUpdate(payload, 'text').valid).toBe(true);
+        expect(validatePropertyUpdate(payload, 'rectangle').error).toBe("Unknown property 'fontSize'");
+        // Unknown targets are checked against every registered type
+        expect(validatePropertyUpdate(payload).valid).toBe(true);
+        expect(validatePropertyUpdate({ objectId: 'a', properties: { colour: 'red' } }).error).toBe("Unknown property 'colour'");
+    });
+
+    it('should let new shape types be registered', () => {
+        registerShapeType('sticky', { width: fields.number({ min: 1, max: 500 }), text: fields.string(280) });
+
+        expect(getShapeSchema('sticky')).toHaveProperty('fill');
+        expect(validateShape({ id: 'n', type: 'sticky', width: 100, text: 'todo' }).valid).toBe(true);
+        expect(validateShape({ id: 'n', type: 'sticky', width: 900 }).error).toBe('width must be between 1 and 500');
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for wsAuth.js
+ * Tests JWT authentication of WebSocket upgrade requests
+ *
+ * Test Coverage:
+ * - Token extraction from query string and Sec-WebSocket-Protocol
+ * - Malformed upgrade URLs
+ * - Subprotocol negotiation
+ * - Valid, missing, invalid and orphaned tokens
+ * - Anonymous access option
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+const mockUser = {
+    findById: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/User.js', () => ({
+    default: mockUser,
+}));
+
+const {
+    parseSocketUrl,
+    getSocketToken,
+    handleProtocols,
+    authenticateSocket,
+    TOKEN_PROTOCOL,
+} = await import('../../src/middleware/wsAuth.js');
+const { CLOSE_CODES } = await import('../../src/utils/closeCodes.js');
+
+const mockUpgradeRequest = (url, protocolHeader) => ({
+    url,
+    headers: protocolHeader ? { 'sec-websocket-protocol': protocolHeader } : {},
+});
+
+const signToken = (payload = { userId: 'user-1', email: 'a@example.com' }, options = { expiresIn: '1h' }) =>
+    jwt.sign(payload, process.env.JWT_SECRET, options);
+
+describe('wsAuth', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getSocketToken()', () => {
+        it('should read the token from the query string', () => {
+            const req = mockUpgradeRequest('/room-1?token=abc.def.ghi');
+            expect(getSocketToken(req)).toBe('abc.def.ghi');
+        });
+
+        it('should read the token following the access_token subprotocol', () => {
+            const req = mockUpgradeRequest('/room-1', `${TOKEN_PROTOCOL}, abc.def.ghi`);
+            expect(getSocketToken(req)).toBe('abc.def.ghi');
+        });
+
+        it('should prefer the query string over the subprotocol header', () => {
+            const req = mockUpgradeRequest('/room-1?token=from-query', `${TOKEN_PROTOCOL}, from-header`);
+            expect(getSocketToken(req)).toBe('from-query');
+        });
+
+        it('should return null when no token is sent', () => {
+            expect(getSocketToken(mockUpgradeRequest('/room-1'))).toBeNull();
+            expect(getSocketToken(mockUpgradeRequest('/room-1', 'other-protocol'))).toBeNull();
+            expect(getSocketToken(mockUpgradeRequest('/room-1', TOKEN_PROTOCOL))).toBeNull();
+        });
+
+        it('should not throw on a URL that does not parse', () => {
+            expect(parseSocketUrl(mockUpgradeRequest('//['))).toBeNull();
+            expect(getSocketToken(mockUpgradeRequest('//['))).toBeNull();
+            expect(getSocketToken(mockUpgradeRequest('//[', `${TOKEN_PROTOCOL}, abc.def.ghi`))).toBe('abc.def.ghi');
+        });
+    });
+
+    describe('handleProtocols()', () => {
+        it('should echo the access_token protocol when offered', () => {
+            expect(handleProtocols(new Set([TOKEN_PROTOCOL, 'abc']))).toBe(TOKEN_PROTOCOL);
+        });
+
+        it('should select no protocol otherwise', () => {
+            expect(handleProtocols(new Set(['something']))).toBe(false);
+        });
+    });
+
+    describe('authenticateSocket()', () => {
+        it('should attach the user for a valid token', async () => {
+            const user = { _id: 'user-1', displayName: 'Ada' };
+            mockUser.findById.mockResolvedValue(user);
+            const req = mockUpgradeRequest(`/room-1?token=${signToken()}`);
+
+            const result = await authenticateSocket(req);
+
+            expect(mockUser.findById).toHaveBeenCalledWith('user-1');
+            expect(result).toEqual({ ok: true, user });
+        });
+
+        it('should pass invite tokens through without a user', async () => {
+            const token = jwt.sign({ invite: 'invite-1', roomId: 'room-1', role: 'viewer' }, process.env.JWT_SECRET);
+
+            const result = await authenticateSocket(mockUpgradeRequest(`/room-1?token=${token}`));
+
+            expect(result.ok).toBe(true);
+            expect(result.user).toBeNull();
+            expect(result.invite).toMatchObject({ invite: 'invite-1', roomId: 'room-1', role: 'viewer' });
+            expect(mockUser.findById).not.toHaveBeenCalled();
+        });
+
+        it('should reject a missing token by default', async () => {
+            const result = await authenticateSocket(mockUpgradeRequest('/room-1'));
+
+            expect(result).toEqual({ ok: false, code: CLOSE_CODES.UNAUTHORIZED, error: 'No token provided' });
+            expect(mockUser.findById).not.toHaveBeenCalled();
+        });
+
+        it('should allow a missing token when anonymous access is enabled', async () => {
+            const result = await authenticateSocket(mockUpgradeRequest('/room-1'), { allowAnonymous: true });
+
+            expect(result).toEqual({ ok: true, user: null });
+        });
+
+        it('should reject an invalid token even when anonymous access is enabled', async () => {
+            const req = mockUpgradeRequest('/room-1?token=this.is.not.valid');
+
+            const result = await authenticateSocket(req, { allowAnonymous: true });
+
+            expect(result).toEqual({ ok: false, code: CLOSE_CODES.UNAUTHORIZED, error: 'Invalid or expired token' });
+        });
+
+        it('should reject an expired token', async () => {
+            const req = mockUpgradeRequest(`/room-1?token=${signToken(undefined, { expiresIn: '-1s' })}`);
+
+            const result = await authenticateSocket(req);
+
+            expect(result.ok).toBe(false);
+            expect(result.code).toBe(CLOSE_CODES.UNAUTHORIZED);
+        });
+
+        it('should reject a token whose user no longer exists', async () => {
+            mockUser.findById.mockResolvedValue(null);
+            const req = mockUpgradeRequest(`/room-1?token=${signToken()}`);
+
+            const result = await authenticateSocket(req);
+
+            expect(result).toEqual({ ok: false, code: CLOSE_CODES.UNAUTHORIZED, error: 'User not found' });
+        });
+
+        it('should report a server error when the user lookup fails', async () => {
+            mockUser.findById.mockRejectedValue(new Error('DB down'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const req = mockUpgradeRequest(`/room-1?token=${signToken()}`);
+
+            const result = await authenticateSocket(req);
+
+            expect(result).toEqual({ ok: false, code: CLOSE_CODES.INTERNAL_ERROR, error: 'Server error' });
+        });
+    });
+});